@@ -1,6 +1,38 @@
 import express from 'express';
 import expressEjsLayouts from 'express-ejs-layouts';
+import passport from './controller/config/passport.js';
+import session from './controller/config/session.js';
 import mainpageRouter from './controller/mainpage.js';
+import authRouter from './controller/auth/auth.js';
+import walletRouter from './controller/wallet/wallet.js';
+import accountRouter from './controller/account/account.js';
+import tradeRouter, { tradingMode } from './controller/trade/trade.js';
+import fundingRouter from './controller/funding/funding.js';
+import portfolioRouter from './controller/portfolio/portfolio.js';
+import notificationsRouter from './controller/notifications/notifications.js';
+import savingsRouter from './controller/savings/savings.js';
+import adminRouter from './controller/admin/admin.js';
+import backoffice from './controller/admin/backoffice.js';
+import registry from './controller/config/registry.js';
+import transfers from './controller/funding/transfers.js';
+import exchange from './controller/engine/exchange.js';
+import triggers from './controller/engine/triggers.js';
+import apiRouter from './controller/api/v1/index.js';
+import { errorHandler as apiErrorHandler } from './controller/api/v1/respond.js';
+import attachMarketData from './controller/marketdata/stream.js';
+import ticker from './controller/marketdata/ticker.js';
+import candles from './controller/marketdata/candles.js';
+import prices from './controller/marketdata/prices.js';
+import snapshots from './controller/portfolio/snapshots.js';
+import sandbox from './controller/paper/sandbox.js';
+import alerts from './controller/notifications/alerts.js';
+import notifier from './controller/notifications/notifier.js';
+import deliveries from './controller/notifications/deliveries.js';
+import webhookEvents from './controller/notifications/events.js';
+import recurringBuys from './controller/plans/recurringBuys.js';
+import vault from './controller/savings/vault.js';
+import scheduler from './controller/scheduler/scheduler.js';
+import { isStaff } from './controller/auth/roles.js';
 import path from 'path';
 
 const app = express();
@@ -12,9 +44,60 @@ app.set('views', path.join(process.cwd(), 'views'));
 app.set('layout', 'layouts/brokertemplate');
 app.use(expressEjsLayouts);
 app.use(express.static(path.join(process.cwd(),'public')));
-app.use(express.json());
+// Keep the raw bytes around: signed API requests are verified against them.
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({extended: true}));
+app.use(session);
+app.use(passport.initialize());
+app.use(passport.session());
+app.use((req, res, next) => {
+    res.locals.currentUser = req.user || null;
+    res.locals.isStaff = isStaff(req.user);
+    res.locals.tradingMode = tradingMode(req);
+    res.locals.notificationCenter = null;
+    next();
+});
+// The navbar's notification center, for pages only; API calls skip the lookup.
+app.use(async (req, res, next) => {
+    if (!req.user || req.path.startsWith('/api/')) return next();
+    try {
+        res.locals.notificationCenter = await notifier.center(req.user.id);
+        next();
+    } catch (err) {
+        next(err);
+    }
+});
 app.use('/', mainpageRouter);
+app.use('/', authRouter);
+app.use('/', walletRouter);
+app.use('/', accountRouter);
+app.use('/', tradeRouter);
+app.use('/', fundingRouter);
+app.use('/', portfolioRouter);
+app.use('/', notificationsRouter);
+app.use('/', savingsRouter);
+app.use('/', adminRouter);
+app.use('/api/v1', apiRouter);
+// Catches errors raised before the API router, such as malformed JSON bodies.
+app.use('/api/v1', apiErrorHandler);
 
-app.listen(port, () => {console.log('up and running')});
-console.log(path.join(process.cwd(), 'public'));
\ No newline at end of file
+await registry.load();
+await backoffice.bootstrap();
+await exchange.restore();
+await triggers.restore();
+await ticker.load();
+await candles.load();
+await prices.load();
+await sandbox.start();
+await alerts.start();
+webhookEvents.start();
+transfers.start();
+snapshots.start();
+deliveries.start();
+await recurringBuys.start();
+await vault.start();
+// Last, so every job handler is defined before due jobs run.
+scheduler.start();
+const server = app.listen(port, () => {console.log('up and running')});
+attachMarketData(server, session);
+console.log(path.join(process.cwd(), 'public'));
@@ -0,0 +1,238 @@
+import express from 'express';
+import net from 'net';
+import ApiKey, { SCOPES } from '../model/ApiKey.js';
+import { ensureAuthenticated, requireActiveAccount } from '../auth/guards.js';
+import twoFactor, { isEnabled as hasTwoFactor } from '../auth/twoFactor.js';
+import SecurityEvent from '../model/SecurityEvent.js';
+import { logEvent } from '../auth/securityLog.js';
+import reports, { ReportError, REPORT_FORMATS, TAX_LOT_METHODS, TRANSACTION_TYPES } from '../reports/reports.js';
+import { valuationAssets } from '../portfolio/holdings.js';
+import webhooks, { WebhookError, WEBHOOK_EVENTS } from '../notifications/webhooks.js';
+import deliveries, { DeliveryError } from '../notifications/deliveries.js';
+
+const router = express.Router();
+
+// How many recent webhook deliveries the account page lists; dead letters are all listed.
+const RECENT_DELIVERIES = 20;
+
+router.use('/account', ensureAuthenticated);
+
+// Delivery rows name their endpoint by id; the page shows its URL while the endpoint exists.
+function withEndpointUrl(endpoints) {
+    const urls = new Map(endpoints.map(e => [e.id, e.url]));
+    return (delivery) => ({ ...delivery, url: urls.get(delivery.target) || null });
+}
+
+// Renders the account page; `extra` carries a freshly created key or webhook secret, or form errors.
+async function renderAccount(req, res, extra = {}) {
+    const [apiKeys, webhookEndpoints, webhookDeliveries] = await Promise.all([
+        ApiKey.findByUser(req.user.id),
+        webhooks.endpoints(req.user.id),
+        deliveries.forUser(req.user.id, { channel: 'webhook' })
+    ]);
+    const named = withEndpointUrl(webhookEndpoints);
+    res.render('partials/account', {
+        apiKeys,
+        scopes: SCOPES,
+        newKey: null,
+        webhookEndpoints,
+        webhookEvents: WEBHOOK_EVENTS,
+        newWebhook: null,
+        recentDeliveries: webhookDeliveries.slice(0, RECENT_DELIVERIES).map(named),
+        deadLetters: webhookDeliveries.filter(d => d.status === 'dead').map(named),
+        errors: {},
+        twoFactorEnabled: hasTwoFactor(req.user),
+        recoveryCodesLeft: twoFactor.remainingRecoveryCodes(req.user),
+        reportFormats: REPORT_FORMATS,
+        transactionTypes: TRANSACTION_TYPES,
+        taxLotMethods: TAX_LOT_METHODS,
+        valuationAssets: valuationAssets(),
+        ...extra
+    });
+}
+
+router.get('/account', async (req, res, next) => {
+    try {
+        await renderAccount(req, res);
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.post('/account/api-keys', requireActiveAccount, async (req, res, next) => {
+    const label = (req.body.label || '').trim();
+    const scopes = [].concat(req.body.scopes || []).filter(s => SCOPES.includes(s));
+    const ips = (req.body.ips || '').split(/[\s,]+/).filter(Boolean);
+
+    const errors = {};
+    if (!label) errors.label = 'give the key a name';
+    if (!scopes.length) errors.scopes = 'pick at least one scope';
+    const badIp = ips.find(ip => !net.isIP(ip));
+    if (badIp) errors.ips = `${badIp} is not an IP address`;
+
+    try {
+        const stepUpError = await twoFactor.stepUp(req.user, req.body.code, req.ip);
+        if (stepUpError) errors.code = stepUpError;
+        if (Object.keys(errors).length) {
+            res.status(400);
+            return await renderAccount(req, res, { errors });
+        }
+        const newKey = await ApiKey.create(req.user.id, { label, scopes, ips });
+        await logEvent(req, req.user.id, 'api_key_created', { keyId: newKey.keyId, scopes });
+        await renderAccount(req, res, { newKey });
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.post('/account/api-keys/:id/revoke', async (req, res, next) => {
+    try {
+        const revoked = await ApiKey.revoke(req.user.id, req.params.id);
+        if (revoked) await logEvent(req, req.user.id, 'api_key_revoked', { keyId: revoked.keyId });
+        res.redirect('/account');
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.post('/account/webhooks', requireActiveAccount, async (req, res, next) => {
+    try {
+        const newWebhook = await webhooks.create(req.user.id, { url: req.body.url, events: req.body.events });
+        await logEvent(req, req.user.id, 'webhook_created', { endpointId: newWebhook.id, url: newWebhook.url });
+        await renderAccount(req, res, { newWebhook });
+    } catch (err) {
+        if (!(err instanceof WebhookError)) return next(err);
+        res.status(400);
+        try {
+            await renderAccount(req, res, { errors: { [`webhook:${err.field}`]: err.message } });
+        } catch (renderErr) {
+            next(renderErr);
+        }
+    }
+})
+
+router.post('/account/webhooks/:id/remove', async (req, res, next) => {
+    try {
+        const removed = await webhooks.remove(req.user.id, req.params.id);
+        if (removed) await logEvent(req, req.user.id, 'webhook_removed', { endpointId: removed.id, url: removed.url });
+        res.redirect('/account');
+    } catch (err) {
+        next(err);
+    }
+})
+
+// Renders one webhook delivery with its attempts; false when the user has no such delivery.
+async function renderDelivery(req, res, error = null) {
+    const found = await deliveries.inspect(req.user.id, req.params.id);
+    if (!found || found.delivery.channel !== 'webhook') return false;
+    const delivery = withEndpointUrl(await webhooks.endpoints(req.user.id))(found.delivery);
+    res.render('partials/webhookDelivery', { delivery, attempts: found.attempts, error });
+    return true;
+}
+
+router.get('/account/webhooks/deliveries/:id', async (req, res, next) => {
+    try {
+        if (!await renderDelivery(req, res)) res.redirect('/account');
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.post('/account/webhooks/deliveries/:id/replay', async (req, res, next) => {
+    try {
+        await deliveries.replay(req.user.id, req.params.id);
+        res.redirect(`/account/webhooks/deliveries/${req.params.id}`);
+    } catch (err) {
+        if (!(err instanceof DeliveryError)) return next(err);
+        res.status(409);
+        try {
+            if (!await renderDelivery(req, res, err.message)) res.redirect('/account');
+        } catch (renderErr) {
+            next(renderErr);
+        }
+    }
+})
+
+router.get('/account/2fa', async (req, res, next) => {
+    if (hasTwoFactor(req.user)) return res.render('partials/twofactorSetup', { enabled: true, errors: {} });
+    try {
+        const enrollment = await twoFactor.startEnrollment(req.user);
+        req.session.pendingTotpSecret = enrollment.secret;
+        res.render('partials/twofactorSetup', { enabled: false, enrollment, errors: {} })
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.post('/account/2fa/enable', async (req, res, next) => {
+    const secret = req.session.pendingTotpSecret;
+    if (!secret || hasTwoFactor(req.user)) return res.redirect('/account/2fa');
+    try {
+        const recoveryCodes = await twoFactor.enable(req.user, secret, req.body.code);
+        if (!recoveryCodes) {
+            const enrollment = await twoFactor.startEnrollment(req.user, secret);
+            return res.status(400).render('partials/twofactorSetup', { enabled: false, enrollment, errors: { code: 'that code is not valid' } });
+        }
+        delete req.session.pendingTotpSecret;
+        await logEvent(req, req.user.id, '2fa_enabled');
+        res.render('partials/twofactorSetup', { enabled: true, recoveryCodes, errors: {} })
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.post('/account/2fa/disable', async (req, res, next) => {
+    if (!hasTwoFactor(req.user)) return res.redirect('/account/2fa');
+    try {
+        const stepUpError = await twoFactor.stepUp(req.user, req.body.code, req.ip);
+        if (stepUpError) {
+            return res.status(400).render('partials/twofactorSetup', { enabled: true, errors: { code: stepUpError } });
+        }
+        await twoFactor.disable(req.user);
+        await logEvent(req, req.user.id, '2fa_disabled');
+        res.redirect('/account');
+    } catch (err) {
+        next(err);
+    }
+})
+
+// Statement downloads; the same reports are served as JSON under /api/v1/reports.
+router.get('/account/reports/:report', async (req, res, next) => {
+    const { from, to, method, quote, format = 'csv' } = req.query;
+    try {
+        let report;
+        if (req.params.report === 'transactions') {
+            const types = [].concat(req.query.type || TRANSACTION_TYPES);
+            report = await reports.transactions(req.user.id, { from, to, types });
+        } else if (req.params.report === 'tax-lots') {
+            report = await reports.taxLots(req.user.id, { from, to, method, quote });
+        } else {
+            return res.redirect('/account');
+        }
+        const name = `${req.params.report}-${new Date().toISOString().slice(0, 10)}`;
+        if (format === 'json') {
+            const { columns, ...body } = report;
+            return res.attachment(`${name}.json`).json(body);
+        }
+        res.attachment(`${name}.csv`).type('text/csv').send(reports.toCsv(report));
+    } catch (err) {
+        if (!(err instanceof ReportError)) return next(err);
+        res.status(400);
+        try {
+            await renderAccount(req, res, { errors: { [`report:${req.params.report}`]: err.message } });
+        } catch (renderErr) {
+            next(renderErr);
+        }
+    }
+})
+
+router.get('/account/security', async (req, res, next) => {
+    try {
+        const events = await SecurityEvent.findByUser(req.user.id, { limit: 100 });
+        res.render('partials/security', { events })
+    } catch (err) {
+        next(err);
+    }
+})
+
+export default router;
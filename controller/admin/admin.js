@@ -0,0 +1,273 @@
+import express from 'express';
+import User from '../model/User.js';
+import Ledger from '../model/Ledger.js';
+import AdminAudit, { AUDIT_ACTIONS } from '../model/AdminAudit.js';
+import SecurityEvent, { EVENT_TYPES } from '../model/SecurityEvent.js';
+import transfers, { FundingError, WITHDRAWAL_STATUSES } from '../funding/transfers.js';
+import backoffice, { AdminError } from './backoffice.js';
+import vault, { SavingsError, SAVINGS_TERMS, PRODUCT_STATUSES, productLabel } from '../savings/vault.js';
+import assets from '../config/assets.js';
+import registry, { RegistryError, PAIR_STATUSES } from '../config/registry.js';
+import { ensureAuthenticated, requirePermission } from '../auth/guards.js';
+import { ROLES, can } from '../auth/roles.js';
+
+const router = express.Router();
+
+// Every staff role can look users up, so that permission doubles as the entry check.
+router.use('/admin', ensureAuthenticated, requirePermission('users.read'), (req, res, next) => {
+    res.locals.can = (permission) => can(req.user, permission);
+    next();
+});
+
+// Emails for the user ids a page mentions, each looked up once.
+async function namesFor(ids) {
+    const names = { system: 'system' };
+    for (const id of new Set(ids)) {
+        if (names[id]) continue;
+        const user = await User.findById(id);
+        names[id] = user ? user.email : id;
+    }
+    return names;
+}
+
+async function renderUser(req, res, userId, extra = {}) {
+    const user = await User.findById(userId);
+    if (!user) return res.status(404).render('partials/notice', { title: 'User not found', message: 'No user has that id.', resend: false });
+    const [balances, history, withdrawals, events, audit] = await Promise.all([
+        Ledger.balances(user.id),
+        Ledger.history(user.id, { limit: 100 }),
+        transfers.withdrawals(user.id),
+        can(req.user, 'security.read') ? SecurityEvent.search({ userId: user.id, limit: 50 }) : [],
+        AdminAudit.search({ targetUserId: user.id, limit: 50 })
+    ]);
+    res.render('partials/adminUser', {
+        user,
+        balances,
+        history,
+        withdrawals,
+        events,
+        audit,
+        names: await namesFor(audit.map(a => a.actorId)),
+        assets,
+        roles: ROLES,
+        errors: {},
+        values: {},
+        ...extra
+    });
+}
+
+// Turns a domain error into a form error on the user page; anything else is a real failure.
+// Only the adjustment form has per-field messages, the rest show theirs at the top.
+function userAction(permission, action, { fieldErrors = false } = {}) {
+    return [requirePermission(permission), async (req, res, next) => {
+        try {
+            await action(req);
+            res.redirect(`/admin/users/${req.params.id}`);
+        } catch (err) {
+            if (!(err instanceof AdminError)) return next(err);
+            res.status(err.code === 'E_NOT_FOUND' ? 404 : 400);
+            try {
+                const field = fieldErrors && err.field ? err.field : 'form';
+                await renderUser(req, res, req.params.id, { errors: { [field]: err.message }, values: req.body });
+            } catch (renderErr) {
+                next(renderErr);
+            }
+        }
+    }];
+}
+
+router.get('/admin', (req, res) => {
+    res.redirect('/admin/users')
+})
+
+router.get('/admin/users', async (req, res, next) => {
+    try {
+        const users = await User.search(req.query.q);
+        res.render('partials/adminUsers', { users, q: req.query.q || '' })
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.get('/admin/users/:id', async (req, res, next) => {
+    try {
+        await renderUser(req, res, req.params.id);
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.post('/admin/users/:id/freeze', ...userAction('users.freeze', req => backoffice.freeze(req.user, req.params.id, req.body.reason)))
+
+router.post('/admin/users/:id/unfreeze', ...userAction('users.freeze', req => backoffice.unfreeze(req.user, req.params.id, req.body.reason)))
+
+router.post('/admin/users/:id/role', ...userAction('roles.assign', req => backoffice.setRole(req.user, req.params.id, req.body.role, req.body.reason)))
+
+router.post('/admin/users/:id/adjust', ...userAction('balances.adjust', req => backoffice.adjustBalance(req.user, req.params.id, req.body), { fieldErrors: true }))
+
+async function renderWithdrawals(req, res, extra = {}) {
+    const status = WITHDRAWAL_STATUSES.includes(req.query.status) ? req.query.status : 'requested';
+    const withdrawals = await transfers.withdrawalsByStatus(status);
+    res.render('partials/adminWithdrawals', {
+        withdrawals,
+        names: await namesFor(withdrawals.map(w => w.userId)),
+        status,
+        statuses: WITHDRAWAL_STATUSES,
+        error: null,
+        ...extra
+    });
+}
+
+router.get('/admin/withdrawals', requirePermission('withdrawals.review'), async (req, res, next) => {
+    try {
+        await renderWithdrawals(req, res);
+    } catch (err) {
+        next(err);
+    }
+})
+
+function withdrawalAction(action) {
+    return [requirePermission('withdrawals.review'), async (req, res, next) => {
+        try {
+            await action(req);
+            res.redirect('/admin/withdrawals');
+        } catch (err) {
+            if (!(err instanceof AdminError || err instanceof FundingError)) return next(err);
+            res.status(400);
+            try {
+                await renderWithdrawals(req, res, { error: err.message });
+            } catch (renderErr) {
+                next(renderErr);
+            }
+        }
+    }];
+}
+
+router.post('/admin/withdrawals/:id/approve', ...withdrawalAction(req => backoffice.approveWithdrawal(req.user, req.params.id)))
+
+router.post('/admin/withdrawals/:id/reject', ...withdrawalAction(req => backoffice.rejectWithdrawal(req.user, req.params.id, req.body.reason)))
+
+router.get('/admin/security', requirePermission('security.read'), async (req, res, next) => {
+    const { email, type, ip } = req.query;
+    try {
+        const user = email ? await User.findByEmail(email) : null;
+        const events = email && !user ? [] : await SecurityEvent.search({
+            userId: user ? user.id : undefined,
+            type: EVENT_TYPES.includes(type) ? type : undefined,
+            ip: ip || undefined
+        });
+        res.render('partials/adminSecurity', {
+            events,
+            names: await namesFor(events.map(e => e.userId)),
+            types: EVENT_TYPES,
+            filters: { email: email || '', type: type || '', ip: ip || '' }
+        })
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.get('/admin/audit', requirePermission('audit.read'), async (req, res, next) => {
+    const action = AUDIT_ACTIONS.includes(req.query.action) ? req.query.action : undefined;
+    try {
+        const entries = await AdminAudit.search({ action });
+        res.render('partials/adminAudit', {
+            entries,
+            names: await namesFor(entries.flatMap(e => [e.actorId, e.targetUserId]).filter(Boolean)),
+            actions: AUDIT_ACTIONS,
+            action: action || ''
+        })
+    } catch (err) {
+        next(err);
+    }
+})
+
+function renderMarkets(req, res, extra = {}) {
+    res.render('partials/adminMarkets', {
+        assets: registry.assets,
+        pairs: registry.pairs,
+        feeSchedules: registry.feeSchedules,
+        statuses: PAIR_STATUSES,
+        errors: {},
+        ...extra
+    });
+}
+
+router.get('/admin/markets', requirePermission('markets.manage'), (req, res) => {
+    renderMarkets(req, res);
+})
+
+// Tiers arrive as one "minVolume maker taker" line each.
+function parseTiers(text) {
+    return String(text || '').split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+        const [minVolume, maker, taker] = line.split(/[\s,]+/);
+        return { minVolume, maker, taker };
+    });
+}
+
+router.post('/admin/markets/:kind/:key', requirePermission('markets.manage'), async (req, res, next) => {
+    const { kind, key } = req.params;
+    const input = kind === 'fees' ? { tiers: parseTiers(req.body.tiers) } : req.body;
+    try {
+        await backoffice.updateMarket(req.user, kind, key, input, req.body.reason);
+        res.redirect('/admin/markets');
+    } catch (err) {
+        if (!(err instanceof AdminError || err instanceof RegistryError)) return next(err);
+        res.status(400);
+        renderMarkets(req, res, { errors: { [`${kind}:${key}`]: err.message } });
+    }
+})
+
+async function renderSavings(req, res, extra = {}) {
+    const products = await vault.products({ all: true });
+    res.render('partials/adminSavings', {
+        products: products.map(p => ({ ...p, label: productLabel(p) })),
+        assets: registry.assets,
+        terms: SAVINGS_TERMS,
+        statuses: PRODUCT_STATUSES,
+        errors: {},
+        values: {},
+        ...extra
+    });
+}
+
+router.get('/admin/savings', requirePermission('savings.manage'), async (req, res, next) => {
+    try {
+        await renderSavings(req, res);
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.post('/admin/savings', requirePermission('savings.manage'), async (req, res, next) => {
+    try {
+        await backoffice.createSavingsProduct(req.user, req.body, req.body.reason);
+        res.redirect('/admin/savings');
+    } catch (err) {
+        if (!(err instanceof AdminError || err instanceof SavingsError)) return next(err);
+        res.status(400);
+        try {
+            await renderSavings(req, res, { errors: { [err.field || 'form']: err.message }, values: req.body });
+        } catch (renderErr) {
+            next(renderErr);
+        }
+    }
+})
+
+router.post('/admin/savings/:id', requirePermission('savings.manage'), async (req, res, next) => {
+    const { apy, penaltyRate, minAmount, status } = req.body;
+    try {
+        await backoffice.updateSavingsProduct(req.user, req.params.id, { apy, penaltyRate, minAmount, status }, req.body.reason);
+        res.redirect('/admin/savings');
+    } catch (err) {
+        if (!(err instanceof AdminError || err instanceof SavingsError)) return next(err);
+        res.status(err.code === 'E_NOT_FOUND' ? 404 : 400);
+        try {
+            await renderSavings(req, res, { errors: { [req.params.id]: err.message } });
+        } catch (renderErr) {
+            next(renderErr);
+        }
+    }
+})
+
+export default router;
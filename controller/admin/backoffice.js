@@ -0,0 +1,210 @@
+import db from '../model/db.js';
+import User from '../model/User.js';
+import Order, { OPEN_STATUSES } from '../model/Order.js';
+import Ledger, { LedgerError } from '../model/Ledger.js';
+import { MoneyError } from '../model/Money.js';
+import AdminAudit from '../model/AdminAudit.js';
+import SecurityEvent from '../model/SecurityEvent.js';
+import exchange from '../engine/exchange.js';
+import triggers from '../engine/triggers.js';
+import transfers from '../funding/transfers.js';
+import vault from '../savings/vault.js';
+import assets from '../config/assets.js';
+import registry from '../config/registry.js';
+import { ROLES, BOOTSTRAP_ADMINS } from '../auth/roles.js';
+
+export class AdminError extends Error {
+    constructor(message, code, field) {
+        super(message);
+        this.name = 'AdminError';
+        this.code = code;
+        this.field = field;
+    }
+}
+
+function requireReason(reason) {
+    const text = String(reason || '').trim();
+    if (text.length < 5) throw new AdminError('give a reason of at least 5 characters', 'E_REASON', 'reason');
+    return text;
+}
+
+async function targetUser(userId) {
+    const user = await User.findById(userId);
+    if (!user) throw new AdminError('user not found', 'E_NOT_FOUND');
+    return user;
+}
+
+/**
+ * Actions staff take on other people's accounts. Permission checks happen
+ * in the router; this layer validates input, applies the change and writes
+ * the audit row. `actor` is the staff user acting.
+ */
+const backoffice = {
+    // Promotes the BROKER_ADMINS accounts that exist and have confirmed their email.
+    async bootstrap() {
+        for (const email of BOOTSTRAP_ADMINS) await backoffice.promoteListed(await User.findByEmail(email));
+    },
+
+    /**
+     * Makes `user` an admin if their address is in BROKER_ADMINS and they have
+     * confirmed it; recorded with `system` as the actor. Whoever signs up with
+     * a listed address first gets nothing until the mailbox's owner clicks the
+     * link. Resolves to the user as stored.
+     */
+    async promoteListed(user) {
+        if (!user || !user.emailVerified || user.role === 'admin' || !BOOTSTRAP_ADMINS.includes(user.email)) return user;
+        return db.transaction(tx => {
+            AdminAudit.recordWithin(tx, {
+                actorId: 'system', action: 'user.role', targetUserId: user.id, reason: 'listed in BROKER_ADMINS', detail: { from: user.role, to: 'admin' }
+            });
+            return tx.update('users', user.id, { role: 'admin' });
+        });
+    },
+
+    // Frozen users keep read access but cannot trade, withdraw or mint API keys. Resting and conditional orders are pulled.
+    // Requested and approved withdrawals are cancelled in the freeze transaction; one already claimed for broadcast is on its way and goes ahead.
+    async freeze(actor, userId, reason) {
+        const text = requireReason(reason);
+        const user = await targetUser(userId);
+        if (user.id === actor.id) throw new AdminError('you cannot freeze your own account', 'E_SELF');
+        if (user.frozen) throw new AdminError('account is already frozen', 'E_STATE');
+        const withdrawals = await db.transaction(tx => {
+            tx.update('users', user.id, { frozen: true });
+            AdminAudit.recordWithin(tx, { actorId: actor.id, action: 'user.freeze', targetUserId: user.id, reason: text });
+            return transfers.cancelPendingWithin(tx, user.id, 'account frozen');
+        });
+        for (const withdrawal of withdrawals) transfers.events.emit('withdrawal', withdrawal);
+        const orders = await Order.findByUser(user.id);
+        for (const order of orders.filter(o => OPEN_STATUSES.includes(o.status))) {
+            await exchange.cancelOrder(user.id, order.id);
+        }
+        await triggers.cancelAll(user.id, 'account frozen');
+        await SecurityEvent.record({ userId: user.id, type: 'account_frozen', detail: { reason: text } });
+        return User.findById(user.id);
+    },
+
+    async unfreeze(actor, userId, reason) {
+        const text = requireReason(reason);
+        const user = await targetUser(userId);
+        if (!user.frozen) throw new AdminError('account is not frozen', 'E_STATE');
+        await db.transaction(tx => {
+            tx.update('users', user.id, { frozen: false });
+            AdminAudit.recordWithin(tx, { actorId: actor.id, action: 'user.unfreeze', targetUserId: user.id, reason: text });
+        });
+        await SecurityEvent.record({ userId: user.id, type: 'account_unfrozen', detail: { reason: text } });
+        return User.findById(user.id);
+    },
+
+    async setRole(actor, userId, role, reason) {
+        const text = requireReason(reason);
+        if (!ROLES.includes(role)) throw new AdminError(`role must be one of ${ROLES.join(', ')}`, 'E_ROLE', 'role');
+        const user = await targetUser(userId);
+        // Stops the last admin from demoting themselves out of the back office.
+        if (user.id === actor.id) throw new AdminError('you cannot change your own role', 'E_SELF', 'role');
+        return db.transaction(tx => {
+            AdminAudit.recordWithin(tx, {
+                actorId: actor.id, action: 'user.role', targetUserId: user.id, reason: text, detail: { from: user.role, to: role }
+            });
+            return tx.update('users', user.id, { role });
+        });
+    },
+
+    // Credits (positive) or debits (negative) available funds. The journal entry and audit row commit together.
+    async adjustBalance(actor, userId, { asset, amount, reason }) {
+        const text = requireReason(reason);
+        if (!assets.some(a => a.symbol === asset)) throw new AdminError(`unknown asset "${asset}"`, 'E_ASSET', 'asset');
+        let value;
+        try {
+            value = registry.amount(asset, String(amount === undefined ? '' : amount));
+        } catch (err) {
+            if (!(err instanceof MoneyError)) throw err;
+            throw new AdminError(`amount must be a number with at most ${registry.asset(asset).decimals} decimals`, 'E_AMOUNT', 'amount');
+        }
+        if (value.isZero()) throw new AdminError('amount must not be zero', 'E_AMOUNT', 'amount');
+        const user = await targetUser(userId);
+        try {
+            return await db.transaction(tx => {
+                const audit = AdminAudit.recordWithin(tx, {
+                    actorId: actor.id, action: 'balance.adjust', targetUserId: user.id, reason: text, detail: { asset, amount: value.toString() }
+                });
+                const entry = Ledger.adjustWithin(tx, user.id, asset, value, { ref: audit.id, memo: text });
+                tx.update('adminAudit', audit.id, { detail: { asset, amount: value.toString(), journalSeq: entry.seq } });
+                return entry;
+            });
+        } catch (err) {
+            if (err instanceof LedgerError && err.code === 'E_INSUFFICIENT') {
+                throw new AdminError(`user has less than ${value.abs()} ${asset} available`, 'E_INSUFFICIENT', 'amount');
+            }
+            throw err;
+        }
+    },
+
+    async approveWithdrawal(actor, id) {
+        const withdrawal = await transfers.approveWithdrawal(id);
+        await AdminAudit.record({ actorId: actor.id, action: 'withdrawal.approve', targetUserId: withdrawal.userId, detail: { withdrawalId: id } });
+        return withdrawal;
+    },
+
+    /**
+     * Changes one registry entry. `kind` is 'asset', 'pair' or 'fees'; the
+     * registry validates `input` and the override is stored with its audit row.
+     */
+    async updateMarket(actor, kind, key, input, reason) {
+        const text = requireReason(reason);
+        const id = `${kind}:${key}`;
+        let before;
+        let patch;
+        if (kind === 'asset') {
+            patch = registry.assetPatch(key, input);
+            before = registry.asset(key);
+        } else if (kind === 'pair') {
+            patch = registry.pairPatch(key, input);
+            before = registry.pair(key);
+        } else if (kind === 'fees' && registry.feeSchedules[key]) {
+            patch = registry.feeSchedulePatch(key, input);
+            before = registry.feeSchedules[key];
+        } else {
+            throw new AdminError(`nothing to update at ${id}`, 'E_NOT_FOUND');
+        }
+        const changed = Object.fromEntries(Object.keys(patch).map(field => [field, before[field]]));
+        await db.transaction(tx => {
+            registry.saveWithin(tx, id, patch);
+            AdminAudit.recordWithin(tx, { actorId: actor.id, action: 'market.update', targetUserId: null, reason: text, detail: { id, from: changed, to: patch } });
+        });
+        registry.apply(id, patch);
+        return patch;
+    },
+
+    // Opens a savings product; the vault validates the fields.
+    async createSavingsProduct(actor, input, reason) {
+        const text = requireReason(reason);
+        const fields = vault.productFields(input);
+        return db.transaction(tx => {
+            const product = tx.insert('savingsProducts', fields);
+            AdminAudit.recordWithin(tx, { actorId: actor.id, action: 'savings.create', targetUserId: null, reason: text, detail: { productId: product.id, ...fields } });
+            return product;
+        });
+    },
+
+    // Changes a product's APY, penalty, minimum or status. Fixed positions keep the terms they were opened with.
+    async updateSavingsProduct(actor, id, input, reason) {
+        const text = requireReason(reason);
+        const product = await db.findOne('savingsProducts', { id });
+        if (!product) throw new AdminError('savings product not found', 'E_NOT_FOUND');
+        const patch = vault.productFields(input, product);
+        const changed = Object.fromEntries(Object.keys(patch).map(field => [field, product[field]]));
+        return db.transaction(tx => {
+            AdminAudit.recordWithin(tx, { actorId: actor.id, action: 'savings.update', targetUserId: null, reason: text, detail: { productId: id, from: changed, to: patch } });
+            return tx.update('savingsProducts', id, patch);
+        });
+    },
+
+    async rejectWithdrawal(actor, id, reason) {
+        const text = requireReason(reason);
+        const withdrawal = await transfers.rejectWithdrawal(id, text);
+        await AdminAudit.record({ actorId: actor.id, action: 'withdrawal.reject', targetUserId: withdrawal.userId, reason: text, detail: { withdrawalId: id } });
+        return withdrawal;
+    }
+};
+
+export default backoffice;
@@ -0,0 +1,35 @@
+import express from 'express';
+import alerts from '../../notifications/alerts.js';
+import { ApiError, wrap, parseNumber, requireScope } from './respond.js';
+
+const router = express.Router();
+
+function serialize(alert) {
+    const { userId, ...rest } = alert;
+    return rest;
+}
+
+router.get('/', requireScope('read'), wrap(async (req, res) => {
+    res.json({ data: (await alerts.list(req.user.id)).map(serialize) });
+}));
+
+router.post('/', requireScope('trade'), wrap(async (req, res) => {
+    const body = req.body || {};
+    if (typeof body.type !== 'string') throw new ApiError(400, 'E_VALIDATION', 'type is required', 'type');
+    const alert = await alerts.create(req.user.id, {
+        type: body.type,
+        pair: body.pair,
+        price: parseNumber(body, 'price', false),
+        percent: parseNumber(body, 'percent', false),
+        multiple: parseNumber(body, 'multiple', false),
+        windowMinutes: body.windowMinutes,
+        channels: body.channels
+    });
+    res.status(201).json({ data: serialize(alert) });
+}));
+
+router.delete('/:id', requireScope('trade'), wrap(async (req, res) => {
+    res.json({ data: serialize(await alerts.remove(req.user.id, req.params.id)) });
+}));
+
+export default router;
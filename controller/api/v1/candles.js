@@ -0,0 +1,32 @@
+import express from 'express';
+import candles, { INTERVALS } from '../../marketdata/candles.js';
+import pairs from '../../config/pairs.js';
+import { ApiError, wrap } from './respond.js';
+
+const router = express.Router();
+
+const MAX_CANDLES = 1000;
+
+// Accepts epoch milliseconds or anything Date can parse (ISO 8601).
+function parseTime(value, field) {
+    const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(time)) throw new ApiError(400, 'E_VALIDATION', `${field} must be a timestamp`, field);
+    return time;
+}
+
+router.get('/', wrap(async (req, res) => {
+    const { pair, interval = '1h' } = req.query;
+    if (!pairs.some(p => p.symbol === pair)) throw new ApiError(400, 'E_VALIDATION', 'unknown pair', 'pair');
+    if (!INTERVALS[interval]) {
+        throw new ApiError(400, 'E_VALIDATION', `interval must be one of ${Object.keys(INTERVALS).join(', ')}`, 'interval');
+    }
+    const to = req.query.to === undefined ? Date.now() : parseTime(req.query.to, 'to');
+    const from = req.query.from === undefined ? to - INTERVALS[interval] * 200 : parseTime(req.query.from, 'from');
+    if (from > to) throw new ApiError(400, 'E_VALIDATION', 'from must not be after to', 'from');
+    if ((to - from) / INTERVALS[interval] > MAX_CANDLES) {
+        throw new ApiError(400, 'E_VALIDATION', `range covers more than ${MAX_CANDLES} candles`, 'from');
+    }
+    res.json({ data: await candles.range(pair, interval, from, to) });
+}));
+
+export default router;
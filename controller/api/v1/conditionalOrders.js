@@ -0,0 +1,49 @@
+import express from 'express';
+import triggers from '../../engine/triggers.js';
+import TriggerOrder, { TRIGGER_STATUSES } from '../../model/TriggerOrder.js';
+import { ApiError, wrap, paginate, parseLimit, parseNumber, requireScope, requireVerified, requireActive } from './respond.js';
+
+const router = express.Router();
+
+function serialize(trigger) {
+    const { userId, heldAsset, ...rest } = trigger;
+    return rest;
+}
+
+// An OCO answers with both legs; every other type with the single trigger.
+router.post('/', requireScope('trade'), requireVerified, requireActive, wrap(async (req, res) => {
+    const body = req.body || {};
+    for (const field of ['pair', 'side', 'type']) {
+        if (typeof body[field] !== 'string') throw new ApiError(400, 'E_VALIDATION', `${field} is required`, field);
+    }
+    const rows = await triggers.place(req.user.id, {
+        pair: body.pair,
+        side: body.side,
+        type: body.type,
+        quantity: parseNumber(body, 'quantity', true),
+        price: parseNumber(body, 'price', false),
+        stopPrice: parseNumber(body, 'stopPrice', false),
+        stopLimitPrice: parseNumber(body, 'stopLimitPrice', false),
+        trailingOffset: parseNumber(body, 'trailingOffset', false),
+        trailingPercent: parseNumber(body, 'trailingPercent', false)
+    });
+    res.status(201).json({ data: body.type === 'oco' ? rows.map(serialize) : serialize(rows[0]) });
+}));
+
+router.delete('/:id', requireScope('trade'), wrap(async (req, res) => {
+    const trigger = await triggers.cancel(req.user.id, req.params.id);
+    res.json({ data: serialize(trigger) });
+}));
+
+router.get('/', requireScope('read'), wrap(async (req, res) => {
+    const { status, pair, cursor } = req.query;
+    if (status !== undefined && !TRIGGER_STATUSES.includes(status)) {
+        throw new ApiError(400, 'E_VALIDATION', `status must be one of ${TRIGGER_STATUSES.join(', ')}`, 'status');
+    }
+    const limit = parseLimit(req.query.limit);
+    const rows = await TriggerOrder.findByUser(req.user.id, { status });
+    const page = paginate(pair ? rows.filter(t => t.pair === pair) : rows, { cursor, limit });
+    res.json({ ...page, data: page.data.map(serialize) });
+}));
+
+export default router;
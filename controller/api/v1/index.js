@@ -0,0 +1,49 @@
+import express from 'express';
+import passport from '../../config/passport.js';
+import Ledger from '../../model/Ledger.js';
+import ordersRouter from './orders.js';
+import conditionalOrdersRouter from './conditionalOrders.js';
+import tradesRouter from './trades.js';
+import candlesRouter from './candles.js';
+import reportsRouter from './reports.js';
+import paperRouter from './paper.js';
+import alertsRouter from './alerts.js';
+import notificationsRouter from './notifications.js';
+import recurringBuysRouter from './recurringBuys.js';
+import savingsRouter from './savings.js';
+import { ApiError, wrap, requireUser, requireScope, errorHandler } from './respond.js';
+
+const router = express.Router();
+
+// Public market data, no authentication needed.
+router.use('/candles', candlesRouter);
+
+// A request carrying X-API-Key must be signed; otherwise the browser session applies.
+router.use((req, res, next) => {
+    if (!req.get('X-API-Key')) return next();
+    passport.authenticate('hmac', { session: false }, (err, user, info, status) => {
+        if (err) return next(err);
+        if (!user) return next(new ApiError(status || 401, (info && info.code) || 'E_SIGNATURE', (info && info.message) || 'invalid signature'));
+        req.user = user;
+        next();
+    })(req, res, next);
+});
+router.use(requireUser);
+router.use('/orders', ordersRouter);
+router.use('/conditional-orders', conditionalOrdersRouter);
+router.use('/trades', requireScope('read'), tradesRouter);
+router.use('/reports', requireScope('read'), reportsRouter);
+router.use('/paper', paperRouter);
+router.use('/alerts', alertsRouter);
+router.use('/notifications', notificationsRouter);
+router.use('/recurring-buys', recurringBuysRouter);
+router.use('/savings', savingsRouter);
+
+router.get('/balances', requireScope('read'), wrap(async (req, res) => {
+    res.json({ data: await Ledger.balances(req.user.id) });
+}));
+
+router.use((req, res, next) => next(new ApiError(404, 'E_NOT_FOUND', `no route for ${req.method} ${req.path}`)));
+router.use(errorHandler);
+
+export default router;
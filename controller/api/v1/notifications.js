@@ -0,0 +1,30 @@
+import express from 'express';
+import notifier from '../../notifications/notifier.js';
+import { ApiError, wrap, paginate, parseLimit, requireScope } from './respond.js';
+
+const router = express.Router();
+
+function serialize(notification) {
+    const { userId, dedupeKey, ...rest } = notification;
+    return rest;
+}
+
+router.get('/', requireScope('read'), wrap(async (req, res) => {
+    const { cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+    let rows = await notifier.list(req.user.id);
+    if (req.query.unread === 'true') rows = rows.filter(n => !n.readAt);
+    const page = paginate(rows, { cursor, limit });
+    res.json({ ...page, data: page.data.map(serialize) });
+}));
+
+// Marks the listed ids read, or every notification when `ids` is left out.
+router.post('/read', requireScope('read'), wrap(async (req, res) => {
+    const ids = (req.body || {}).ids;
+    if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string'))) {
+        throw new ApiError(400, 'E_VALIDATION', 'ids must be an array of notification ids', 'ids');
+    }
+    res.json({ data: { marked: await notifier.markRead(req.user.id, ids) } });
+}));
+
+export default router;
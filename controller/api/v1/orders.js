@@ -0,0 +1,48 @@
+import express from 'express';
+import exchange from '../../engine/exchange.js';
+import Order from '../../model/Order.js';
+import { ApiError, wrap, paginate, parseLimit, parseNumber, requireScope, requireVerified, requireActive } from './respond.js';
+
+const router = express.Router();
+
+const STATUSES = ['open', 'partially_filled', 'filled', 'cancelled'];
+
+function serialize(order) {
+    const { userId, heldAsset, ...rest } = order;
+    return rest;
+}
+
+router.post('/', requireScope('trade'), requireVerified, requireActive, wrap(async (req, res) => {
+    const body = req.body || {};
+    for (const field of ['pair', 'side']) {
+        if (typeof body[field] !== 'string') throw new ApiError(400, 'E_VALIDATION', `${field} is required`, field);
+    }
+    const type = body.type || 'limit';
+    const order = await exchange.placeOrder(req.user.id, {
+        pair: body.pair,
+        side: body.side,
+        type,
+        price: parseNumber(body, 'price', type === 'limit'),
+        quantity: parseNumber(body, 'quantity', true),
+        timeInForce: body.timeInForce
+    });
+    res.status(201).json({ data: serialize(order) });
+}));
+
+router.delete('/:id', requireScope('trade'), wrap(async (req, res) => {
+    const order = await exchange.cancelOrder(req.user.id, req.params.id);
+    res.json({ data: serialize(order) });
+}));
+
+router.get('/', requireScope('read'), wrap(async (req, res) => {
+    const { status, pair, cursor } = req.query;
+    if (status !== undefined && !STATUSES.includes(status)) {
+        throw new ApiError(400, 'E_VALIDATION', `status must be one of ${STATUSES.join(', ')}`, 'status');
+    }
+    const limit = parseLimit(req.query.limit);
+    const orders = await Order.findByUser(req.user.id, { status });
+    const page = paginate(pair ? orders.filter(o => o.pair === pair) : orders, { cursor, limit });
+    res.json({ ...page, data: page.data.map(serialize) });
+}));
+
+export default router;
@@ -0,0 +1,71 @@
+import express from 'express';
+import sandbox from '../../paper/sandbox.js';
+import PaperOrder from '../../model/PaperOrder.js';
+import { ApiError, wrap, paginate, parseLimit, parseNumber, requireScope } from './respond.js';
+
+const router = express.Router();
+
+const STATUSES = ['open', 'partially_filled', 'filled', 'cancelled'];
+
+function serialize(row) {
+    const { userId, heldAsset, ...rest } = row;
+    return rest;
+}
+
+// Paper trading needs neither a verified email nor money on the account: it is how new users practise.
+router.get('/balances', requireScope('read'), wrap(async (req, res) => {
+    const { resets, resetAt } = await sandbox.account(req.user.id);
+    res.json({ data: await sandbox.balances(req.user.id), resets, resetAt });
+}));
+
+router.post('/reset', requireScope('trade'), wrap(async (req, res) => {
+    const { resets, resetAt } = await sandbox.reset(req.user.id);
+    res.json({ data: await sandbox.balances(req.user.id), resets, resetAt });
+}));
+
+router.get('/price', requireScope('read'), wrap(async (req, res) => {
+    if (typeof req.query.pair !== 'string') throw new ApiError(400, 'E_VALIDATION', 'pair is required', 'pair');
+    res.json({ data: { pair: req.query.pair, price: sandbox.price(req.query.pair) } });
+}));
+
+router.post('/orders', requireScope('trade'), wrap(async (req, res) => {
+    const body = req.body || {};
+    for (const field of ['pair', 'side']) {
+        if (typeof body[field] !== 'string') throw new ApiError(400, 'E_VALIDATION', `${field} is required`, field);
+    }
+    const type = body.type || 'limit';
+    const order = await sandbox.place(req.user.id, {
+        pair: body.pair,
+        side: body.side,
+        type,
+        price: parseNumber(body, 'price', type === 'limit'),
+        quantity: parseNumber(body, 'quantity', true)
+    });
+    res.status(201).json({ data: serialize(order) });
+}));
+
+router.delete('/orders/:id', requireScope('trade'), wrap(async (req, res) => {
+    const order = await sandbox.cancel(req.user.id, req.params.id);
+    res.json({ data: serialize(order) });
+}));
+
+router.get('/orders', requireScope('read'), wrap(async (req, res) => {
+    const { status, pair, cursor } = req.query;
+    if (status !== undefined && !STATUSES.includes(status)) {
+        throw new ApiError(400, 'E_VALIDATION', `status must be one of ${STATUSES.join(', ')}`, 'status');
+    }
+    const limit = parseLimit(req.query.limit);
+    const orders = await PaperOrder.findByUser(req.user.id, { status });
+    const page = paginate(pair ? orders.filter(o => o.pair === pair) : orders, { cursor, limit });
+    res.json({ ...page, data: page.data.map(serialize) });
+}));
+
+router.get('/trades', requireScope('read'), wrap(async (req, res) => {
+    const { pair, cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const trades = await PaperOrder.tradesByUser(req.user.id);
+    const page = paginate(pair ? trades.filter(t => t.pair === pair) : trades, { cursor, limit });
+    res.json({ ...page, data: page.data.map(serialize) });
+}));
+
+export default router;
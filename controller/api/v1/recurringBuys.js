@@ -0,0 +1,48 @@
+import express from 'express';
+import recurringBuys from '../../plans/recurringBuys.js';
+import { ApiError, wrap, parseLimit, parseNumber, requireScope, requireVerified, requireActive } from './respond.js';
+
+const router = express.Router();
+
+function serialize(row) {
+    const { userId, ...rest } = row;
+    return rest;
+}
+
+router.get('/', requireScope('read'), wrap(async (req, res) => {
+    res.json({ data: (await recurringBuys.list(req.user.id)).map(serialize) });
+}));
+
+router.post('/', requireScope('trade'), requireVerified, requireActive, wrap(async (req, res) => {
+    const body = req.body || {};
+    for (const field of ['pair', 'frequency']) {
+        if (typeof body[field] !== 'string') throw new ApiError(400, 'E_VALIDATION', `${field} is required`, field);
+    }
+    const plan = await recurringBuys.create(req.user.id, {
+        pair: body.pair,
+        amount: parseNumber(body, 'amount', true),
+        frequency: body.frequency,
+        startDate: body.startDate
+    });
+    res.status(201).json({ data: serialize(plan) });
+}));
+
+// Runs of every plan, newest first; `bought`, `spent` and `price` are null for skipped runs.
+router.get('/runs', requireScope('read'), wrap(async (req, res) => {
+    const runs = (await recurringBuys.history(req.user.id)).filter(r => !req.query.planId || r.planId === req.query.planId);
+    res.json({ data: runs.slice(0, parseLimit(req.query.limit)).map(serialize) });
+}));
+
+router.post('/:id/pause', requireScope('trade'), wrap(async (req, res) => {
+    res.json({ data: serialize(await recurringBuys.pause(req.user.id, req.params.id)) });
+}));
+
+router.post('/:id/resume', requireScope('trade'), wrap(async (req, res) => {
+    res.json({ data: serialize(await recurringBuys.resume(req.user.id, req.params.id)) });
+}));
+
+router.delete('/:id', requireScope('trade'), wrap(async (req, res) => {
+    res.json({ data: serialize(await recurringBuys.cancel(req.user.id, req.params.id)) });
+}));
+
+export default router;
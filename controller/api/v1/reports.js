@@ -0,0 +1,35 @@
+import express from 'express';
+import reports, { REPORT_FORMATS } from '../../reports/reports.js';
+import { ApiError, wrap } from './respond.js';
+
+const router = express.Router();
+
+// `type` may be repeated or comma separated.
+const listOf = value => (value === undefined ? undefined : [].concat(value).flatMap(v => String(v).split(',')).filter(Boolean));
+
+// JSON answers `{ data, ...details }`; CSV is sent as a file download.
+function send(res, name, report, format = 'json') {
+    if (!REPORT_FORMATS.includes(format)) {
+        throw new ApiError(400, 'E_VALIDATION', `format must be one of ${REPORT_FORMATS.join(', ')}`, 'format');
+    }
+    if (format === 'csv') {
+        res.attachment(`${name}.csv`).type('text/csv').send(reports.toCsv(report));
+        return;
+    }
+    const { columns, rows, ...details } = report;
+    res.json({ data: rows, ...details });
+}
+
+router.get('/transactions', wrap(async (req, res) => {
+    const { from, to, format } = req.query;
+    const report = await reports.transactions(req.user.id, { from, to, types: listOf(req.query.type) });
+    send(res, 'transactions', report, format);
+}));
+
+router.get('/tax-lots', wrap(async (req, res) => {
+    const { from, to, method, quote, format } = req.query;
+    const report = await reports.taxLots(req.user.id, { from, to, method, quote });
+    send(res, `tax-lots-${report.method}`, report, format);
+}));
+
+export default router;
@@ -0,0 +1,116 @@
+/**
+ * Shared plumbing for the JSON API: one error class, one error envelope
+ * (`{ error: { code, message, field } }`) and seq-based cursor pagination.
+ */
+
+export class ApiError extends Error {
+    constructor(status, code, message, field) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.field = field;
+    }
+}
+
+export function wrap(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+export function requireUser(req, res, next) {
+    if (req.user) return next();
+    next(new ApiError(401, 'E_UNAUTHENTICATED', 'authentication required'));
+}
+
+export function requireVerified(req, res, next) {
+    if (req.user.emailVerified) return next();
+    next(new ApiError(403, 'E_UNVERIFIED', 'confirm your email address before trading'));
+}
+
+export function requireActive(req, res, next) {
+    if (!req.user.frozen) return next();
+    next(new ApiError(403, 'E_FROZEN', 'this account is frozen'));
+}
+
+// Session users may do anything they can do in the browser; API keys only what they were granted.
+export function requireScope(scope) {
+    return (req, res, next) => {
+        if (!req.apiKey || req.apiKey.scopes.includes(scope)) return next();
+        next(new ApiError(403, 'E_SCOPE', `api key lacks the ${scope} scope`));
+    };
+}
+
+const NUMBER_PATTERN = /^\d+(\.\d+)?$/;
+
+// Accepts numbers or numeric strings, passed on as the decimal string; anything else is a 400 naming the field.
+export function parseNumber(body, field, required) {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') {
+        if (required) throw new ApiError(400, 'E_VALIDATION', `${field} is required`, field);
+        return undefined;
+    }
+    if (!NUMBER_PATTERN.test(String(value))) throw new ApiError(400, 'E_VALIDATION', `${field} must be a positive decimal`, field);
+    return String(value);
+}
+
+export function parseLimit(value, max = 200) {
+    if (value === undefined) return 50;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > max) {
+        throw new ApiError(400, 'E_VALIDATION', `limit must be an integer between 1 and ${max}`, 'limit');
+    }
+    return limit;
+}
+
+// Cursors are opaque to clients; internally they carry the last seq returned.
+function decodeCursor(cursor) {
+    if (cursor === undefined) return Infinity;
+    const seq = Number(Buffer.from(String(cursor), 'base64url').toString());
+    if (!Number.isInteger(seq)) throw new ApiError(400, 'E_VALIDATION', 'invalid cursor', 'cursor');
+    return seq;
+}
+
+/**
+ * Newest-first page over rows carrying a numeric `seq`. Returns the
+ * `{ data, nextCursor }` body every list endpoint responds with.
+ */
+export function paginate(rows, { cursor, limit }) {
+    const before = decodeCursor(cursor);
+    const page = rows
+        .filter(row => row.seq < before)
+        .sort((a, b) => b.seq - a.seq)
+        .slice(0, limit + 1);
+    const more = page.length > limit;
+    const data = more ? page.slice(0, limit) : page;
+    return {
+        data,
+        nextCursor: more ? Buffer.from(String(data[data.length - 1].seq)).toString('base64url') : null
+    };
+}
+
+// Maps domain errors that carry a `code` onto HTTP statuses.
+const STATUS_BY_CODE = {
+    E_NOT_FOUND: 404,
+    E_NOT_OPEN: 409,
+    E_NOT_ACTIVE: 409,
+    E_INSUFFICIENT: 422,
+    E_LIQUIDITY: 422
+};
+
+export function errorHandler(err, req, res, next) {
+    if (res.headersSent) return next(err);
+    if (err.type === 'entity.parse.failed') {
+        err = new ApiError(400, 'E_BAD_JSON', 'request body is not valid JSON');
+    }
+    const status = err instanceof ApiError ? err.status
+        : err.code && err.code.startsWith('E_') ? (STATUS_BY_CODE[err.code] || 400)
+        : 500;
+    if (status === 500) console.error(err);
+    res.status(status).json({
+        error: {
+            code: status === 500 ? 'E_INTERNAL' : err.code,
+            message: status === 500 ? 'internal error' : err.message,
+            ...(err.field ? { field: err.field } : {})
+        }
+    });
+}
@@ -0,0 +1,38 @@
+import express from 'express';
+import vault, { productLabel } from '../../savings/vault.js';
+import { ApiError, wrap, parseLimit, parseNumber, requireScope, requireVerified, requireActive } from './respond.js';
+
+const router = express.Router();
+
+function serialize(row) {
+    const { userId, carry, ...rest } = row;
+    return rest;
+}
+
+router.get('/products', requireScope('read'), wrap(async (req, res) => {
+    res.json({ data: (await vault.products()).map(p => ({ ...p, label: productLabel(p) })) });
+}));
+
+router.get('/positions', requireScope('read'), wrap(async (req, res) => {
+    const positions = (await vault.positions(req.user.id)).filter(p => !req.query.status || p.status === req.query.status);
+    res.json({ data: positions.map(serialize) });
+}));
+
+router.post('/positions', requireScope('trade'), requireVerified, requireActive, wrap(async (req, res) => {
+    const body = req.body || {};
+    if (typeof body.productId !== 'string') throw new ApiError(400, 'E_VALIDATION', 'productId is required', 'productId');
+    const position = await vault.subscribe(req.user.id, { productId: body.productId, amount: parseNumber(body, 'amount', true) });
+    res.status(201).json({ data: serialize(position) });
+}));
+
+router.post('/positions/:id/redeem', requireScope('trade'), wrap(async (req, res) => {
+    res.json({ data: serialize(await vault.redeem(req.user.id, req.params.id)) });
+}));
+
+// Daily interest payments, newest first; `positionId` narrows them to one position.
+router.get('/interest', requireScope('read'), wrap(async (req, res) => {
+    const accruals = await vault.accruals(req.user.id, { positionId: req.query.positionId, limit: parseLimit(req.query.limit) });
+    res.json({ data: accruals.map(serialize), earned: await vault.earned(req.user.id) });
+}));
+
+export default router;
@@ -0,0 +1,36 @@
+import express from 'express';
+import Trade from '../../model/Trade.js';
+import registry from '../../config/registry.js';
+import { wrap, paginate, parseLimit } from './respond.js';
+
+const router = express.Router();
+
+// Trades from the caller's side: which way they traded and whether they provided liquidity.
+function serialize(trade, userId) {
+    const side = trade.buyerId === userId ? 'buy' : 'sell';
+    const orderId = side === 'buy' ? trade.buyOrderId : trade.sellOrderId;
+    const { base, quote } = registry.pair(trade.pair) || { base: null, quote: null };
+    return {
+        id: trade.id,
+        seq: trade.seq,
+        pair: trade.pair,
+        side,
+        price: trade.price,
+        quantity: trade.quantity,
+        orderId,
+        liquidity: orderId === trade.makerOrderId ? 'maker' : 'taker',
+        fee: (side === 'buy' ? trade.buyerFee : trade.sellerFee) || '0',
+        feeAsset: side === 'buy' ? base : quote,
+        timestamp: trade.timestamp
+    };
+}
+
+router.get('/', wrap(async (req, res) => {
+    const { pair, cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const trades = await Trade.findByUser(req.user.id);
+    const page = paginate(pair ? trades.filter(t => t.pair === pair) : trades, { cursor, limit });
+    res.json({ ...page, data: page.data.map(t => serialize(t, req.user.id)) });
+}));
+
+export default router;
@@ -1,15 +1,289 @@
-import express, { router } from 'express';
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import passport from '../config/passport.js';
 import User from '../model/User.js'
+import { UniqueConstraintError } from '../model/storage/base.js';
+import { takeReturnTo, ensureAuthenticated } from './guards.js';
+import twoFactor, { isEnabled as hasTwoFactor } from './twoFactor.js';
+import { issueToken, consumeToken, readToken, TOKEN_TTL } from './tokens.js';
+import mailer from '../mailer/mailer.js';
+import throttle, { throttleKeys, waitMessage } from './throttle.js';
+import captcha from './captcha.js';
+import { logEvent, logLogin } from './securityLog.js';
+import backoffice from '../admin/backoffice.js';
 
+const router = express.Router();
 
+const PENDING_LOGIN_TTL = 5 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
+function sendVerification(user) {
+    return mailer.sendTemplate(user.email, 'verifyEmail', {
+        name: user.fullName,
+        token: issueToken(user.id, 'verifyEmail'),
+        hours: TOKEN_TTL.verifyEmail / 3600000
+    });
+}
 
+// Shared by register and reset so both enforce the same rules.
+function passwordErrors(password, confirmpassword) {
+    const errors = {};
+    if (!password || password.length < 8) errors.password = 'password must be at least 8 characters';
+    if (password !== confirmpassword) errors.confirmpassword = 'passwords do not match';
+    return errors;
+}
 
+// Collects field-level errors for the register form; empty object means valid.
+async function validateRegistration({ fullName, email, password, confirmpassword }) {
+    const errors = {};
+    if (!fullName || !fullName.trim()) errors.fullName = 'enter your full name';
+    if (!email || !EMAIL_PATTERN.test(email)) errors.email = 'enter a valid email';
+    else if (await User.findByEmail(email)) errors.email = 'an account with this email already exists';
+    return { ...errors, ...passwordErrors(password, confirmpassword) };
+}
 
-router.post('/login', (res, req) =>{
+// Renders the login form, with a fresh CAPTCHA question when the throttle asks for one.
+function renderLogin(req, res, { status = 200, errors = {}, values = {}, verdict } = {}) {
+    if (verdict && !verdict.allowed) {
+        res.set('Retry-After', String(Math.ceil(verdict.retryAfter / 1000)));
+        errors = { email: `too many attempts, try again in ${waitMessage(verdict.retryAfter)}` };
+        status = 429;
+    }
+    const challenge = verdict && verdict.captcha ? captcha.challenge(req) : null;
+    res.status(status).render('partials/login', { errors, values, captcha: challenge });
+}
 
+// Counts a failed password or second-factor attempt and logs it against the account if there is one.
+async function recordFailure(req, keys, email, reason) {
+    const lockedNow = await throttle.fail(keys);
+    const user = email && await User.findByEmail(email);
+    if (user) {
+        await logEvent(req, user.id, 'login_failed', { reason });
+        if (lockedNow.includes('account')) await logEvent(req, user.id, 'lockout');
+    }
+    return throttle.check(keys);
+}
+
+router.get('/login', async (req, res, next) => {
+    try {
+        renderLogin(req, res, { verdict: await throttle.check({ ip: throttleKeys(req.ip).ip }) });
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.post('/login', async (req, res, next) => {
+    const email = req.body.email;
+    const keys = throttleKeys(req.ip, email);
+    try {
+        const verdict = await throttle.check(keys);
+        if (!verdict.allowed) return renderLogin(req, res, { values: { email }, verdict });
+        if (verdict.captcha && !await captcha.verify(req)) {
+            return renderLogin(req, res, { status: 400, errors: { captcha: 'answer the question to continue' }, values: { email }, verdict });
+        }
+    } catch (err) {
+        return next(err);
+    }
+    passport.authenticate('local', async (err, user, info) => {
+        if (err) return next(err);
+        try {
+            if (!user) {
+                const field = (info && info.field) || 'email';
+                const verdict = await recordFailure(req, keys, email, field);
+                // Show why this attempt failed; the wait, if any, applies to the next one.
+                return renderLogin(req, res, {
+                    status: 401,
+                    errors: { [field]: (info && info.message) || 'invalid credentials' },
+                    values: { email },
+                    verdict: { ...verdict, allowed: true }
+                });
+            }
+            // Read before logIn: passport regenerates the session and drops it.
+            const returnTo = takeReturnTo(req);
+            if (hasTwoFactor(user)) {
+                // Password is right but the session stays anonymous until the second step passes.
+                req.session.pendingLogin = { userId: user.id, email: user.email, returnTo, expires: Date.now() + PENDING_LOGIN_TTL };
+                return res.redirect('/login/2fa');
+            }
+            await throttle.succeed(keys);
+            await logLogin(req, user.id);
+            req.logIn(user, (err) => {
+                if (err) return next(err);
+                res.redirect(returnTo);
+            });
+        } catch (err) {
+            next(err);
+        }
+    })(req, res, next);
 })
 
-router.post('/register', (res, req) => {
+function pendingLogin(req) {
+    const pending = req.session.pendingLogin;
+    if (!pending || pending.expires < Date.now()) return null;
+    return pending;
+}
+
+router.get('/login/2fa', (req, res) => {
+    if (!pendingLogin(req)) return res.redirect('/login');
+    res.render('partials/twofactor', { errors: {} })
+})
+
+// Second-factor guesses count against the same budget as passwords.
+router.post('/login/2fa', async (req, res, next) => {
+    const pending = pendingLogin(req);
+    if (!pending) return res.redirect('/login');
+    const keys = throttleKeys(req.ip, pending.email);
+    try {
+        let verdict = await throttle.check(keys);
+        if (verdict.locked) {
+            // A lockout ends the login attempt; a short backoff only delays the next code.
+            delete req.session.pendingLogin;
+            return renderLogin(req, res, { values: { email: pending.email }, verdict });
+        }
+        if (!verdict.allowed) {
+            res.set('Retry-After', String(Math.ceil(verdict.retryAfter / 1000)));
+            return res.status(429).render('partials/twofactor', { errors: { code: `too many attempts, try again in ${waitMessage(verdict.retryAfter)}` } });
+        }
+        if (!await twoFactor.verify(pending.userId, req.body.code)) {
+            verdict = await recordFailure(req, keys, pending.email, '2fa');
+            if (verdict.locked) {
+                delete req.session.pendingLogin;
+                return renderLogin(req, res, { values: { email: pending.email }, verdict });
+            }
+            return res.status(401).render('partials/twofactor', { errors: { code: 'that code is not valid' } });
+        }
+        const user = await User.findById(pending.userId);
+        delete req.session.pendingLogin;
+        await throttle.succeed(keys);
+        await logLogin(req, user.id, { twoFactor: true });
+        req.logIn(user, (err) => {
+            if (err) return next(err);
+            res.redirect(pending.returnTo);
+        });
+    } catch (err) {
+        next(err);
+    }
+})
 
+router.get('/register', (req, res) => {
+    res.render('partials/register', { errors: {}, values: {} })
 })
+
+router.post('/register', async (req, res, next) => {
+    const { fullName, email, password } = req.body;
+    const rejectWith = (errors) => res.status(400).render('partials/register', {
+        errors,
+        values: { fullName, email }
+    });
+    try {
+        const errors = await validateRegistration(req.body);
+        if (Object.keys(errors).length) return rejectWith(errors);
+
+        const hash = await bcrypt.hash(password, 10);
+        const user = await User.create({ fullName: fullName.trim(), email, password: hash });
+        // A mail failure must not lose the account; the user can ask for another link.
+        await sendVerification(user).catch(err => console.error('verification email failed', err));
+        await logEvent(req, user.id, 'register');
+        const returnTo = takeReturnTo(req);
+        req.logIn(user, (err) => {
+            if (err) return next(err);
+            res.redirect(returnTo);
+        });
+    } catch (err) {
+        // Two sign-ups for the same address can race past the lookup above.
+        if (err instanceof UniqueConstraintError) return rejectWith({ email: 'an account with this email already exists' });
+        next(err);
+    }
+})
+
+router.post('/logout', async (req, res, next) => {
+    try {
+        if (req.user) await logEvent(req, req.user.id, 'logout');
+    } catch (err) {
+        return next(err);
+    }
+    req.logout((err) => {
+        if (err) return next(err);
+        res.redirect('/');
+    });
+})
+
+router.get('/verify-email', async (req, res, next) => {
+    try {
+        const payload = await consumeToken(req.query.token, 'verifyEmail');
+        const user = payload && await User.findById(payload.sub);
+        if (!user) {
+            return res.status(400).render('partials/notice', {
+                title: 'Link not valid',
+                message: 'This confirmation link has expired or was already used.',
+                resend: Boolean(req.user && !req.user.emailVerified)
+            });
+        }
+        await backoffice.promoteListed(await User.update(user.id, { emailVerified: true }));
+        await logEvent(req, user.id, 'email_verified');
+        res.render('partials/notice', { title: 'Email confirmed', message: 'You can now deposit and trade.', resend: false })
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.post('/verify-email/resend', ensureAuthenticated, async (req, res, next) => {
+    try {
+        if (!req.user.emailVerified) await sendVerification(req.user);
+        res.render('partials/notice', { title: 'Check your inbox', message: `We sent a new link to ${req.user.email}.`, resend: false })
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.get('/forgot-password', (req, res) => {
+    res.render('partials/forgotPassword', { sent: false })
+})
+
+router.post('/forgot-password', async (req, res, next) => {
+    try {
+        const user = req.body.email && await User.findByEmail(req.body.email);
+        if (user) {
+            await mailer.sendTemplate(user.email, 'resetPassword', {
+                name: user.fullName,
+                token: issueToken(user.id, 'resetPassword'),
+                minutes: TOKEN_TTL.resetPassword / 60000
+            });
+            await logEvent(req, user.id, 'password_reset_requested');
+        }
+        // Same answer either way so the form cannot be used to probe for accounts.
+        res.render('partials/forgotPassword', { sent: true })
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.get('/reset-password', (req, res) => {
+    if (!readToken(req.query.token, 'resetPassword')) {
+        return res.status(400).render('partials/notice', { title: 'Link not valid', message: 'This reset link has expired or was already used.', resend: false });
+    }
+    res.render('partials/resetPassword', { token: req.query.token, errors: {} })
+})
+
+router.post('/reset-password', async (req, res, next) => {
+    const { token, password, confirmpassword } = req.body;
+    const errors = passwordErrors(password, confirmpassword);
+    if (Object.keys(errors).length) return res.status(400).render('partials/resetPassword', { token, errors });
+    try {
+        const payload = await consumeToken(token, 'resetPassword');
+        const user = payload && await User.findById(payload.sub);
+        if (!user) {
+            return res.status(400).render('partials/notice', { title: 'Link not valid', message: 'This reset link has expired or was already used.', resend: false });
+        }
+        // Receiving the link proves the address too.
+        await User.update(user.id, { password: await bcrypt.hash(password, 10), emailVerified: true });
+        // The owner has proven themselves, so earlier guessing no longer locks them out.
+        await throttle.succeed(throttleKeys(req.ip, user.email));
+        await logEvent(req, user.id, 'password_changed', { via: 'reset' });
+        res.render('partials/notice', { title: 'Password changed', message: 'You can log in with your new password now.', resend: false })
+    } catch (err) {
+        next(err);
+    }
+})
+
+export default router;
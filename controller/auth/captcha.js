@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+
+/**
+ * A provider adds friction once a login looks like guessing. `challenge(req)`
+ * returns what the form should show (or null when nothing is needed) and
+ * `verify(req)` checks the answer posted in `req.body.captcha`. Providers that
+ * call out to a hosted service plug in here the same way.
+ */
+const providers = {
+    none: () => ({
+        name: 'none',
+        challenge: () => null,
+        verify: async () => true
+    }),
+    // Built-in arithmetic question, kept in the session so it can't be replayed from the form.
+    math: () => ({
+        name: 'math',
+        challenge(req) {
+            const a = crypto.randomInt(2, 10);
+            const b = crypto.randomInt(2, 10);
+            req.session.captcha = String(a + b);
+            return { prompt: `What is ${a} + ${b}?` };
+        },
+        async verify(req) {
+            const expected = req.session.captcha;
+            delete req.session.captcha;
+            return Boolean(expected) && String(req.body.captcha || '').trim() === expected;
+        }
+    })
+};
+
+const providerName = process.env.CAPTCHA_PROVIDER || 'math';
+if (!providers[providerName]) throw new Error(`unknown CAPTCHA_PROVIDER "${providerName}"`);
+
+const captcha = providers[providerName]();
+
+export default captcha;
@@ -0,0 +1,43 @@
+import { can } from './roles.js';
+
+// Private pages remember where the visitor was heading so login can send them back.
+export function ensureAuthenticated(req, res, next) {
+    if (req.isAuthenticated()) return next();
+    if (req.method === 'GET') req.session.returnTo = req.originalUrl;
+    res.redirect('/login');
+}
+
+// Only same-site paths are honoured; anything else lands on the trading dashboard.
+export function takeReturnTo(req) {
+    const target = req.session && req.session.returnTo;
+    if (req.session) delete req.session.returnTo;
+    return typeof target === 'string' && target.startsWith('/') && !target.startsWith('//') ? target : '/trade';
+}
+
+// Depositing and trading wait until the user has proven they own their email address.
+export function requireVerifiedEmail(req, res, next) {
+    if (req.user && req.user.emailVerified) return next();
+    res.status(403).render('partials/notice', {
+        title: 'Confirm your email first',
+        message: 'We sent you a link when you signed up. Follow it to unlock deposits and trading, or ask for a new one below.',
+        resend: true
+    });
+}
+
+// Frozen accounts stay readable; anything that moves money or grants access is refused.
+export function requireActiveAccount(req, res, next) {
+    if (req.user && !req.user.frozen) return next();
+    res.status(403).render('partials/notice', {
+        title: 'Account frozen',
+        message: 'Trading, withdrawals and new API keys are disabled on this account. Contact support to find out more.',
+        resend: false
+    });
+}
+
+// Back-office gate. Anyone without the permission gets a plain 404 so the area isn't advertised.
+export function requirePermission(permission) {
+    return (req, res, next) => {
+        if (req.user && can(req.user, permission)) return next();
+        res.status(404).render('partials/notice', { title: 'Page not found', message: 'There is nothing here.', resend: false });
+    };
+}
@@ -0,0 +1,39 @@
+/**
+ * Role-based access for the back office. Every user has exactly one role;
+ * a permission lists the roles that hold it. Roles are checked, never
+ * compared, so adding a role only means adding it to the lists below.
+ */
+export const ROLES = ['user', 'support', 'admin'];
+
+export const PERMISSIONS = {
+    'users.read': ['support', 'admin'],
+    'security.read': ['support', 'admin'],
+    'audit.read': ['support', 'admin'],
+    'withdrawals.review': ['support', 'admin'],
+    'users.freeze': ['admin'],
+    'balances.adjust': ['admin'],
+    'markets.manage': ['admin'],
+    'savings.manage': ['admin'],
+    'roles.assign': ['admin']
+};
+
+// Emails in BROKER_ADMINS are made admins once confirmed (at startup or on confirming), so a fresh install has someone to run it.
+export const BOOTSTRAP_ADMINS = (process.env.BROKER_ADMINS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+export function roleOf(user) {
+    return (user && ROLES.includes(user.role)) ? user.role : 'user';
+}
+
+export function can(user, permission) {
+    const roles = PERMISSIONS[permission];
+    if (!roles) throw new Error(`unknown permission "${permission}"`);
+    return roles.includes(roleOf(user));
+}
+
+// Staff are users who can reach at least one back-office page.
+export function isStaff(user) {
+    return roleOf(user) !== 'user';
+}
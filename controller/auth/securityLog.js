@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import SecurityEvent from '../model/SecurityEvent.js';
+
+const DEVICE_COOKIE = 'broker.device';
+const DEVICE_MAX_AGE = 400 * 24 * 60 * 60 * 1000;
+
+function readCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key === name) return decodeURIComponent(value.join('='));
+    }
+    return null;
+}
+
+/**
+ * Long-lived random id that tells one browser from another. It is not a
+ * credential, only a way to notice a login from somewhere new.
+ */
+export function deviceId(req) {
+    let id = readCookie(req, DEVICE_COOKIE);
+    if (!id || !/^[a-f0-9]{32}$/.test(id)) {
+        id = crypto.randomBytes(16).toString('hex');
+        req.res.cookie(DEVICE_COOKIE, id, { httpOnly: true, sameSite: 'lax', maxAge: DEVICE_MAX_AGE });
+    }
+    return id;
+}
+
+// Records `type` for `userId` with where the request came from.
+export function logEvent(req, userId, type, detail) {
+    return SecurityEvent.record({
+        userId,
+        type,
+        ip: req.ip,
+        userAgent: req.get('user-agent') || null,
+        deviceId: deviceId(req),
+        detail: detail || null
+    });
+}
+
+// A successful login, plus a `new_device` entry the first time this browser is seen for the user.
+export async function logLogin(req, userId, detail) {
+    const known = await SecurityEvent.knownDevice(userId, deviceId(req));
+    if (!known) await logEvent(req, userId, 'new_device');
+    return logEvent(req, userId, 'login', detail);
+}
@@ -0,0 +1,104 @@
+import db from '../model/db.js';
+
+/**
+ * Failure budgets for the two things a guesser can vary. The first
+ * `freeAttempts` failures cost nothing. After that each try has to wait
+ * BASE_DELAY_MS doubled per extra failure, up to MAX_DELAY_MS. Failures
+ * beyond `captchaAfter` also need a CAPTCHA answer. Every `lockAfter`
+ * failures the key is locked for `lockMs`. A key is forgotten once it
+ * has been quiet for FORGET_AFTER_MS.
+ */
+export const POLICY = {
+    account: { freeAttempts: 3, captchaAfter: 3, lockAfter: 10, lockMs: 15 * 60 * 1000 },
+    ip: { freeAttempts: 10, captchaAfter: 5, lockAfter: 50, lockMs: 60 * 60 * 1000 }
+};
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+const FORGET_AFTER_MS = 24 * 60 * 60 * 1000;
+
+export const throttleKeys = (ip, email) => ({
+    ip: `ip:${ip}`,
+    account: `account:${String(email || '').trim().toLowerCase()}`
+});
+
+// "try again in …" wording for a retryAfter in ms.
+export function waitMessage(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds > 90) return `${Math.ceil(seconds / 60)} minutes`;
+    return seconds === 1 ? '1 second' : `${seconds} seconds`;
+}
+
+function kindOf(key) {
+    return key.startsWith('ip:') ? 'ip' : 'account';
+}
+
+function stateOf(row, now) {
+    if (!row || now - row.lastFailureAt > FORGET_AFTER_MS) return { failures: 0, lastFailureAt: 0, lockedUntil: 0 };
+    return row;
+}
+
+function waitFor(key, state, now) {
+    const policy = POLICY[kindOf(key)];
+    if (state.lockedUntil > now) return { retryAfter: state.lockedUntil - now, locked: true };
+    if (state.failures < policy.freeAttempts) return null;
+    const delay = Math.min(BASE_DELAY_MS * 2 ** (state.failures - policy.freeAttempts), MAX_DELAY_MS);
+    const retryAfter = state.lastFailureAt + delay - now;
+    return retryAfter > 0 ? { retryAfter, locked: false } : null;
+}
+
+class LoginThrottle {
+    constructor({ now = Date.now } = {}) {
+        this.now = now;
+    }
+
+    /**
+     * Whether another attempt may be made for these keys right now.
+     * Resolves to `{ allowed, retryAfter, locked, captcha }`; `retryAfter` is
+     * in ms and `captcha` says the attempt must carry a CAPTCHA answer.
+     */
+    async check(keys) {
+        const now = this.now();
+        const verdict = { allowed: true, retryAfter: 0, locked: false, captcha: false };
+        for (const key of Object.values(keys)) {
+            const state = stateOf(await db.findOne('loginThrottle', { id: key }), now);
+            if (state.failures >= POLICY[kindOf(key)].captchaAfter) verdict.captcha = true;
+            const wait = waitFor(key, state, now);
+            if (wait && wait.retryAfter > verdict.retryAfter) {
+                Object.assign(verdict, { allowed: false, retryAfter: wait.retryAfter, locked: wait.locked });
+            }
+        }
+        return verdict;
+    }
+
+    // Counts a failure against every key. Resolves to the kinds ('ip', 'account') that just became locked.
+    async fail(keys) {
+        const now = this.now();
+        return db.transaction(tx => {
+            const lockedNow = [];
+            for (const [kind, key] of Object.entries(keys)) {
+                const row = tx.findOne('loginThrottle', { id: key });
+                const state = stateOf(row, now);
+                const failures = state.failures + 1;
+                const policy = POLICY[kind];
+                let lockedUntil = state.lockedUntil;
+                if (failures % policy.lockAfter === 0) {
+                    lockedUntil = now + policy.lockMs;
+                    lockedNow.push(kind);
+                }
+                const next = { failures, lastFailureAt: now, lockedUntil };
+                if (row) tx.update('loginThrottle', key, next);
+                else tx.insert('loginThrottle', { id: key, ...next });
+            }
+            return lockedNow;
+        });
+    }
+
+    // A correct password clears the account's record; the IP keeps its history.
+    async succeed(keys) {
+        await db.remove('loginThrottle', keys.account);
+    }
+}
+
+export { LoginThrottle };
+
+export default new LoginThrottle();
@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+import db from '../model/db.js';
+
+const SECRET = process.env.TOKEN_SECRET || process.env.SESSION_SECRET || 'broker-dev-secret';
+
+export const TOKEN_TTL = {
+    verifyEmail: 48 * 60 * 60 * 1000,
+    resetPassword: 30 * 60 * 1000
+};
+
+function signature(body) {
+    return crypto.createHmac('sha256', SECRET).update(body).digest('base64url');
+}
+
+/**
+ * Stateless signed token: `base64url(payload).signature`. The payload names
+ * the user, what the token is for and when it expires; `jti` lets a token
+ * be spent exactly once.
+ */
+export function issueToken(userId, purpose) {
+    const payload = { sub: userId, purpose, exp: Date.now() + TOKEN_TTL[purpose], jti: crypto.randomUUID() };
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${signature(body)}`;
+}
+
+// Payload of a well-formed, correctly signed, unexpired token for `purpose`; null otherwise.
+export function readToken(token, purpose) {
+    const [body, sig] = String(token || '').split('.');
+    if (!body || !sig) return null;
+    const expected = Buffer.from(signature(body));
+    const given = Buffer.from(sig);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (err) {
+        return null;
+    }
+    if (payload.purpose !== purpose || payload.exp < Date.now()) return null;
+    return payload;
+}
+
+/**
+ * Checks the token and marks it used in one step. Returns the payload the
+ * first time, null on every later attempt.
+ */
+export async function consumeToken(token, purpose) {
+    const payload = readToken(token, purpose);
+    if (!payload) return null;
+    return db.transaction(tx => {
+        if (tx.findOne('usedTokens', { id: payload.jti })) return null;
+        tx.insert('usedTokens', { id: payload.jti, purpose, expires: payload.exp });
+        return payload;
+    });
+}
@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+export function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let out = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += ALPHABET[(value << (5 - bits)) & 31];
+    return out;
+}
+
+export function base32Decode(text) {
+    let bits = 0;
+    let value = 0;
+    const out = [];
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        const index = ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            out.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(out);
+}
+
+export function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+export function timeStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// RFC 6238 code for one 30-second step (HMAC-SHA1, 6 digits, as authenticator apps expect).
+export function codeAt(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Returns the matching time step, or null. One step of drift either way is
+ * accepted; callers store the step to refuse the same code twice.
+ */
+export function verifyCode(secret, code, now = Date.now()) {
+    const clean = String(code || '').replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(clean)) return null;
+    const current = timeStep(now);
+    for (const step of [current - 1, current, current + 1]) {
+        const expected = codeAt(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return step;
+    }
+    return null;
+}
+
+export function otpauthUrl(secret, account, issuer = 'Broker') {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import User from '../model/User.js';
+import db from '../model/db.js';
+import { seal, open } from '../config/secretBox.js';
+import { generateSecret, verifyCode, otpauthUrl } from './totp.js';
+import throttle, { throttleKeys, waitMessage } from './throttle.js';
+
+const RECOVERY_CODES = 10;
+
+const hashCode = code => crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+export const isEnabled = user => Boolean(user && user.twoFactor && user.twoFactor.enabled);
+
+/**
+ * TOTP second factor. The seed is sealed on the user record; recovery codes
+ * are stored as hashes and each works once. The last accepted time step is
+ * remembered so an observed code cannot be replayed.
+ */
+const twoFactor = {
+    // Seed plus what the enrollment page shows; nothing is saved yet. Pass `secret` to redraw an existing one.
+    async startEnrollment(user, secret = generateSecret()) {
+        const url = otpauthUrl(secret, user.email);
+        return { secret, qrSvg: await QRCode.toString(url, { type: 'svg', margin: 1 }) };
+    },
+
+    // Confirms the user's app produces valid codes, then turns 2FA on. Returns the recovery codes, or null.
+    async enable(user, secret, code) {
+        const step = verifyCode(secret, code);
+        if (step === null) return null;
+        const recoveryCodes = Array.from({ length: RECOVERY_CODES }, () => {
+            const raw = crypto.randomBytes(5).toString('hex');
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+        await User.update(user.id, {
+            twoFactor: {
+                enabled: true,
+                secret: seal(secret),
+                lastStep: step,
+                recoveryCodes: recoveryCodes.map(hashCode),
+                enabledAt: new Date().toISOString()
+            }
+        });
+        return recoveryCodes;
+    },
+
+    async disable(user) {
+        await User.update(user.id, { twoFactor: null });
+    },
+
+    /**
+     * Accepts either a current TOTP code or an unused recovery code and
+     * records that it was used, in one transaction so two requests cannot
+     * spend the same code.
+     */
+    async verify(userId, code) {
+        return db.transaction(tx => {
+            const user = tx.findOne('users', { id: userId });
+            if (!isEnabled(user)) return false;
+            const tf = user.twoFactor;
+
+            const step = verifyCode(open(tf.secret), code);
+            if (step !== null) {
+                if (step <= tf.lastStep) return false;
+                tx.update('users', user.id, { twoFactor: { ...tf, lastStep: step } });
+                return true;
+            }
+
+            const hash = hashCode(String(code || ''));
+            if (!tf.recoveryCodes.includes(hash)) return false;
+            tx.update('users', user.id, { twoFactor: { ...tf, recoveryCodes: tf.recoveryCodes.filter(h => h !== hash) } });
+            return true;
+        });
+    },
+
+    /**
+     * Fresh proof of the second factor for sensitive actions. Returns an
+     * error message for the form, or null when the action may go ahead;
+     * users without 2FA are never asked. Wrong codes count against the
+     * same throttle budget as login attempts from `ip` for this account.
+     */
+    async stepUp(user, code, ip) {
+        if (!isEnabled(user)) return null;
+        if (!code) return 'enter your authenticator code';
+        const keys = throttleKeys(ip, user.email);
+        const verdict = await throttle.check(keys);
+        if (!verdict.allowed) return `too many attempts, try again in ${waitMessage(verdict.retryAfter)}`;
+        if (!await twoFactor.verify(user.id, code)) {
+            await throttle.fail(keys);
+            return 'that code is not valid';
+        }
+        await throttle.succeed(keys);
+        return null;
+    },
+
+    remainingRecoveryCodes: user => isEnabled(user) ? user.twoFactor.recoveryCodes.length : 0
+};
+
+export default twoFactor;
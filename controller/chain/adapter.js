@@ -0,0 +1,29 @@
+import SimulatedChain from './simulator.js';
+
+/**
+ * Everything funding code may ask of a blockchain. Adapters are
+ * EventEmitters and emit `'block'` with `{ height, transactions }`, where
+ * each transaction is `{ txid, asset, address, amount }` paid to an address.
+ * Amounts are decimal strings.
+ *
+ *   name                                  adapter identifier
+ *   start() / stop()                      begin and end watching the chain
+ *   newAddress(asset) -> address          fresh deposit address
+ *   isValidAddress(asset, address) -> bool
+ *   broadcast({ asset, address, amount }) -> { txid }
+ *   getTransaction(txid) -> { txid, confirmations, status: 'pending' | 'confirmed' | 'failed' } | null
+ *
+ * All methods except the validators return promises.
+ */
+const adapters = {
+    simulator: () => new SimulatedChain({ blockMs: Number(process.env.SIM_BLOCK_MS) || 5000 })
+};
+
+export function createChainAdapter(name = process.env.CHAIN_ADAPTER || 'simulator') {
+    if (!adapters[name]) throw new Error(`unknown CHAIN_ADAPTER "${name}"`);
+    return adapters[name]();
+}
+
+const chain = createChainAdapter();
+
+export default chain;
@@ -0,0 +1,99 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import db from '../model/db.js';
+
+const HEIGHT_ID = 'height';
+
+/**
+ * Offline stand-in for a real chain. A timer produces a block every
+ * `blockMs`, mining whatever was broadcast or injected since the last one.
+ * Its transactions live in the `simChain` table so confirmations keep
+ * counting across restarts.
+ *
+ * `inject` fakes an incoming payment from outside, and `failNext` makes the
+ * next broadcast fail, so every branch of the funding flow can be exercised.
+ */
+export default class SimulatedChain extends EventEmitter {
+    constructor({ blockMs = 5000 } = {}) {
+        super();
+        this.name = 'simulator';
+        this.blockMs = blockMs;
+        this.timer = null;
+        this.failNextBroadcast = false;
+    }
+
+    async height() {
+        const row = await db.findOne('simChain', { id: HEIGHT_ID });
+        return row ? row.value : 0;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.mine().catch(err => console.error('simulated block failed', err));
+        }, this.blockMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Mines one block right away; returns it.
+    async mine() {
+        const block = await db.transaction(tx => {
+            const heightRow = tx.findOne('simChain', { id: HEIGHT_ID });
+            const height = (heightRow ? heightRow.value : 0) + 1;
+            if (heightRow) tx.update('simChain', HEIGHT_ID, { value: height });
+            else tx.insert('simChain', { id: HEIGHT_ID, value: height });
+
+            const transactions = [];
+            for (const row of tx.find('simChain', r => r.txid && r.blockHeight === null)) {
+                const mined = tx.update('simChain', row.id, { blockHeight: height });
+                if (mined.failed) continue;
+                transactions.push({ txid: mined.txid, asset: mined.asset, address: mined.address, amount: mined.amount });
+            }
+            return { height, transactions };
+        });
+        this.emit('block', block);
+        return block;
+    }
+
+    async newAddress(asset) {
+        return `sim${asset.toLowerCase()}1${crypto.randomBytes(16).toString('hex')}`;
+    }
+
+    isValidAddress(asset, address) {
+        return new RegExp(`^sim${asset.toLowerCase()}1[0-9a-f]{32}$`).test(address);
+    }
+
+    async _queue(asset, address, amount, failed = false) {
+        const txid = crypto.randomBytes(32).toString('hex');
+        await db.insert('simChain', { txid, asset, address, amount, blockHeight: null, failed });
+        return { txid };
+    }
+
+    async broadcast({ asset, address, amount }) {
+        const failed = this.failNextBroadcast;
+        this.failNextBroadcast = false;
+        return this._queue(asset, address, amount, failed);
+    }
+
+    // Pretends someone outside the exchange paid `amount` to `address`.
+    async inject(asset, address, amount) {
+        return this._queue(asset, address, amount);
+    }
+
+    failNext() {
+        this.failNextBroadcast = true;
+    }
+
+    async getTransaction(txid) {
+        const row = await db.findOne('simChain', { txid });
+        if (!row) return null;
+        if (row.failed && row.blockHeight !== null) return { txid, confirmations: 0, status: 'failed' };
+        const confirmations = row.blockHeight === null ? 0 : (await this.height()) - row.blockHeight + 1;
+        return { txid, confirmations, status: confirmations > 0 ? 'confirmed' : 'pending' };
+    }
+}
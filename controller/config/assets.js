@@ -0,0 +1,7 @@
+import registry from './registry.js';
+
+// Assets the exchange holds balances in, with the number of decimals shown to users.
+// Defined in markets.json; see registry.js.
+const assets = registry.assets;
+
+export default assets;
@@ -0,0 +1,8 @@
+import fs from 'fs';
+
+export const MARKETS_FILE = process.env.MARKETS_FILE || new URL('./markets.json', import.meta.url);
+
+// The raw market definitions. Kept apart from registry.js so migrations can read decimals without the database.
+export function readMarketsFile() {
+    return JSON.parse(fs.readFileSync(MARKETS_FILE, 'utf8'));
+}
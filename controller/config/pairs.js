@@ -0,0 +1,6 @@
+import registry from './registry.js';
+
+// Markets the matching engine runs a book for. Defined in markets.json; see registry.js.
+const pairs = registry.pairs;
+
+export default pairs;
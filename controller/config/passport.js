@@ -1,17 +1,37 @@
 
-import passport, { localstrategy} from 'passport';
-import bcrypt from 'bcrypt';
-import User from '../models/User.js'
+import passport from 'passport';
+import { Strategy as LocalStrategy } from 'passport-local';
+import bcrypt from 'bcryptjs';
+import User from '../model/User.js'
+import ApiKey from '../model/ApiKey.js';
+import HmacStrategy from './hmacStrategy.js';
 
 
-passport.use(new localstrategy(async (username, password, cb) => {
-    const user = User.findByEmail(email)
-    if (!user) return cb(null, false, {message: "user not found"});
-    
-    const validatePassword = bcrypt.compare(password, user.password);
-    if (!validatePassword) return cb(null, false, { message: "enter a valid password"});
+// One answer for an unknown email and a wrong password, so the form does not tell which addresses have accounts.
+const INVALID_CREDENTIALS = { field: 'password', message: 'incorrect email or password' };
+// Compared against when there is no user, so both cases take as long.
+const NO_USER_HASH = bcrypt.hashSync('', 10);
 
-    if (user && validatePassword) return cb(null, user)
+passport.use(new LocalStrategy({ usernameField: 'email' }, async (email, password, cb) => {
+    try {
+        const user = await User.findByEmail(email)
+        const validatePassword = await bcrypt.compare(password, user ? user.password : NO_USER_HASH);
+        if (!user || !validatePassword) return cb(null, false, INVALID_CREDENTIALS);
+
+        return cb(null, user)
+    } catch (err) {
+        return cb(err);
+    }
+}));
+
+// Programmatic access: signed requests made with a per-user API key.
+passport.use(new HmacStrategy((keyId, cb) => {
+    ApiKey.findActiveWithSecret(keyId)
+        .then(async (key) => {
+            if (!key) return cb(null, false);
+            cb(null, key, await User.findById(key.userId));
+        })
+        .catch(cb);
 }));
 
 passport.serializeUser((user, cb) => {
@@ -19,6 +39,9 @@ passport.serializeUser((user, cb) => {
 })
 
 passport.deserializeUser((id, cb) => {
-    const user = User.findById(id);
-    cb(null, user);
+    User.findById(id)
+        .then(user => cb(null, user || false))
+        .catch(cb);
 })
+
+export default passport;
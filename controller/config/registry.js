@@ -0,0 +1,183 @@
+import db from '../model/db.js';
+import Money, { MoneyError } from '../model/Money.js';
+import { readMarketsFile } from './marketsFile.js';
+
+export const PAIR_STATUSES = ['trading', 'halted', 'post-only'];
+// Asset fields staff may change at runtime. Symbols, decimals and base/quote only change in the file.
+const ASSET_FIELDS = ['withdrawalFee', 'minWithdrawal'];
+const MAX_FEE_RATE = 0.05;
+
+export class RegistryError extends Error {
+    constructor(message, code, field) {
+        super(message);
+        this.name = 'RegistryError';
+        this.code = code;
+        this.field = field;
+    }
+}
+
+// Fee rates are plain fractions, not amounts.
+function rate(value, field) {
+    const n = typeof value === 'number' ? value : Number(String(value).trim());
+    if (String(value).trim() === '' || !Number.isFinite(n) || n < 0) {
+        throw new RegistryError(`${field} must be a number of at least 0`, 'E_VALIDATION', field);
+    }
+    return n;
+}
+
+// An amount of `asset` for a config field, stored as its fixed-point string.
+function decimal(value, field, asset, { positive = false } = {}) {
+    let parsed;
+    try {
+        parsed = Money.parse(String(value).trim(), asset.decimals);
+    } catch (err) {
+        if (!(err instanceof MoneyError)) throw err;
+        const problem = err.code === 'E_PRECISION' ? `has more than ${asset.decimals} decimals` : 'must be a number';
+        throw new RegistryError(`${field} ${problem}`, 'E_VALIDATION', field);
+    }
+    if (positive ? !parsed.isPositive() : parsed.isNegative()) {
+        throw new RegistryError(`${field} must be ${positive ? 'above' : 'at least'} 0`, 'E_VALIDATION', field);
+    }
+    return parsed.toString();
+}
+
+/**
+ * Assets, pairs and fee schedules the exchange runs with. Defaults come from
+ * `markets.json` (or MARKETS_FILE); changes made from the admin screen are
+ * stored as overrides in the `marketOverrides` table and laid over the file
+ * by `load()`. The `assets` and `pairs` arrays and their objects are updated
+ * in place, so modules that imported them always see current values.
+ */
+const registry = {
+    assets: [],
+    pairs: [],
+    feeSchedules: {},
+
+    asset(symbol) {
+        return registry.assets.find(a => a.symbol === symbol) || null;
+    },
+
+    pair(symbol) {
+        return registry.pairs.find(p => p.symbol === symbol) || null;
+    },
+
+    // Reads the file. Runs at import so anything loaded before the database still sees every market.
+    loadFile() {
+        const config = readMarketsFile();
+        registry.assets.splice(0, registry.assets.length, ...config.assets.map(a => ({ ...a })));
+        for (const name of Object.keys(registry.feeSchedules)) delete registry.feeSchedules[name];
+        for (const [name, schedule] of Object.entries(config.feeSchedules)) {
+            registry.feeSchedules[name] = registry.feeSchedulePatch(name, schedule);
+        }
+        registry.pairs.splice(0, registry.pairs.length, ...config.pairs.map(p => ({ ...p })));
+        for (const pair of registry.pairs) {
+            if (!registry.asset(pair.base) || !registry.asset(pair.quote)) {
+                throw new RegistryError(`${pair.symbol} uses an unknown asset`, 'E_CONFIG');
+            }
+            Object.assign(pair, registry.pairPatch(pair.symbol, pair));
+        }
+        for (const asset of registry.assets) Object.assign(asset, registry.assetPatch(asset.symbol, asset));
+    },
+
+    // Applies stored admin overrides. Call once at startup after the database is ready.
+    async load() {
+        registry.loadFile();
+        for (const row of await db.find('marketOverrides')) registry.apply(row.id, row.patch);
+    },
+
+    /**
+     * Validated changes for one asset: `{ withdrawalFee, minWithdrawal }`.
+     * Only the known fields are read from `input`; missing ones keep their value.
+     */
+    assetPatch(symbol, input) {
+        const asset = registry.asset(symbol);
+        if (!asset) throw new RegistryError(`unknown asset "${symbol}"`, 'E_ASSET');
+        const patch = {};
+        for (const field of ASSET_FIELDS) {
+            if (input[field] === undefined) continue;
+            patch[field] = decimal(input[field], field, asset);
+        }
+        return patch;
+    },
+
+    pairPatch(symbol, input) {
+        const pair = registry.pair(symbol);
+        if (!pair) throw new RegistryError(`unknown pair "${symbol}"`, 'E_PAIR');
+        const base = registry.asset(pair.base);
+        const quote = registry.asset(pair.quote);
+        const patch = {};
+        if (input.tickSize !== undefined) patch.tickSize = decimal(input.tickSize, 'tickSize', quote, { positive: true });
+        if (input.lotSize !== undefined) patch.lotSize = decimal(input.lotSize, 'lotSize', base, { positive: true });
+        if (input.minNotional !== undefined) patch.minNotional = decimal(input.minNotional, 'minNotional', quote);
+        if (input.referencePrice !== undefined) patch.referencePrice = decimal(input.referencePrice, 'referencePrice', quote, { positive: true });
+        if (input.status !== undefined) {
+            if (!PAIR_STATUSES.includes(input.status)) throw new RegistryError(`status must be one of ${PAIR_STATUSES.join(', ')}`, 'E_VALIDATION', 'status');
+            patch.status = input.status;
+        }
+        if (input.feeSchedule !== undefined) {
+            if (!registry.feeSchedules[input.feeSchedule]) throw new RegistryError(`unknown fee schedule "${input.feeSchedule}"`, 'E_VALIDATION', 'feeSchedule');
+            patch.feeSchedule = input.feeSchedule;
+        }
+        return patch;
+    },
+
+    /**
+     * A schedule is `{ volumeAsset, tiers: [{ minVolume, maker, taker }] }`.
+     * Tiers start at volume 0 and must rise strictly; rates are fractions of
+     * the amount received (0.001 = 0.1%).
+     */
+    feeSchedulePatch(name, { volumeAsset, tiers }) {
+        const current = registry.feeSchedules[name];
+        const asset = volumeAsset || (current && current.volumeAsset);
+        if (!registry.asset(asset)) throw new RegistryError(`fee schedule "${name}" needs a known volumeAsset`, 'E_VALIDATION', 'volumeAsset');
+        if (!Array.isArray(tiers) || !tiers.length) throw new RegistryError('a fee schedule needs at least one tier', 'E_VALIDATION', 'tiers');
+        const parsed = tiers.map(tier => ({
+            minVolume: decimal(tier.minVolume, 'tiers', registry.asset(asset)),
+            maker: rate(tier.maker, 'tiers'),
+            taker: rate(tier.taker, 'tiers')
+        }));
+        if (!Money.parse(parsed[0].minVolume).isZero()) throw new RegistryError('the first tier must start at volume 0', 'E_VALIDATION', 'tiers');
+        for (let i = 0; i < parsed.length; i++) {
+            if (i > 0 && Money.parse(parsed[i].minVolume).lte(parsed[i - 1].minVolume)) throw new RegistryError('tier volumes must increase', 'E_VALIDATION', 'tiers');
+            if (parsed[i].maker > MAX_FEE_RATE || parsed[i].taker > MAX_FEE_RATE) throw new RegistryError(`fee rates may not exceed ${MAX_FEE_RATE}`, 'E_VALIDATION', 'tiers');
+        }
+        return { volumeAsset: asset, tiers: parsed };
+    },
+
+    // Override ids are `asset:<symbol>`, `pair:<symbol>` or `fees:<schedule>`.
+    apply(id, patch) {
+        const [kind, key] = id.split(':');
+        if (kind === 'asset' && registry.asset(key)) Object.assign(registry.asset(key), patch);
+        else if (kind === 'pair' && registry.pair(key)) Object.assign(registry.pair(key), patch);
+        else if (kind === 'fees' && registry.feeSchedules[key]) registry.feeSchedules[key] = patch;
+    },
+
+    // Stores an override inside `tx`, merged with any earlier one; call `apply` once the transaction commits.
+    saveWithin(tx, id, patch) {
+        const existing = tx.findOne('marketOverrides', { id });
+        const merged = id.startsWith('fees:') ? patch : { ...(existing ? existing.patch : {}), ...patch };
+        if (existing) tx.update('marketOverrides', id, { patch: merged });
+        else tx.insert('marketOverrides', { id, patch: merged });
+        return merged;
+    },
+
+    /**
+     * `value` as a Money at `symbol`'s precision. Throws MoneyError
+     * (E_PRECISION) if that drops digits, unless `rounding` says how.
+     */
+    amount(symbol, value, { rounding } = {}) {
+        const asset = registry.asset(symbol);
+        if (!asset) throw new RegistryError(`unknown asset "${symbol}"`, 'E_ASSET');
+        return Money.parse(value, asset.decimals, { rounding });
+    },
+
+    // Maker and taker rates for someone who traded `volume` (in the schedule's volumeAsset) recently.
+    feeTier(scheduleName, volume) {
+        const { tiers } = registry.feeSchedules[scheduleName];
+        return tiers.reduce((found, tier) => (Money.parse(volume).gte(tier.minVolume) ? tier : found), tiers[0]);
+    }
+};
+
+registry.loadFile();
+
+export default registry;
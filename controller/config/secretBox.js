@@ -0,0 +1,21 @@
+import crypto from 'crypto';
+
+// Older installs only set API_KEY_ENCRYPTION_SECRET; keep reading it so stored secrets still open.
+const KEY = crypto.createHash('sha256')
+    .update(process.env.ENCRYPTION_SECRET || process.env.API_KEY_ENCRYPTION_SECRET || 'broker-dev-api-key-secret')
+    .digest();
+
+// AES-256-GCM for secrets the server must read back later (API key secrets, TOTP seeds).
+export function seal(plain) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', KEY, iv);
+    const data = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join('.');
+}
+
+export function open(sealed) {
+    const [iv, tag, data] = sealed.split('.').map(s => Buffer.from(s, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
@@ -0,0 +1,58 @@
+import session from 'express-session';
+import db from '../model/db.js';
+
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * express-session store on top of the `sessions` table, so logins survive
+ * a restart together with the rest of the data.
+ */
+class DbSessionStore extends session.Store {
+    get(sid, cb) {
+        db.findOne('sessions', { id: sid })
+            .then(async (row) => {
+                if (!row) return cb(null, null);
+                if (row.expires <= Date.now()) {
+                    await db.remove('sessions', sid);
+                    return cb(null, null);
+                }
+                cb(null, row.sess);
+            })
+            .catch(cb);
+    }
+
+    set(sid, sess, cb = () => {}) {
+        const expires = sess.cookie && sess.cookie.expires
+            ? new Date(sess.cookie.expires).getTime()
+            : Date.now() + SESSION_TTL;
+        db.findOne('sessions', { id: sid })
+            .then(row => row
+                ? db.update('sessions', sid, { sess, expires })
+                : db.insert('sessions', { id: sid, sess, expires }))
+            .then(() => cb(null))
+            .catch(cb);
+    }
+
+    touch(sid, sess, cb) {
+        this.set(sid, sess, cb);
+    }
+
+    destroy(sid, cb = () => {}) {
+        db.remove('sessions', sid)
+            .then(() => cb(null))
+            .catch(cb);
+    }
+}
+
+export default session({
+    store: new DbSessionStore(),
+    secret: process.env.SESSION_SECRET || 'broker-dev-secret',
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_TTL
+    }
+});
@@ -0,0 +1,215 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import OrderBook from './OrderBook.js';
+import Money from '../model/Money.js';
+
+export const SIDES = ['buy', 'sell'];
+export const ORDER_TYPES = ['limit', 'market'];
+export const TIME_IN_FORCE = ['GTC', 'IOC', 'FOK'];
+
+/**
+ * In-memory matching for every pair. The engine is synchronous and knows
+ * nothing about balances or storage: callers hand it validated orders and
+ * react to what it emits. Prices and sizes on orders, trades and levels are
+ * Money.
+ *
+ * Events:
+ *   'trade' (trade)                 a fill between a maker and a taker
+ *   'order' (order)                 an order changed status or remaining size
+ *   'level' ({ pair, side, price, size })  aggregated size at a price changed
+ *
+ * `now` and `nextId` are injectable so a run can be replayed exactly.
+ * `selfTrade` decides what happens when a taker would hit its owner's own
+ * resting order: 'cancelTaker' (default) stops the taker, 'cancelMaker'
+ * removes the resting order and keeps matching.
+ */
+export default class MatchingEngine extends EventEmitter {
+    constructor({ now = () => Date.now(), nextId = () => crypto.randomUUID(), selfTrade = 'cancelTaker' } = {}) {
+        super();
+        this.now = now;
+        this.nextId = nextId;
+        this.selfTrade = selfTrade;
+        this.books = new Map();
+        this.tradeSeq = 0;
+    }
+
+    book(pair) {
+        if (!this.books.has(pair)) this.books.set(pair, new OrderBook(pair));
+        return this.books.get(pair);
+    }
+
+    _crosses(taker, makerPrice) {
+        if (taker.type === 'market') return true;
+        return taker.side === 'buy' ? makerPrice.lte(taker.price) : makerPrice.gte(taker.price);
+    }
+
+    _emitLevel(book, side, price) {
+        this.emit('level', { pair: book.pair, side, price, size: book.levelSize(side, price) });
+    }
+
+    // Walks the opposite side without touching it. Self orders are skipped
+    // under 'cancelMaker' and end the walk under 'cancelTaker'.
+    _walk(taker, visit) {
+        const levels = taker.side === 'buy' ? this.book(taker.pair).asks : this.book(taker.pair).bids;
+        let remaining = taker.remaining;
+        for (const level of levels) {
+            if (!remaining.isPositive() || !this._crosses(taker, level.price)) break;
+            for (const maker of level.orders) {
+                if (!remaining.isPositive()) break;
+                if (maker.userId === taker.userId) {
+                    if (this.selfTrade === 'cancelTaker') return remaining;
+                    continue;
+                }
+                const quantity = Money.min(remaining, maker.remaining);
+                visit(level.price, quantity);
+                remaining = remaining.minus(quantity);
+            }
+        }
+        return remaining;
+    }
+
+    /**
+     * What a taker would get right now: filled base quantity and the quote
+     * it would cost or bring in, unrounded. Used to size holds for market orders.
+     */
+    quote({ pair, side, quantity, userId, type = 'market', price }) {
+        let filled = Money.zero();
+        let notional = Money.zero();
+        this._walk({ pair, side, type, price, userId, remaining: quantity }, (p, q) => {
+            filled = filled.plus(q);
+            notional = notional.plus(p.times(q));
+        });
+        return { filled, notional };
+    }
+
+    /**
+     * Matches `order` and rests any GTC limit remainder. The order object is
+     * updated in place; returns `{ order, trades, changes }`, where `changes`
+     * holds what each resting order looked like before, for revert().
+     */
+    place(input) {
+        const order = {
+            timeInForce: 'GTC',
+            ...input,
+            remaining: input.remaining !== undefined ? input.remaining : input.quantity,
+            status: 'open',
+            createdAt: input.createdAt || this.now()
+        };
+        if (order.type === 'market') order.timeInForce = 'IOC';
+        const book = this.book(order.pair);
+        const trades = [];
+        const changes = [];
+
+        if (order.timeInForce === 'FOK' && this._walk(order, () => {}).isPositive()) {
+            order.status = 'cancelled';
+            order.reason = 'fok_unfilled';
+            this.emit('order', order);
+            return { order, trades, changes };
+        }
+
+        while (order.remaining.isPositive()) {
+            const level = book.bestOpposite(order.side);
+            if (!level || !this._crosses(order, level.price)) break;
+            const maker = level.orders[0];
+            const before = { order: maker, remaining: maker.remaining, status: maker.status, reason: maker.reason, removed: false };
+            changes.push(before);
+
+            if (maker.userId === order.userId) {
+                if (this.selfTrade === 'cancelTaker') {
+                    changes.pop();
+                    order.reason = 'self_trade';
+                    break;
+                }
+                book.remove(maker.id);
+                before.removed = true;
+                maker.status = 'cancelled';
+                maker.reason = 'self_trade';
+                this.emit('order', maker);
+                this._emitLevel(book, maker.side, maker.price);
+                continue;
+            }
+
+            const quantity = Money.min(order.remaining, maker.remaining);
+            const trade = {
+                id: this.nextId(),
+                seq: ++this.tradeSeq,
+                pair: order.pair,
+                price: maker.price,
+                quantity,
+                takerSide: order.side,
+                makerOrderId: maker.id,
+                takerOrderId: order.id,
+                buyOrderId: order.side === 'buy' ? order.id : maker.id,
+                sellOrderId: order.side === 'sell' ? order.id : maker.id,
+                buyerId: order.side === 'buy' ? order.userId : maker.userId,
+                sellerId: order.side === 'sell' ? order.userId : maker.userId,
+                timestamp: this.now()
+            };
+            maker.remaining = maker.remaining.minus(quantity);
+            order.remaining = order.remaining.minus(quantity);
+            if (!maker.remaining.isPositive()) {
+                book.remove(maker.id);
+                before.removed = true;
+                maker.status = 'filled';
+            } else {
+                maker.status = 'partially_filled';
+            }
+            trades.push(trade);
+            this.emit('trade', trade);
+            this.emit('order', maker);
+            this._emitLevel(book, maker.side, maker.price);
+        }
+
+        if (!order.remaining.isPositive()) {
+            order.status = 'filled';
+        } else if (order.type === 'limit' && order.timeInForce === 'GTC' && !order.reason) {
+            order.status = trades.length ? 'partially_filled' : 'open';
+            book.add(order);
+            this._emitLevel(book, order.side, order.price);
+        } else {
+            order.status = 'cancelled';
+            order.reason = order.reason || (order.type === 'market' ? 'no_liquidity' : 'ioc_remainder');
+        }
+        this.emit('order', order);
+        return { order, trades, changes };
+    }
+
+    /**
+     * Undoes a place() whose result could not be stored: takes the order off
+     * the book and puts every resting order it touched back as it was, at
+     * the head of its level. Only valid before anything else has matched, so
+     * callers revert in the same synchronous step as the place().
+     */
+    revert({ order, trades, changes }) {
+        const book = this.book(order.pair);
+        if (book.remove(order.id)) this._emitLevel(book, order.side, order.price);
+        for (const { order: maker, removed, ...fields } of [...changes].reverse()) {
+            Object.assign(maker, fields);
+            if (removed) book.add(maker, { front: true });
+            this._emitLevel(book, maker.side, maker.price);
+        }
+        this.tradeSeq -= trades.length;
+    }
+
+    // Puts a previously accepted order back without matching, e.g. after a restart.
+    restore(order) {
+        const book = this.book(order.pair);
+        book.add(order);
+        this._emitLevel(book, order.side, order.price);
+    }
+
+    cancel(pair, id) {
+        const book = this.book(pair);
+        const order = book.remove(id);
+        if (!order) return null;
+        order.status = 'cancelled';
+        order.reason = 'user';
+        this.emit('order', order);
+        this._emitLevel(book, order.side, order.price);
+        return order;
+    }
+
+    depth(pair, limit) {
+        return this.book(pair).depth(limit);
+    }
+}
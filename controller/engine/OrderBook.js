@@ -0,0 +1,73 @@
+import Money from '../model/Money.js';
+
+const sizeOf = level => level.orders.reduce((sum, o) => sum.plus(o.remaining), Money.zero());
+
+/**
+ * One side-by-side bid/ask book for a single pair. Price levels are kept
+ * sorted best-first and each level is a FIFO queue, which gives
+ * price-time priority without any extra bookkeeping.
+ */
+export default class OrderBook {
+    constructor(pair) {
+        this.pair = pair;
+        this.bids = []; // [{ price, orders: [] }] highest price first
+        this.asks = []; // lowest price first
+        this.index = new Map(); // order id -> order
+    }
+
+    _side(side) {
+        return side === 'buy' ? this.bids : this.asks;
+    }
+
+    // True when `price` sorts ahead of `other` on the given side.
+    _better(side, price, other) {
+        return side === 'buy' ? price.gt(other) : price.lt(other);
+    }
+
+    // `front` puts the order ahead of its level's queue, for undoing a fill that removed it.
+    add(order, { front = false } = {}) {
+        const levels = this._side(order.side);
+        let lo = 0;
+        let hi = levels.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this._better(order.side, levels[mid].price, order.price)) lo = mid + 1;
+            else hi = mid;
+        }
+        if (levels[lo] && levels[lo].price.eq(order.price)) levels[lo].orders[front ? 'unshift' : 'push'](order);
+        else levels.splice(lo, 0, { price: order.price, orders: [order] });
+        this.index.set(order.id, order);
+    }
+
+    remove(id) {
+        const order = this.index.get(id);
+        if (!order) return null;
+        const levels = this._side(order.side);
+        const at = levels.findIndex(l => l.price.eq(order.price));
+        const level = levels[at];
+        level.orders.splice(level.orders.indexOf(order), 1);
+        if (!level.orders.length) levels.splice(at, 1);
+        this.index.delete(id);
+        return order;
+    }
+
+    get(id) {
+        return this.index.get(id) || null;
+    }
+
+    // Best level on the side a taker of `takerSide` would hit.
+    bestOpposite(takerSide) {
+        return (takerSide === 'buy' ? this.asks : this.bids)[0] || null;
+    }
+
+    levelSize(side, price) {
+        const level = this._side(side).find(l => l.price.eq(price));
+        return level ? sizeOf(level) : Money.zero();
+    }
+
+    // Aggregated depth, `limit` levels per side.
+    depth(limit = 50) {
+        const aggregate = levels => levels.slice(0, limit).map(l => [l.price, sizeOf(l)]);
+        return { bids: aggregate(this.bids), asks: aggregate(this.asks) };
+    }
+}
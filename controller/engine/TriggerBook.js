@@ -0,0 +1,87 @@
+import Money from '../model/Money.js';
+
+export const TRIGGER_TYPES = ['stop_market', 'stop_limit', 'take_profit', 'take_profit_limit', 'trailing_stop'];
+
+// The plain order each type turns into once it fires.
+export const FIRES_AS = {
+    stop_market: 'market',
+    stop_limit: 'limit',
+    take_profit: 'market',
+    take_profit_limit: 'limit',
+    trailing_stop: 'market'
+};
+
+/**
+ * True when `price` has reached the trigger. Stops (and trailing stops) fire
+ * when the price moves against the position: a sell stop at or below its
+ * stop price, a buy stop at or above. Take-profits fire the other way round.
+ */
+export function isTriggered(trigger, price) {
+    const takeProfit = trigger.type === 'take_profit' || trigger.type === 'take_profit_limit';
+    const fallsTo = (trigger.side === 'sell') !== takeProfit;
+    return fallsTo ? price.lte(trigger.stopPrice) : price.gte(trigger.stopPrice);
+}
+
+/**
+ * Stop price trailing `extreme` (the best price seen since placement: the
+ * high for a sell, the low for a buy) by an absolute `trailingOffset` or a
+ * `trailingPercent`. Percent stops are rounded away from the market to
+ * `decimals`.
+ */
+export function trailingStopPrice({ side, trailingOffset, trailingPercent }, extreme, decimals) {
+    const sign = side === 'sell' ? -1 : 1;
+    if (trailingOffset) return sign < 0 ? extreme.minus(trailingOffset) : extreme.plus(trailingOffset);
+    const factor = Money.parse(100).plus(Money.parse(trailingPercent).times(sign));
+    return extreme.times(factor).div(100, { scale: decimals, rounding: sign < 0 ? 'down' : 'up' });
+}
+
+/**
+ * Pending conditional orders for one pair, checked against each traded
+ * price. Like the order book it only keeps state in memory; callers persist
+ * whatever `onPrice` reports. Prices on triggers are Money.
+ */
+export default class TriggerBook {
+    constructor(pair, { decimals }) {
+        this.pair = pair;
+        this.decimals = decimals;
+        this.triggers = new Map(); // id -> trigger, in placement order
+    }
+
+    add(trigger) {
+        this.triggers.set(trigger.id, trigger);
+    }
+
+    remove(id) {
+        const trigger = this.triggers.get(id) || null;
+        this.triggers.delete(id);
+        return trigger;
+    }
+
+    get(id) {
+        return this.triggers.get(id) || null;
+    }
+
+    /**
+     * Moves trailing stops after a trade at `price`, then takes out every
+     * trigger the price reached. Returns `{ fired, trailed }`, both in
+     * placement order; `trailed` lists stops whose stop price moved and
+     * did not fire.
+     */
+    onPrice(price) {
+        const fired = [];
+        const trailed = [];
+        for (const trigger of this.triggers.values()) {
+            if (trigger.type === 'trailing_stop') {
+                const better = !trigger.extreme || (trigger.side === 'sell' ? price.gt(trigger.extreme) : price.lt(trigger.extreme));
+                if (better) {
+                    trigger.extreme = price;
+                    trigger.stopPrice = trailingStopPrice(trigger, price, this.decimals);
+                }
+                if (!isTriggered(trigger, price) && better) trailed.push(trigger);
+            }
+            if (isTriggered(trigger, price)) fired.push(trigger);
+        }
+        for (const trigger of fired) this.triggers.delete(trigger.id);
+        return { fired, trailed };
+    }
+}
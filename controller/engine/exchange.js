@@ -0,0 +1,296 @@
+import { EventEmitter } from 'events';
+import MatchingEngine, { SIDES, ORDER_TYPES, TIME_IN_FORCE } from './MatchingEngine.js';
+import Ledger, { LedgerError } from '../model/Ledger.js';
+import Order, { OPEN_STATUSES } from '../model/Order.js';
+import db from '../model/db.js';
+import Money, { MoneyError } from '../model/Money.js';
+import registry from '../config/registry.js';
+import { feeRatesFor } from './fees.js';
+
+export class TradingError extends Error {
+    constructor(message, code, field) {
+        super(message);
+        this.name = 'TradingError';
+        this.code = code;
+        this.field = field;
+    }
+}
+
+// Stored orders keep amounts as strings; the engine works on Money.
+function toEngine(row) {
+    return {
+        ...row,
+        price: row.price === null ? null : Money.parse(row.price),
+        quantity: Money.parse(row.quantity),
+        remaining: Money.parse(row.remaining)
+    };
+}
+
+export function decimalInput(value, field, code) {
+    try {
+        return Money.parse(value);
+    } catch (err) {
+        if (err instanceof MoneyError) throw new TradingError(`${field} must be a decimal number`, code, field);
+        throw err;
+    }
+}
+
+/**
+ * Glue between the matching engine, the ledger and storage. Funds are held
+ * before an order reaches the book, and every fill is settled (together with
+ * the order rows it touched) in one transaction.
+ *
+ * Rounding: a fill moves its notional rounded down to the quote asset's
+ * decimals, buy holds are rounded up, and fees are rounded half-up. A hold
+ * therefore always covers every fill it can be consumed by.
+ *
+ * Emits 'trade' and 'order' once the change is persisted, so listeners never
+ * see a fill that could still be rolled back.
+ */
+class Exchange extends EventEmitter {
+    constructor(engine) {
+        super();
+        this.engine = engine;
+        this.orderSeq = 0;
+    }
+
+    pair(symbol) {
+        return registry.pair(symbol);
+    }
+
+    // Rebuilds every book from resting orders. Must run before orders are accepted.
+    async restore() {
+        const open = await Order.findOpen();
+        const all = await db.find('orders');
+        this.orderSeq = all.reduce((max, o) => Math.max(max, o.seq || 0), 0);
+        this.engine.tradeSeq = (await db.find('trades')).reduce((max, t) => Math.max(max, t.seq || 0), 0);
+        for (const row of open) {
+            this.engine.restore(toEngine(row));
+        }
+        return open.length;
+    }
+
+    // `price` and `quantity` are Money (price null for market orders).
+    validate({ pair, side, type = 'limit', price, quantity, timeInForce = 'GTC', userId }) {
+        const market = this.pair(pair);
+        if (!market) throw new TradingError(`unknown pair "${pair}"`, 'E_PAIR', 'pair');
+        if (market.status === 'halted') throw new TradingError(`${pair} is halted`, 'E_HALTED', 'pair');
+        if (!SIDES.includes(side)) throw new TradingError('side must be buy or sell', 'E_SIDE', 'side');
+        if (!ORDER_TYPES.includes(type)) throw new TradingError('type must be limit or market', 'E_TYPE', 'type');
+        if (!TIME_IN_FORCE.includes(timeInForce)) throw new TradingError('timeInForce must be GTC, IOC or FOK', 'E_TIF', 'timeInForce');
+        if (!quantity || !quantity.isPositive()) throw new TradingError('quantity must be positive', 'E_QUANTITY', 'quantity');
+        if (!quantity.isMultipleOf(market.lotSize)) throw new TradingError(`quantity must be a multiple of ${market.lotSize}`, 'E_LOT_SIZE', 'quantity');
+        if (type === 'limit' && (!price || !price.isPositive())) throw new TradingError('price must be positive', 'E_PRICE', 'price');
+        if (type === 'limit' && !price.isMultipleOf(market.tickSize)) throw new TradingError(`price must be a multiple of ${market.tickSize}`, 'E_TICK_SIZE', 'price');
+
+        // Post-only markets only accept orders that rest on the book.
+        if (market.status === 'post-only') {
+            if (type === 'market') throw new TradingError(`${pair} is post-only; market orders are not accepted`, 'E_POST_ONLY', 'type');
+            if (this.engine.quote({ pair, side, quantity, userId, type, price }).filled.isPositive()) {
+                throw new TradingError(`${pair} is post-only and this order would trade immediately`, 'E_POST_ONLY', 'price');
+            }
+        }
+        const notional = type === 'limit' ? price.times(quantity) : this.engine.quote({ pair, side, quantity, userId }).notional;
+        if (notional.lt(market.minNotional)) {
+            throw new TradingError(`order value must be at least ${market.minNotional} ${market.quote}`, 'E_MIN_NOTIONAL', 'quantity');
+        }
+    }
+
+    // Asset and amount to hold so every possible fill of `order` is covered.
+    _holdFor(order) {
+        const { base, quote } = this.pair(order.pair);
+        if (order.side === 'sell') return { asset: base, amount: order.quantity };
+        if (order.type === 'limit') return { asset: quote, amount: registry.amount(quote, order.price.times(order.quantity), { rounding: 'up' }) };
+        const { notional } = this.engine.quote(order);
+        if (!notional.isPositive()) throw new TradingError('no liquidity for a market order', 'E_LIQUIDITY');
+        return { asset: quote, amount: registry.amount(quote, notional, { rounding: 'up' }) };
+    }
+
+    // `options.within` is handed to _open(), to store something in the same transaction as the order.
+    async placeOrder(userId, params, options = {}) {
+        const input = {
+            pair: params.pair,
+            side: params.side,
+            type: params.type || 'limit',
+            price: params.type === 'market' || params.price === undefined ? null : decimalInput(params.price, 'price', 'E_PRICE'),
+            quantity: decimalInput(params.quantity, 'quantity', 'E_QUANTITY'),
+            timeInForce: params.type === 'market' ? 'IOC' : (params.timeInForce || 'GTC')
+        };
+        this.validate({ ...input, userId });
+        // Tick and lot sizes are multiples of the assets' units, so this never rounds.
+        const { base, quote } = this.pair(input.pair);
+        if (input.price) input.price = registry.amount(quote, input.price);
+        input.quantity = registry.amount(base, input.quantity);
+        return this._open(userId, input, options);
+    }
+
+    /**
+     * Holds funds for a validated order, stores it, runs it through the
+     * engine and settles what it matched, all in one transaction. Sizing the
+     * hold, matching and settling happen in one synchronous step, so a
+     * market buy fills against the same book its hold was priced from; if
+     * settling fails, the engine is put back as it was and nothing is stored.
+     * `within(tx, order)` runs inside the transaction just before the hold is
+     * posted, which lets a fired conditional order hand over its own hold
+     * atomically.
+     */
+    async _open(userId, input, { within } = {}) {
+        // Rates are fixed when the order is accepted so a tier change never reprices resting orders.
+        const fees = await feeRatesFor(userId, input.pair);
+
+        let hold = null;
+        const [row, stored, saved] = await db.transaction(tx => {
+            hold = this._holdFor({ ...input, userId });
+            const order = tx.insert('orders', {
+                ...input,
+                price: input.price && input.price.toString(),
+                quantity: input.quantity.toString(),
+                userId,
+                seq: ++this.orderSeq,
+                remaining: input.quantity.toString(),
+                filled: Money.zero(input.quantity.scale).toString(),
+                status: 'open',
+                reason: null,
+                heldAsset: hold.asset,
+                held: hold.amount.toString(),
+                makerFee: fees.maker,
+                takerFee: fees.taker
+            });
+            if (within) within(tx, order);
+            try {
+                Ledger.postWithin(tx, 'hold', [
+                    { owner: userId, asset: hold.asset, kind: 'available', amount: hold.amount.neg() },
+                    { owner: userId, asset: hold.asset, kind: 'held', amount: hold.amount }
+                ], { ref: order.id, memo: `hold for ${input.side} ${input.pair}` });
+            } catch (err) {
+                if (err instanceof LedgerError && err.code === 'E_INSUFFICIENT') {
+                    throw new TradingError(`insufficient ${hold.asset} balance`, 'E_INSUFFICIENT', 'quantity');
+                }
+                throw err;
+            }
+
+            // The engine is synchronous, so this collects exactly the orders this placement touched.
+            const touched = new Map();
+            const track = changed => touched.set(changed.id, changed);
+            this.engine.on('order', track);
+            let result;
+            try {
+                result = this.engine.place(toEngine(order));
+            } finally {
+                this.engine.off('order', track);
+            }
+            try {
+                return [order, ...this._settleWithin(tx, result.trades, [...touched.values()])];
+            } catch (err) {
+                this.engine.revert(result);
+                throw err;
+            }
+        });
+
+        this._publish(stored, saved);
+        return Order.findById(row.id);
+    }
+
+    /**
+     * Posts the ledger entries for `trades` and writes the new state of
+     * `orders` inside `tx`. Returns the stored trades and order rows. A fill
+     * that would take more than its order holds throws rather than dip into
+     * the holds of the owner's other orders.
+     */
+    _settleWithin(tx, trades, orders) {
+        const rows = new Map(orders.map(o => [o.id, tx.findOne('orders', { id: o.id })]));
+        const consumed = new Map();
+        const consume = (id, amount) => consumed.set(id, (consumed.get(id) || Money.zero()).plus(amount));
+
+        const inserted = [];
+        for (const trade of trades) {
+            const { base, quote } = this.pair(trade.pair);
+            const notional = registry.amount(quote, trade.price.times(trade.quantity), { rounding: 'down' });
+            Ledger.postWithin(tx, 'trade', [
+                { owner: trade.buyerId, asset: quote, kind: 'held', amount: notional.neg() },
+                { owner: trade.sellerId, asset: quote, kind: 'available', amount: notional },
+                { owner: trade.sellerId, asset: base, kind: 'held', amount: trade.quantity.neg() },
+                { owner: trade.buyerId, asset: base, kind: 'available', amount: trade.quantity }
+            ], { ref: trade.id, memo: `${trade.quantity} ${trade.pair} @ ${trade.price}` });
+            consume(trade.buyOrderId, notional);
+            consume(trade.sellOrderId, trade.quantity);
+
+            // Each side pays its fee out of what it just received: the buyer in base, the seller in quote.
+            const rateFor = (orderId) => {
+                const row = tx.findOne('orders', { id: orderId });
+                return (orderId === trade.makerOrderId ? row.makerFee : row.takerFee) || 0;
+            };
+            const buyerFee = registry.amount(base, trade.quantity.times(rateFor(trade.buyOrderId)), { rounding: 'half-up' });
+            const sellerFee = registry.amount(quote, notional.times(rateFor(trade.sellOrderId)), { rounding: 'half-up' });
+            for (const [owner, asset, fee] of [[trade.buyerId, base, buyerFee], [trade.sellerId, quote, sellerFee]]) {
+                if (!fee.isPositive()) continue;
+                Ledger.postWithin(tx, 'fee', [
+                    { owner, asset, kind: 'available', amount: fee.neg() },
+                    { owner: Ledger.SYSTEM, asset, kind: 'fees', amount: fee }
+                ], { ref: trade.id, memo: `${trade.pair} trading fee` });
+            }
+            inserted.push(tx.insert('trades', {
+                ...trade,
+                price: trade.price.toString(),
+                quantity: trade.quantity.toString(),
+                buyerFee: buyerFee.toString(),
+                sellerFee: sellerFee.toString()
+            }));
+        }
+
+        const updated = [];
+        for (const order of orders) {
+            const row = rows.get(order.id);
+            const isOpen = OPEN_STATUSES.includes(order.status);
+            const needed = !isOpen
+                ? Money.zero()
+                : order.side === 'buy' ? registry.amount(row.heldAsset, order.price.times(order.remaining), { rounding: 'up' }) : order.remaining;
+            const left = Money.parse(row.held).minus(consumed.get(order.id) || 0);
+            if (left.isNegative()) throw new TradingError(`fills of order ${order.id} exceed its hold`, 'E_HOLD');
+            const release = left.minus(needed);
+            if (release.isPositive()) {
+                Ledger.postWithin(tx, 'release', [
+                    { owner: row.userId, asset: row.heldAsset, kind: 'held', amount: release.neg() },
+                    { owner: row.userId, asset: row.heldAsset, kind: 'available', amount: release }
+                ], { ref: order.id, memo: 'release unused hold' });
+            }
+            updated.push(tx.update('orders', order.id, {
+                remaining: order.remaining.toString(),
+                filled: Money.parse(row.quantity).minus(order.remaining).toString(),
+                status: order.status,
+                reason: order.reason || null,
+                held: registry.amount(row.heldAsset, Money.max(0, release.isPositive() ? needed : left)).toString()
+            }));
+        }
+        return [inserted, updated];
+    }
+
+    _publish(trades, orders) {
+        for (const trade of trades) this.emit('trade', trade);
+        for (const order of orders) this.emit('order', order);
+    }
+
+    async cancelOrder(userId, orderId) {
+        const row = await Order.findById(orderId);
+        if (!row || row.userId !== userId) throw new TradingError('order not found', 'E_NOT_FOUND');
+        if (!OPEN_STATUSES.includes(row.status)) throw new TradingError(`order is ${row.status}`, 'E_NOT_OPEN');
+        // Settled before the engine lets go of the order, so a failed release leaves it on the book.
+        const [stored, saved] = await db.transaction(tx => {
+            const resting = this.engine.book(row.pair).get(orderId);
+            if (!resting) throw new TradingError('order is not on the book', 'E_NOT_OPEN');
+            const settled = this._settleWithin(tx, [], [{ ...resting, status: 'cancelled', reason: 'user' }]);
+            this.engine.cancel(row.pair, orderId);
+            return settled;
+        });
+        this._publish(stored, saved);
+        return Order.findById(orderId);
+    }
+
+    depth(pair, limit) {
+        return this.engine.depth(pair, limit);
+    }
+}
+
+const exchange = new Exchange(new MatchingEngine());
+
+export default exchange;
@@ -0,0 +1,48 @@
+import Trade from '../model/Trade.js';
+import Money from '../model/Money.js';
+import registry from '../config/registry.js';
+
+const VOLUME_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Last traded price on `pair`, or null if it never traded.
+async function lastPrice(pair, cache) {
+    if (!cache.has(pair)) {
+        const trades = await Trade.findByPair(pair);
+        const last = trades.reduce((latest, t) => (!latest || t.seq > latest.seq ? t : latest), null);
+        cache.set(pair, last ? last.price : null);
+    }
+    return cache.get(pair);
+}
+
+// Value of `amount` of `asset` in `target`, through a direct pair in either direction, rounded down. Zero when there is none.
+async function convert(amount, asset, target, cache) {
+    const scale = registry.asset(target).decimals;
+    if (asset === target) return amount;
+    if (registry.pair(`${asset}-${target}`)) {
+        return amount.times((await lastPrice(`${asset}-${target}`, cache)) || 0, { scale, rounding: 'down' });
+    }
+    const inverse = await lastPrice(`${target}-${asset}`, cache);
+    return inverse ? amount.div(inverse, { scale, rounding: 'down' }) : Money.zero(scale);
+}
+
+/**
+ * Fee rates for `userId` on `pairSymbol`, picked from the pair's schedule by
+ * the user's traded notional over the last 30 days in the schedule's
+ * volumeAsset. Resolves to `{ maker, taker, tier, volume }`.
+ */
+export async function feeRatesFor(userId, pairSymbol, { now = Date.now() } = {}) {
+    const pair = registry.pair(pairSymbol);
+    const schedule = registry.feeSchedules[pair.feeSchedule];
+    const since = now - VOLUME_WINDOW_MS;
+    const cache = new Map();
+    let volume = registry.amount(schedule.volumeAsset, 0);
+    for (const trade of await Trade.findByUser(userId)) {
+        if (trade.timestamp < since) continue;
+        const traded = registry.pair(trade.pair);
+        if (!traded) continue;
+        const notional = registry.amount(traded.quote, Money.parse(trade.price).times(trade.quantity), { rounding: 'down' });
+        volume = volume.plus(await convert(notional, traded.quote, schedule.volumeAsset, cache));
+    }
+    const tier = registry.feeTier(pair.feeSchedule, volume);
+    return { maker: tier.maker, taker: tier.taker, tier: schedule.tiers.indexOf(tier), volume };
+}
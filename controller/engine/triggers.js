@@ -0,0 +1,366 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import TriggerBook, { TRIGGER_TYPES, FIRES_AS, isTriggered, trailingStopPrice } from './TriggerBook.js';
+import exchange, { TradingError, decimalInput } from './exchange.js';
+import { SIDES } from './MatchingEngine.js';
+import Ledger, { LedgerError } from '../model/Ledger.js';
+import TriggerOrder from '../model/TriggerOrder.js';
+import db from '../model/db.js';
+import Money from '../model/Money.js';
+import registry from '../config/registry.js';
+
+// Buys that fire as market orders hold this fraction above the stop price to cover slippage.
+const MARKET_BUFFER = '0.05';
+
+// Stored triggers keep amounts as strings; the trigger book works on Money.
+function toBook(row) {
+    return {
+        ...row,
+        quantity: Money.parse(row.quantity),
+        price: row.price === null ? null : Money.parse(row.price),
+        stopPrice: Money.parse(row.stopPrice),
+        trailingOffset: row.trailingOffset === null ? null : Money.parse(row.trailingOffset),
+        extreme: row.extreme === null ? null : Money.parse(row.extreme)
+    };
+}
+
+function optionalInput(params, field, code) {
+    const value = params[field];
+    return value === undefined || value === null || value === '' ? null : decimalInput(value, field, code);
+}
+
+/**
+ * Conditional orders: stops, take-profits, trailing stops and OCO pairs.
+ * They wait in a per-pair TriggerBook until a trade prints at or through
+ * their stop price, then go to the exchange as a plain market or limit
+ * order.
+ *
+ * Funds are held when the trigger is placed, so a fired order cannot fail
+ * for want of a balance that was spent in the meantime. Firing releases
+ * that hold and places the order (which takes its own hold) in the same
+ * transaction. The two legs of an OCO share one hold, kept on the first
+ * leg, and cancelling or firing either leg cancels the other.
+ *
+ * Placement, cancellation and trade processing run one at a time so a
+ * trigger is never fired and cancelled at once. Emits 'trigger' with the
+ * stored row whenever one is placed, moved, fired or cancelled.
+ */
+class Triggers extends EventEmitter {
+    constructor(exchange) {
+        super();
+        this.exchange = exchange;
+        this.books = new Map();
+        this.lastPrices = new Map();
+        this.seq = 0;
+        this.queue = Promise.resolve();
+    }
+
+    book(pair) {
+        if (!this.books.has(pair)) {
+            const { quote } = this.exchange.pair(pair);
+            this.books.set(pair, new TriggerBook(pair, { decimals: registry.asset(quote).decimals }));
+        }
+        return this.books.get(pair);
+    }
+
+    lastPrice(pair) {
+        return this.lastPrices.get(pair) || null;
+    }
+
+    // Runs `fn` after everything queued before it; the returned promise settles with `fn`'s result.
+    _serial(fn) {
+        const run = this.queue.then(fn);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // Loads pending triggers and starts watching trades. Must run after the exchange is restored.
+    async restore() {
+        const pending = await TriggerOrder.findPending();
+        this.seq = (await db.find('triggerOrders')).reduce((max, t) => Math.max(max, t.seq || 0), 0);
+        const latest = new Map();
+        for (const trade of await db.find('trades')) {
+            const seen = latest.get(trade.pair);
+            if (!seen || trade.seq > seen.seq) latest.set(trade.pair, trade);
+        }
+        for (const [pair, trade] of latest) this.lastPrices.set(pair, Money.parse(trade.price));
+        for (const row of pending) this.book(row.pair).add(toBook(row));
+
+        this.exchange.on('trade', trade => {
+            this._serial(() => this._onTrade(trade)).catch(err => console.error('conditional order processing failed', err));
+        });
+        return pending.length;
+    }
+
+    // Reads one leg from request parameters; amounts become Money.
+    _input(params) {
+        const { type } = params;
+        if (!TRIGGER_TYPES.includes(type)) {
+            throw new TradingError(`type must be one of ${TRIGGER_TYPES.join(', ')} or oco`, 'E_TYPE', 'type');
+        }
+        const trailing = type === 'trailing_stop';
+        const price = FIRES_AS[type] === 'limit' ? optionalInput(params, 'price', 'E_PRICE') : null;
+        if (FIRES_AS[type] === 'limit' && !price) throw new TradingError('price is required', 'E_PRICE', 'price');
+        const stopPrice = trailing ? null : optionalInput(params, 'stopPrice', 'E_STOP_PRICE');
+        if (!trailing && !stopPrice) throw new TradingError('stopPrice is required', 'E_STOP_PRICE', 'stopPrice');
+        return {
+            pair: params.pair,
+            side: params.side,
+            type,
+            quantity: decimalInput(params.quantity, 'quantity', 'E_QUANTITY'),
+            price,
+            stopPrice,
+            trailingOffset: trailing ? optionalInput(params, 'trailingOffset', 'E_TRAILING') : null,
+            trailingPercent: trailing ? optionalInput(params, 'trailingPercent', 'E_TRAILING') : null,
+            extreme: null
+        };
+    }
+
+    // An OCO is a take-profit limit at `price` plus a stop at `stopPrice`, a stop-limit when `stopLimitPrice` is given.
+    _ocoLegs(params) {
+        const common = { pair: params.pair, side: params.side, quantity: params.quantity };
+        return [
+            this._input({ ...common, type: 'take_profit_limit', price: params.price, stopPrice: params.price }),
+            this._input({ ...common, type: params.stopLimitPrice ? 'stop_limit' : 'stop_market', price: params.stopLimitPrice, stopPrice: params.stopPrice })
+        ];
+    }
+
+    /**
+     * Checks a leg against the pair's rules and the last traded price, then
+     * brings its amounts to the assets' decimals. Trailing stops get their
+     * first stop price here.
+     */
+    _validate(leg) {
+        const market = this.exchange.pair(leg.pair);
+        if (!market) throw new TradingError(`unknown pair "${leg.pair}"`, 'E_PAIR', 'pair');
+        if (market.status === 'halted') throw new TradingError(`${leg.pair} is halted`, 'E_HALTED', 'pair');
+        if (!SIDES.includes(leg.side)) throw new TradingError('side must be buy or sell', 'E_SIDE', 'side');
+        if (market.status === 'post-only' && FIRES_AS[leg.type] === 'market') {
+            throw new TradingError(`${leg.pair} is post-only; ${leg.type.replace(/_/g, ' ')} orders are not accepted`, 'E_POST_ONLY', 'type');
+        }
+        if (!leg.quantity.isPositive()) throw new TradingError('quantity must be positive', 'E_QUANTITY', 'quantity');
+        if (!leg.quantity.isMultipleOf(market.lotSize)) throw new TradingError(`quantity must be a multiple of ${market.lotSize}`, 'E_LOT_SIZE', 'quantity');
+        for (const [field, code] of [['price', 'E_PRICE'], ['stopPrice', 'E_STOP_PRICE'], ['trailingOffset', 'E_TRAILING']]) {
+            if (!leg[field]) continue;
+            if (!leg[field].isPositive()) throw new TradingError(`${field} must be positive`, code, field);
+            if (!leg[field].isMultipleOf(market.tickSize)) throw new TradingError(`${field} must be a multiple of ${market.tickSize}`, 'E_TICK_SIZE', field);
+        }
+
+        const last = this.lastPrice(leg.pair);
+        if (leg.type === 'trailing_stop') {
+            if (!leg.trailingOffset === !leg.trailingPercent) {
+                throw new TradingError('give exactly one of trailingOffset or trailingPercent', 'E_TRAILING', 'trailingOffset');
+            }
+            if (leg.trailingPercent && (!leg.trailingPercent.isPositive() || leg.trailingPercent.gte(100))) {
+                throw new TradingError('trailingPercent must be between 0 and 100', 'E_TRAILING', 'trailingPercent');
+            }
+            if (!last) throw new TradingError(`${leg.pair} has not traded yet, so there is nothing to trail`, 'E_NO_PRICE', 'type');
+            leg.extreme = last;
+            leg.stopPrice = trailingStopPrice(leg, last, registry.asset(market.quote).decimals);
+        }
+        if (last && isTriggered(leg, last)) {
+            throw new TradingError(`stop price ${leg.stopPrice} would trigger at once; the last price is ${last}`, 'E_TRIGGER', 'stopPrice');
+        }
+        const notional = (leg.price || leg.stopPrice).times(leg.quantity);
+        if (notional.lt(market.minNotional)) {
+            throw new TradingError(`order value must be at least ${market.minNotional} ${market.quote}`, 'E_MIN_NOTIONAL', 'quantity');
+        }
+
+        // Tick and lot sizes are multiples of the assets' units, so this never rounds.
+        leg.quantity = registry.amount(market.base, leg.quantity);
+        for (const field of ['price', 'stopPrice', 'trailingOffset', 'extreme']) {
+            if (leg[field]) leg[field] = registry.amount(market.quote, leg[field]);
+        }
+    }
+
+    // What to hold for the legs: the quantity for sells, the dearest leg's value for buys.
+    _holdFor(legs) {
+        const { base, quote } = this.exchange.pair(legs[0].pair);
+        if (legs[0].side === 'sell') return { asset: base, amount: legs[0].quantity };
+        const amounts = legs.map(leg => {
+            const price = leg.price || leg.stopPrice.times(Money.parse(1).plus(MARKET_BUFFER));
+            return registry.amount(quote, price.times(leg.quantity), { rounding: 'up' });
+        });
+        return { asset: quote, amount: amounts.reduce((a, b) => Money.max(a, b)) };
+    }
+
+    /**
+     * Places a conditional order. `type` is one of TRIGGER_TYPES or `oco`;
+     * resolves to the stored legs (two for an OCO, otherwise one).
+     */
+    place(userId, params) {
+        return this._serial(async () => {
+            const legs = params.type === 'oco' ? this._ocoLegs(params) : [this._input(params)];
+            legs.forEach(leg => this._validate(leg));
+            const hold = this._holdFor(legs);
+            const ocoGroup = legs.length > 1 ? crypto.randomUUID() : null;
+            const none = Money.zero(hold.amount.scale);
+
+            let rows;
+            try {
+                rows = await db.transaction(tx => {
+                    const inserted = legs.map((leg, i) => tx.insert('triggerOrders', {
+                        userId,
+                        seq: ++this.seq,
+                        pair: leg.pair,
+                        side: leg.side,
+                        type: leg.type,
+                        quantity: leg.quantity.toString(),
+                        price: leg.price && leg.price.toString(),
+                        stopPrice: leg.stopPrice.toString(),
+                        trailingOffset: leg.trailingOffset && leg.trailingOffset.toString(),
+                        trailingPercent: leg.trailingPercent && leg.trailingPercent.toString(),
+                        extreme: leg.extreme && leg.extreme.toString(),
+                        ocoGroup,
+                        status: 'pending_trigger',
+                        reason: null,
+                        orderId: null,
+                        triggeredAt: null,
+                        heldAsset: hold.asset,
+                        held: (i === 0 ? hold.amount : none).toString()
+                    }));
+                    Ledger.postWithin(tx, 'hold', [
+                        { owner: userId, asset: hold.asset, kind: 'available', amount: hold.amount.neg() },
+                        { owner: userId, asset: hold.asset, kind: 'held', amount: hold.amount }
+                    ], { ref: inserted[0].id, memo: `hold for ${params.type.replace(/_/g, ' ')} ${legs[0].side} ${legs[0].pair}` });
+                    return inserted;
+                });
+            } catch (err) {
+                if (err instanceof LedgerError && err.code === 'E_INSUFFICIENT') {
+                    throw new TradingError(`insufficient ${hold.asset} balance`, 'E_INSUFFICIENT', 'quantity');
+                }
+                throw err;
+            }
+
+            for (const row of rows) {
+                this.book(row.pair).add(toBook(row));
+                this.emit('trigger', row);
+            }
+            return rows;
+        });
+    }
+
+    // Cancels a pending trigger (and its OCO sibling). Resolves to the cancelled row.
+    cancel(userId, id, reason = 'cancelled by user') {
+        return this._serial(async () => {
+            const row = await TriggerOrder.findById(id);
+            if (!row || row.userId !== userId) throw new TradingError('conditional order not found', 'E_NOT_FOUND');
+            if (row.status !== 'pending_trigger') throw new TradingError(`conditional order is ${row.status.replace('_', ' ')}`, 'E_NOT_OPEN');
+            const saved = await this._cancelLegs(await TriggerOrder.pendingLegs(row), reason);
+            return saved.find(r => r.id === id);
+        });
+    }
+
+    // Cancels every pending trigger of a user, e.g. when the account is frozen.
+    async cancelAll(userId, reason) {
+        const pending = await TriggerOrder.findByUser(userId, { status: 'pending_trigger' });
+        let cancelled = 0;
+        for (const row of pending) {
+            try {
+                await this.cancel(userId, row.id, reason);
+                cancelled++;
+            } catch (err) {
+                // Fired or already cancelled along with its OCO sibling.
+                if (!(err instanceof TradingError)) throw err;
+            }
+        }
+        return cancelled;
+    }
+
+    async _cancelLegs(legs, reason) {
+        const held = legs.reduce((sum, leg) => sum.plus(leg.held), Money.zero());
+        const { userId, heldAsset } = legs[0];
+        const saved = await db.transaction(tx => {
+            if (held.isPositive()) {
+                Ledger.postWithin(tx, 'release', [
+                    { owner: userId, asset: heldAsset, kind: 'held', amount: held.neg() },
+                    { owner: userId, asset: heldAsset, kind: 'available', amount: held }
+                ], { ref: legs[0].id, memo: 'conditional order cancelled' });
+            }
+            return legs.map(leg => tx.update('triggerOrders', leg.id, {
+                status: 'cancelled',
+                reason,
+                held: Money.zero(held.scale).toString()
+            }));
+        });
+        for (const row of saved) {
+            this.book(row.pair).remove(row.id);
+            this.emit('trigger', row);
+        }
+        return saved;
+    }
+
+    async _onTrade(trade) {
+        const price = Money.parse(trade.price);
+        this.lastPrices.set(trade.pair, price);
+        const { fired, trailed } = this.book(trade.pair).onPrice(price);
+        for (const trigger of trailed) {
+            this.emit('trigger', await db.update('triggerOrders', trigger.id, {
+                extreme: trigger.extreme.toString(),
+                stopPrice: trigger.stopPrice.toString()
+            }));
+        }
+        for (const trigger of fired) await this._fire(trigger);
+    }
+
+    /**
+     * Sends a fired trigger to the exchange. Its hold (and its OCO
+     * sibling's) is released in the order's own transaction; if the order
+     * is refused, e.g. because the pair was halted, or fails for any other
+     * reason, the trigger is cancelled with the error as its reason and its
+     * hold released. Should even that fail, the legs go back on the trigger
+     * book so the next trade fires them again.
+     */
+    async _fire(trigger) {
+        const row = await TriggerOrder.findById(trigger.id);
+        // The OCO sibling may have fired on the same trade.
+        if (!row || row.status !== 'pending_trigger') return;
+        const legs = await TriggerOrder.pendingLegs(row);
+        for (const leg of legs) this.book(leg.pair).remove(leg.id);
+
+        const held = legs.reduce((sum, leg) => sum.plus(leg.held), Money.zero());
+        const none = Money.zero(held.scale).toString();
+        const type = FIRES_AS[row.type];
+        const input = {
+            pair: row.pair,
+            side: row.side,
+            type,
+            price: type === 'limit' ? Money.parse(row.price) : null,
+            quantity: Money.parse(row.quantity),
+            timeInForce: type === 'market' ? 'IOC' : 'GTC',
+            triggerId: row.id
+        };
+
+        let saved = [];
+        try {
+            this.exchange.validate({ ...input, userId: row.userId });
+            await this.exchange._open(row.userId, input, {
+                within: (tx, order) => {
+                    if (held.isPositive()) {
+                        Ledger.postWithin(tx, 'release', [
+                            { owner: row.userId, asset: row.heldAsset, kind: 'held', amount: held.neg() },
+                            { owner: row.userId, asset: row.heldAsset, kind: 'available', amount: held }
+                        ], { ref: row.id, memo: 'conditional order triggered' });
+                    }
+                    saved = legs.map(leg => tx.update('triggerOrders', leg.id, leg.id === row.id
+                        ? { status: 'triggered', orderId: order.id, triggeredAt: new Date().toISOString(), stopPrice: trigger.stopPrice.toString(), held: none }
+                        : { status: 'cancelled', reason: 'other side of the OCO triggered', held: none }));
+                }
+            });
+        } catch (err) {
+            if (!(err instanceof TradingError)) console.error(`trigger ${row.id} failed to place`, err);
+            try {
+                await this._cancelLegs(legs, `not placed: ${err.message}`);
+            } catch (cancelErr) {
+                for (const leg of legs) this.book(leg.pair).add(toBook(leg));
+                throw cancelErr;
+            }
+            return;
+        }
+        for (const leg of saved) this.emit('trigger', leg);
+    }
+}
+
+const triggers = new Triggers(exchange);
+
+export default triggers;
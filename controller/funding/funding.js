@@ -0,0 +1,94 @@
+import express from 'express';
+import transfers, { FundingError, REQUIRED_CONFIRMATIONS, parseAmount } from './transfers.js';
+import Ledger from '../model/Ledger.js';
+import assets from '../config/assets.js';
+import { ensureAuthenticated, requireVerifiedEmail, requireActiveAccount } from '../auth/guards.js';
+import twoFactor, { isEnabled as hasTwoFactor } from '../auth/twoFactor.js';
+
+const router = express.Router();
+
+// The fake-deposit button only exists while the simulated chain is in use.
+const canSimulate = () => transfers.chain.name === 'simulator' && process.env.NODE_ENV !== 'production';
+
+router.use('/funding', ensureAuthenticated);
+
+async function renderFunding(req, res, extra = {}) {
+    const [balances, addresses, deposits, withdrawals] = await Promise.all([
+        Ledger.balances(req.user.id),
+        transfers.addresses(req.user.id),
+        transfers.deposits(req.user.id),
+        transfers.withdrawals(req.user.id)
+    ]);
+    res.render('partials/funding', {
+        assets,
+        balances,
+        addresses,
+        deposits,
+        withdrawals,
+        confirmations: REQUIRED_CONFIRMATIONS,
+        simulate: canSimulate(),
+        twoFactorEnabled: hasTwoFactor(req.user),
+        errors: {},
+        values: {},
+        ...extra
+    });
+}
+
+router.get('/funding', async (req, res, next) => {
+    try {
+        await renderFunding(req, res);
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.post('/funding/addresses/:asset', requireVerifiedEmail, async (req, res, next) => {
+    try {
+        await transfers.depositAddress(req.user.id, req.params.asset);
+        res.redirect('/funding');
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.post('/funding/withdrawals', requireActiveAccount, async (req, res, next) => {
+    const { asset, address, amount } = req.body;
+    try {
+        const stepUpError = await twoFactor.stepUp(req.user, req.body.code, req.ip);
+        if (stepUpError) {
+            res.status(400);
+            return await renderFunding(req, res, { errors: { code: stepUpError }, values: { asset, address, amount } });
+        }
+        await transfers.requestWithdrawal(req.user.id, { asset, address: (address || '').trim(), amount });
+        res.redirect('/funding');
+    } catch (err) {
+        if (!(err instanceof FundingError)) return next(err);
+        res.status(400);
+        await renderFunding(req, res, { errors: { [err.field || 'amount']: err.message }, values: { asset, address, amount } }).catch(next);
+    }
+})
+
+router.post('/funding/withdrawals/:id/cancel', async (req, res, next) => {
+    try {
+        await transfers.cancelWithdrawal(req.user.id, req.params.id);
+        res.redirect('/funding');
+    } catch (err) {
+        if (err instanceof FundingError) return res.redirect('/funding');
+        next(err);
+    }
+})
+
+router.post('/funding/simulate-deposit', requireVerifiedEmail, async (req, res, next) => {
+    if (!canSimulate()) return res.sendStatus(404);
+    try {
+        const address = await transfers.depositAddress(req.user.id, req.body.asset);
+        const amount = parseAmount(address.asset, req.body.amount);
+        if (amount.isPositive()) await transfers.chain.inject(address.asset, address.address, amount.toString());
+        res.redirect('/funding');
+    } catch (err) {
+        if (err instanceof FundingError) return res.redirect('/funding');
+        next(err);
+    }
+})
+
+export default router;
@@ -0,0 +1,277 @@
+import { EventEmitter } from 'events';
+import chain from '../chain/adapter.js';
+import db from '../model/db.js';
+import Ledger, { LedgerError } from '../model/Ledger.js';
+import Money, { MoneyError } from '../model/Money.js';
+import registry from '../config/registry.js';
+
+export const REQUIRED_CONFIRMATIONS = Number(process.env.DEPOSIT_CONFIRMATIONS) || 3;
+const AUTO_APPROVE = process.env.WITHDRAWAL_AUTO_APPROVE === 'true';
+
+export const WITHDRAWAL_STATUSES = ['requested', 'approved', 'broadcasting', 'broadcast', 'confirmed', 'failed', 'rejected', 'cancelled'];
+// Withdrawals that have not left the exchange and can still be rejected or cancelled.
+const OPEN_WITHDRAWALS = ['requested', 'approved'];
+
+export class FundingError extends Error {
+    constructor(message, code, field) {
+        super(message);
+        this.name = 'FundingError';
+        this.code = code;
+        this.field = field;
+    }
+}
+
+function assertAsset(asset) {
+    if (!registry.asset(asset)) throw new FundingError(`unknown asset "${asset}"`, 'E_ASSET', 'asset');
+}
+
+// The withdrawal as stored in `tx`, provided it is in one of `statuses`. Every status change checks here, inside its transaction.
+function withdrawalIn(tx, where, statuses, message) {
+    const withdrawal = tx.findOne('withdrawals', where);
+    if (!withdrawal) throw new FundingError('withdrawal not found', 'E_NOT_FOUND');
+    if (!statuses.includes(withdrawal.status)) throw new FundingError(message, 'E_STATE');
+    return withdrawal;
+}
+
+// What leaves the user's balance: the amount sent plus the network fee. Rows from before fees count as fee-free.
+const debitOf = (w) => Money.parse(w.amount).plus(w.fee || 0);
+
+// Gives a withdrawal's hold back and moves it to `status`; callers have checked it may close.
+function releaseWithin(tx, withdrawal, status, reason) {
+    Ledger.postWithin(tx, 'release', [
+        { owner: withdrawal.userId, asset: withdrawal.asset, kind: 'held', amount: debitOf(withdrawal).neg() },
+        { owner: withdrawal.userId, asset: withdrawal.asset, kind: 'available', amount: debitOf(withdrawal) }
+    ], { ref: withdrawal.id, memo: `withdrawal ${status}` });
+    return tx.update('withdrawals', withdrawal.id, { status, reason });
+}
+
+// A user-entered amount of `asset` as Money; more decimals than the asset has is an error, not a rounding.
+export function parseAmount(asset, value) {
+    assertAsset(asset);
+    try {
+        return registry.amount(asset, String(value === undefined ? '' : value));
+    } catch (err) {
+        if (!(err instanceof MoneyError)) throw err;
+        const problem = err.code === 'E_PRECISION' ? `can have at most ${registry.asset(asset).decimals} decimals` : 'must be a number';
+        throw new FundingError(`amount ${problem}`, 'E_AMOUNT', 'amount');
+    }
+}
+
+/**
+ * Moves money between the chain and the ledger.
+ *
+ * Deposits: a payment to a user's address is recorded as `pending` when it
+ * shows up in a block and credited once it has REQUIRED_CONFIRMATIONS.
+ *
+ * Withdrawals: requested (amount plus the asset's withdrawal fee held) →
+ * approved → broadcasting → broadcast → confirmed, or failed/rejected/
+ * cancelled, which release the hold. Each step re-reads the row and checks
+ * its status in the transaction that changes it, so two steps racing for
+ * the same withdrawal cannot both win. A withdrawal is claimed as
+ * `broadcasting` before it is sent, and from then on it can no longer be
+ * rejected or cancelled. Every block re-checks whatever is still in flight,
+ * so the flow resumes by itself after a restart; one left `broadcasting` by
+ * a crash mid-send may or may not have gone out and is left for staff.
+ *
+ * `events` emits 'deposit' and 'withdrawal' with the stored row whenever one
+ * is recorded or changes status.
+ */
+const transfers = {
+    chain,
+    events: new EventEmitter(),
+
+    start() {
+        // Blocks are handled strictly one after another.
+        let queue = Promise.resolve();
+        chain.on('block', (block) => {
+            queue = queue
+                .then(() => transfers.processBlock(block))
+                .catch(err => console.error('funding block processing failed', err));
+        });
+        chain.start();
+    },
+
+    async depositAddress(userId, asset) {
+        assertAsset(asset);
+        const existing = await db.findOne('depositAddresses', { userId, asset });
+        if (existing) return existing;
+        return db.insert('depositAddresses', { userId, asset, address: await chain.newAddress(asset) });
+    },
+
+    addresses: (userId) => db.find('depositAddresses', { userId }),
+
+    deposits: async (userId) => (await db.find('deposits', { userId })).sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+
+    withdrawals: async (userId) => (await db.find('withdrawals', { userId })).sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+
+    // Everyone's withdrawals in one status, oldest first, for the review queue.
+    withdrawalsByStatus: async (status) => (await db.find('withdrawals', { status })).sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+
+    async processBlock(block) {
+        for (const tx of block.transactions) {
+            const target = await db.findOne('depositAddresses', { address: tx.address, asset: tx.asset });
+            if (!target || await db.findOne('deposits', { txid: tx.txid })) continue;
+            // A chain may carry more decimals than the exchange keeps; never credit more than arrived.
+            const amount = registry.amount(tx.asset, tx.amount, { rounding: 'down' });
+            if (!amount.isPositive()) continue;
+            transfers.events.emit('deposit', await db.insert('deposits', {
+                userId: target.userId,
+                asset: tx.asset,
+                address: tx.address,
+                txid: tx.txid,
+                amount: amount.toString(),
+                confirmations: 0,
+                status: 'pending'
+            }));
+        }
+        await transfers.creditDeposits();
+        await transfers.advanceWithdrawals();
+    },
+
+    async creditDeposits() {
+        for (const deposit of await db.find('deposits', { status: 'pending' })) {
+            const onChain = await chain.getTransaction(deposit.txid);
+            if (!onChain) continue;
+            if (onChain.confirmations < REQUIRED_CONFIRMATIONS) {
+                await db.update('deposits', deposit.id, { confirmations: onChain.confirmations });
+                continue;
+            }
+            const credited = await db.transaction(tx => {
+                Ledger.postWithin(tx, 'deposit', [
+                    { owner: Ledger.SYSTEM, asset: deposit.asset, kind: 'external', amount: Money.parse(deposit.amount).neg() },
+                    { owner: deposit.userId, asset: deposit.asset, kind: 'available', amount: deposit.amount }
+                ], { ref: deposit.id, memo: `deposit ${deposit.txid}` });
+                return tx.update('deposits', deposit.id, { confirmations: onChain.confirmations, status: 'credited' });
+            });
+            transfers.events.emit('deposit', credited);
+        }
+    },
+
+    async requestWithdrawal(userId, { asset, address, amount }) {
+        const value = parseAmount(asset, amount);
+        if (!value.isPositive()) throw new FundingError('amount must be positive', 'E_AMOUNT', 'amount');
+        const { minWithdrawal, withdrawalFee } = registry.asset(asset);
+        if (value.lt(minWithdrawal)) throw new FundingError(`the minimum ${asset} withdrawal is ${minWithdrawal}`, 'E_MIN_WITHDRAWAL', 'amount');
+        if (!chain.isValidAddress(asset, address)) throw new FundingError(`not a valid ${asset} address`, 'E_ADDRESS', 'address');
+        let requested;
+        try {
+            requested = await db.transaction(tx => {
+                const withdrawal = tx.insert('withdrawals', {
+                    userId, asset, address, amount: value.toString(), fee: withdrawalFee, status: 'requested', txid: null, confirmations: 0, reason: null
+                });
+                Ledger.postWithin(tx, 'hold', [
+                    { owner: userId, asset, kind: 'available', amount: debitOf(withdrawal).neg() },
+                    { owner: userId, asset, kind: 'held', amount: debitOf(withdrawal) }
+                ], { ref: withdrawal.id, memo: 'withdrawal pending' });
+                return withdrawal;
+            });
+        } catch (err) {
+            if (err instanceof LedgerError && err.code === 'E_INSUFFICIENT') {
+                throw new FundingError(`insufficient ${asset} balance to cover ${value} plus the ${withdrawalFee} fee`, 'E_INSUFFICIENT', 'amount');
+            }
+            throw err;
+        }
+        transfers.events.emit('withdrawal', requested);
+        return requested;
+    },
+
+    async approveWithdrawal(id) {
+        const approved = await db.transaction(tx => {
+            withdrawalIn(tx, { id }, ['requested'], 'withdrawal is not awaiting approval');
+            return tx.update('withdrawals', id, { status: 'approved' });
+        });
+        transfers.events.emit('withdrawal', approved);
+        return approved;
+    },
+
+    // Ends a withdrawal that never left the exchange, or that the network refused, and gives the funds back.
+    async _close(where, status, reason, { from = OPEN_WITHDRAWALS, message }) {
+        const closed = await db.transaction(tx => releaseWithin(tx, withdrawalIn(tx, where, from, message), status, reason));
+        transfers.events.emit('withdrawal', closed);
+        return closed;
+    },
+
+    // Closes an open withdrawal inside `tx`; one that has moved on since it was read is refused.
+    _closeWithin(tx, withdrawal, status, reason) {
+        return releaseWithin(tx, withdrawalIn(tx, { id: withdrawal.id }, OPEN_WITHDRAWALS, `withdrawal can no longer be ${status}`), status, reason);
+    },
+
+    // Cancels every withdrawal of `userId` that is still open; the caller emits the returned rows once committed.
+    cancelPendingWithin(tx, userId, reason) {
+        return tx.find('withdrawals', { userId })
+            .filter(w => OPEN_WITHDRAWALS.includes(w.status))
+            .map(w => transfers._closeWithin(tx, w, 'cancelled', reason));
+    },
+
+    rejectWithdrawal: (id, reason) => transfers._close({ id }, 'rejected', reason, { message: 'withdrawal can no longer be rejected' }),
+
+    cancelWithdrawal: (userId, id) =>
+        transfers._close({ id, userId }, 'cancelled', 'cancelled by user', { from: ['requested'], message: 'withdrawal is already being processed' }),
+
+    // Sends an approved withdrawal: claims it as `broadcasting` first, so nothing can cancel it while the chain call is out.
+    async _broadcast(id) {
+        const claimed = await db.transaction(tx => {
+            const withdrawal = tx.findOne('withdrawals', { id });
+            return withdrawal && withdrawal.status === 'approved' ? tx.update('withdrawals', id, { status: 'broadcasting' }) : null;
+        });
+        if (!claimed) return null;
+        let txid;
+        try {
+            ({ txid } = await chain.broadcast({ asset: claimed.asset, address: claimed.address, amount: claimed.amount }));
+        } catch (err) {
+            // Not sent: give it back to the queue for the next block.
+            await db.transaction(tx => {
+                if (tx.findOne('withdrawals', { id }).status === 'broadcasting') tx.update('withdrawals', id, { status: 'approved' });
+            });
+            throw err;
+        }
+        const sent = await db.transaction(tx => {
+            withdrawalIn(tx, { id }, ['broadcasting'], 'withdrawal is no longer being broadcast');
+            return tx.update('withdrawals', id, { status: 'broadcast', txid });
+        });
+        transfers.events.emit('withdrawal', sent);
+        return sent;
+    },
+
+    async advanceWithdrawals() {
+        if (AUTO_APPROVE) {
+            for (const w of await db.find('withdrawals', { status: 'requested' })) {
+                try {
+                    await transfers.approveWithdrawal(w.id);
+                } catch (err) {
+                    // Cancelled or rejected since it was listed.
+                    if (!(err instanceof FundingError)) throw err;
+                }
+            }
+        }
+        for (const w of await db.find('withdrawals', { status: 'approved' })) await transfers._broadcast(w.id);
+        for (const w of await db.find('withdrawals', { status: 'broadcast' })) {
+            const onChain = await chain.getTransaction(w.txid);
+            if (!onChain) continue;
+            if (onChain.status === 'failed') {
+                await transfers._close({ id: w.id }, 'failed', 'rejected by the network', { from: ['broadcast'], message: 'withdrawal is no longer broadcast' });
+            } else if (onChain.confirmations >= REQUIRED_CONFIRMATIONS) {
+                const fee = Money.parse(w.fee || 0);
+                const confirmed = await db.transaction(tx => {
+                    withdrawalIn(tx, { id: w.id }, ['broadcast'], 'withdrawal is no longer broadcast');
+                    Ledger.postWithin(tx, 'withdrawal', [
+                        { owner: w.userId, asset: w.asset, kind: 'held', amount: Money.parse(w.amount).neg() },
+                        { owner: Ledger.SYSTEM, asset: w.asset, kind: 'external', amount: w.amount }
+                    ], { ref: w.id, memo: `withdrawal ${w.txid}` });
+                    if (fee.isPositive()) {
+                        Ledger.postWithin(tx, 'fee', [
+                            { owner: w.userId, asset: w.asset, kind: 'held', amount: fee.neg() },
+                            { owner: Ledger.SYSTEM, asset: w.asset, kind: 'fees', amount: fee }
+                        ], { ref: w.id, memo: 'withdrawal fee' });
+                    }
+                    return tx.update('withdrawals', w.id, { status: 'confirmed', confirmations: onChain.confirmations });
+                });
+                transfers.events.emit('withdrawal', confirmed);
+            } else {
+                await db.update('withdrawals', w.id, { confirmations: onChain.confirmations });
+            }
+        }
+    }
+};
+
+export default transfers;
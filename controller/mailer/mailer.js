@@ -0,0 +1,59 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import ejs from 'ejs';
+
+const TEMPLATES = path.join(process.cwd(), 'views', 'emails');
+export const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * A transport takes `{ to, subject, text, html }` and delivers it. Only the
+ * development `file` transport exists so far: each message becomes a JSON
+ * file in the outbox directory, newest last by name.
+ */
+const transports = {
+    file: () => {
+        const outbox = process.env.MAIL_OUTBOX || path.join(process.cwd(), 'data', 'outbox');
+        return {
+            name: 'file',
+            outbox,
+            async send(message) {
+                await fs.mkdir(outbox, { recursive: true });
+                const file = path.join(outbox, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+                await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+                return { id: path.basename(file) };
+            }
+        };
+    }
+};
+
+const transportName = process.env.MAIL_TRANSPORT || 'file';
+if (!transports[transportName]) throw new Error(`unknown MAIL_TRANSPORT "${transportName}"`);
+const transport = transports[transportName]();
+
+const mailer = {
+    transport,
+    from: process.env.MAIL_FROM || 'Broker <no-reply@broker.local>',
+
+    send: (message) => transport.send({ from: mailer.from, ...message }),
+
+    /**
+     * Renders `views/emails/<template>.ejs` and sends it. Templates set the
+     * subject through the `subject` local and get `appUrl` for links; the
+     * plain-text part is the HTML with tags stripped.
+     */
+    async sendTemplate(to, template, locals = {}) {
+        const data = { appUrl: APP_URL, ...locals };
+        const html = await ejs.renderFile(path.join(TEMPLATES, `${template}.ejs`), data);
+        const subject = (html.match(/<title>([^<]*)<\/title>/) || [])[1] || 'Broker';
+        const text = html
+            .replace(/<title>[^<]*<\/title>/, '')
+            .replace(/<a [^>]*href="([^"]*)"[^>]*>[^<]*<\/a>/g, '$1')
+            .replace(/<[^>]+>/g, '')
+            .replace(/\n\s*\n+/g, '\n\n')
+            .trim();
+        return mailer.send({ to, subject, html, text });
+    }
+};
+
+export default mailer;
@@ -1,13 +1,8 @@
 import express, { Router } from 'express';
-import auth from './auth/auth.js'
 const router = express.Router();
 
 
 export default router;
-const user = {
-    name: 'emma',
-    age: 'joy'
-}
 
 router.get('/', (req, res) => {
     res.render('partials/mainpage');
@@ -15,7 +10,3 @@ router.get('/', (req, res) => {
 router.get('/about', (req, res) => {
     res.render('partials/about')
 })
-
-router.get('/auth', (req, res) => {
-    res.render('partials/auth')
-})
@@ -0,0 +1,123 @@
+import exchange from '../engine/exchange.js';
+import db from '../model/db.js';
+import Money from '../model/Money.js';
+import pairs from '../config/pairs.js';
+import registry from '../config/registry.js';
+
+const MINUTE = 60 * 1000;
+
+export const INTERVALS = {
+    '1m': MINUTE,
+    '5m': 5 * MINUTE,
+    '15m': 15 * MINUTE,
+    '1h': 60 * MINUTE,
+    '4h': 4 * 60 * MINUTE,
+    '1d': 24 * 60 * MINUTE
+};
+
+function bucket(timestamp, interval) {
+    return Math.floor(timestamp / INTERVALS[interval]) * INTERVALS[interval];
+}
+
+function candleKey(pair, interval, openTime) {
+    return `${pair}:${interval}:${openTime}`;
+}
+
+// Folds one trade into its candle for every interval, inside `tx`.
+function apply(tx, trade) {
+    for (const interval of Object.keys(INTERVALS)) {
+        const openTime = bucket(trade.timestamp, interval);
+        const key = candleKey(trade.pair, interval, openTime);
+        const candle = tx.findOne('candles', { key });
+        if (!candle) {
+            tx.insert('candles', {
+                key,
+                pair: trade.pair,
+                interval,
+                openTime,
+                open: trade.price,
+                high: trade.price,
+                low: trade.price,
+                close: trade.price,
+                volume: trade.quantity,
+                trades: 1,
+                lastSeq: trade.seq
+            });
+        } else if (trade.seq > candle.lastSeq) {
+            tx.update('candles', candle.id, {
+                high: Money.max(candle.high, trade.price).toString(),
+                low: Money.min(candle.low, trade.price).toString(),
+                close: trade.price,
+                volume: Money.parse(candle.volume).plus(trade.quantity).toString(),
+                trades: candle.trades + 1,
+                lastSeq: trade.seq
+            });
+        }
+    }
+}
+
+/**
+ * OHLCV candles built from the exchange's settled trades. Each candle keeps
+ * the seq of the last trade folded in, which makes replaying trades after a
+ * restart idempotent.
+ */
+const candles = {
+    async load() {
+        await candles.catchUp();
+        exchange.on('trade', trade => {
+            db.transaction(tx => apply(tx, trade)).catch(err => console.error('candle update failed', err));
+        });
+    },
+
+    // Replays stored trades newer than what the 1m candles already contain.
+    async catchUp() {
+        for (const { symbol } of pairs) {
+            const existing = await db.find('candles', { pair: symbol, interval: '1m' });
+            const since = existing.reduce((max, c) => Math.max(max, c.lastSeq), 0);
+            const trades = (await db.find('trades', row => row.pair === symbol && row.seq > since))
+                .sort((a, b) => a.seq - b.seq);
+            if (trades.length) await db.transaction(tx => trades.forEach(t => apply(tx, t)));
+        }
+    },
+
+    // Throws away every candle and rebuilds them from the trade history.
+    async rebuild() {
+        await db.transaction(tx => {
+            for (const candle of tx.find('candles')) tx.remove('candles', candle.id);
+            const trades = tx.find('trades').sort((a, b) => a.seq - b.seq);
+            trades.forEach(t => apply(tx, t));
+        });
+    },
+
+    /**
+     * Candles for `[from, to]`, oldest first. Intervals without trades are
+     * filled with a flat candle at the previous close and zero volume; gaps
+     * before the first known price are left out.
+     */
+    async range(pair, interval, from, to) {
+        const step = INTERVALS[interval];
+        const start = bucket(from, interval);
+        const rows = await db.find('candles', row => row.pair === pair && row.interval === interval && row.openTime <= to);
+        rows.sort((a, b) => a.openTime - b.openTime);
+
+        const byOpen = new Map(rows.map(r => [r.openTime, r]));
+        const before = rows.filter(r => r.openTime < start);
+        let close = before.length ? before[before.length - 1].close : null;
+        const noVolume = registry.amount(registry.pair(pair).base, 0).toString();
+
+        const result = [];
+        for (let openTime = start; openTime <= to; openTime += step) {
+            const row = byOpen.get(openTime);
+            if (row) {
+                const { open, high, low, close: last, volume, trades } = row;
+                result.push({ openTime, open, high, low, close: last, volume, trades });
+                close = last;
+            } else if (close !== null) {
+                result.push({ openTime, open: close, high: close, low: close, close, volume: noVolume, trades: 0 });
+            }
+        }
+        return result;
+    }
+};
+
+export default candles;
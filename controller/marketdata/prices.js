@@ -0,0 +1,71 @@
+import exchange from '../engine/exchange.js';
+import Trade from '../model/Trade.js';
+import Money from '../model/Money.js';
+import pairs from '../config/pairs.js';
+
+// Decimals kept on conversion rates, well past any asset's own.
+const RATE_SCALE = 12;
+
+// pair -> [{ timestamp, price }], oldest first.
+const history = new Map(pairs.map(p => [p.symbol, []]));
+
+/**
+ * Every traded price per pair, for valuing one asset in another either now
+ * or at a past moment. Seeded from stored trades once, then kept current
+ * from the exchange's settled trades.
+ */
+const prices = {
+    async load() {
+        for (const { symbol } of pairs) {
+            const trades = (await Trade.findByPair(symbol)).sort((a, b) => a.seq - b.seq);
+            history.set(symbol, trades.map(t => ({ timestamp: t.timestamp, price: Money.parse(t.price) })));
+        }
+        exchange.on('trade', trade => prices.record(trade));
+    },
+
+    record(trade) {
+        const list = history.get(trade.pair);
+        if (list) list.push({ timestamp: trade.timestamp, price: Money.parse(trade.price) });
+    },
+
+    // Last price of `pair` at or before `at` (ms); null if it had not traded by then.
+    priceAt(pair, at = Infinity) {
+        const list = history.get(pair) || [];
+        let low = 0;
+        let high = list.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (list[mid].timestamp <= at) low = mid + 1;
+            else high = mid;
+        }
+        return low ? list[low - 1].price : null;
+    },
+
+    /**
+     * How many `quote` one `asset` was worth at `at`: through a pair quoting
+     * one in the other, or else through one asset both trade against. Null
+     * when no such route had traded.
+     */
+    rate(asset, quote, at = Infinity) {
+        if (asset === quote) return Money.parse(1);
+        const direct = (from, to) => {
+            const straight = pairs.find(p => p.base === from && p.quote === to);
+            if (straight) return prices.priceAt(straight.symbol, at);
+            const inverse = pairs.find(p => p.base === to && p.quote === from);
+            const price = inverse && prices.priceAt(inverse.symbol, at);
+            return price ? Money.parse(1).div(price, { scale: RATE_SCALE, rounding: 'half-even' }) : null;
+        };
+        const rate = direct(asset, quote);
+        if (rate) return rate;
+        const hubs = new Set(pairs.flatMap(p => [p.base, p.quote]));
+        for (const hub of hubs) {
+            if (hub === asset || hub === quote) continue;
+            const first = direct(asset, hub);
+            const second = first && direct(hub, quote);
+            if (second) return first.times(second, { scale: RATE_SCALE, rounding: 'half-even' });
+        }
+        return null;
+    }
+};
+
+export default prices;
@@ -0,0 +1,202 @@
+import { WebSocketServer } from 'ws';
+import exchange from '../engine/exchange.js';
+import triggers from '../engine/triggers.js';
+import sandbox from '../paper/sandbox.js';
+import marketSimulator from '../paper/marketSimulator.js';
+import notifier from '../notifications/notifier.js';
+import ticker from './ticker.js';
+import pairs from '../config/pairs.js';
+
+const HEARTBEAT_MS = 30000;
+const PUBLIC_CHANNELS = ['ticker', 'book', 'trades', 'paper'];
+const PRIVATE_CHANNELS = ['orders', 'notifications'];
+
+/**
+ * Market data over WebSocket at /ws, sharing the HTTP server.
+ *
+ * Client → server:
+ *   { op: 'subscribe', channels: ['ticker:BTC-USD', 'book:BTC-USD', 'trades:BTC-USD', 'paper:BTC-USD', 'orders', 'notifications'] }
+ *   { op: 'unsubscribe', channels: [...] }
+ *   { op: 'snapshot', channel: 'book:BTC-USD' }   resend the book after a sequence gap
+ *
+ * Server → client: { channel, type, ...payload }. Book messages carry a
+ * per-pair `seq`; each 'update' is exactly one more than the previous
+ * message on that channel and lists absolute level sizes (`0` removes the
+ * level), so a client that sees a jump asks for a new snapshot.
+ *
+ * `paper:<pair>` carries the simulated price paper orders use when the real
+ * book is empty. The private `orders` channel needs a logged-in session and
+ * carries the user's order updates, fills, conditional order changes and
+ * paper order changes (type 'paper'). The private `notifications` channel
+ * carries each new notification-center entry (type 'notification').
+ */
+export default function attachMarketData(server, sessionMiddleware) {
+    const wss = new WebSocketServer({ server, path: '/ws' });
+    const subscribers = new Map(); // channel -> Set<socket>
+    const bookSeq = new Map(pairs.map(p => [p.symbol, 0]));
+    const pendingLevels = new Map(); // pair -> Map<"side:price", [side, price, size]>
+
+    function send(socket, message) {
+        if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+    }
+
+    function publish(channel, message) {
+        for (const socket of subscribers.get(channel) || []) send(socket, { channel, ...message });
+    }
+
+    function bookSnapshot(pair) {
+        return { channel: `book:${pair}`, type: 'snapshot', seq: bookSeq.get(pair), ...exchange.depth(pair) };
+    }
+
+    // Level changes from one placement arrive together; flush them as one diff.
+    exchange.engine.on('level', ({ pair, side, price, size }) => {
+        if (!pendingLevels.has(pair)) {
+            pendingLevels.set(pair, new Map());
+            setImmediate(() => {
+                const changes = [...pendingLevels.get(pair).values()];
+                pendingLevels.delete(pair);
+                bookSeq.set(pair, bookSeq.get(pair) + 1);
+                publish(`book:${pair}`, { type: 'update', seq: bookSeq.get(pair), changes });
+            });
+        }
+        pendingLevels.get(pair).set(`${side}:${price}`, [side, price, size]);
+    });
+
+    exchange.on('trade', (trade) => {
+        publish(`trades:${trade.pair}`, {
+            type: 'trade',
+            id: trade.id,
+            price: trade.price,
+            quantity: trade.quantity,
+            side: trade.takerSide,
+            timestamp: trade.timestamp
+        });
+        publish(`ticker:${trade.pair}`, { type: 'ticker', ...ticker.snapshot(trade.pair) });
+        for (const socket of subscribers.get('orders') || []) {
+            const role = socket.userId === trade.buyerId ? 'buy' : socket.userId === trade.sellerId ? 'sell' : null;
+            if (!role) continue;
+            const { base, quote } = pairs.find(p => p.symbol === trade.pair);
+            send(socket, {
+                channel: 'orders',
+                type: 'fill',
+                orderId: role === 'buy' ? trade.buyOrderId : trade.sellOrderId,
+                tradeId: trade.id,
+                pair: trade.pair,
+                side: role,
+                price: trade.price,
+                quantity: trade.quantity,
+                fee: (role === 'buy' ? trade.buyerFee : trade.sellerFee) || '0',
+                feeAsset: role === 'buy' ? base : quote,
+                timestamp: trade.timestamp
+            });
+        }
+    });
+
+    exchange.on('order', (order) => {
+        for (const socket of subscribers.get('orders') || []) {
+            if (socket.userId !== order.userId) continue;
+            const { userId, heldAsset, ...rest } = order;
+            send(socket, { channel: 'orders', type: 'order', order: rest });
+        }
+    });
+
+    triggers.on('trigger', (trigger) => {
+        for (const socket of subscribers.get('orders') || []) {
+            if (socket.userId !== trigger.userId) continue;
+            const { userId, heldAsset, ...rest } = trigger;
+            send(socket, { channel: 'orders', type: 'trigger', trigger: rest });
+        }
+    });
+
+    marketSimulator.on('tick', ({ pair, price }) => {
+        publish(`paper:${pair}`, { type: 'price', price });
+    });
+
+    sandbox.on('order', (order) => {
+        for (const socket of subscribers.get('orders') || []) {
+            if (socket.userId !== order.userId) continue;
+            const { userId, heldAsset, ...rest } = order;
+            send(socket, { channel: 'orders', type: 'paper', order: rest });
+        }
+    });
+
+    notifier.on('notification', (notification) => {
+        for (const socket of subscribers.get('notifications') || []) {
+            if (socket.userId !== notification.userId) continue;
+            const { userId, dedupeKey, ...rest } = notification;
+            send(socket, { channel: 'notifications', type: 'notification', notification: rest });
+        }
+    });
+
+    function validChannel(socket, channel) {
+        if (PRIVATE_CHANNELS.includes(channel)) return socket.userId ? null : `login required for the ${channel} channel`;
+        const [name, pair] = String(channel).split(':');
+        if (!PUBLIC_CHANNELS.includes(name)) return `unknown channel ${channel}`;
+        if (!pairs.some(p => p.symbol === pair)) return `unknown pair ${pair}`;
+        return null;
+    }
+
+    function subscribe(socket, channel) {
+        const problem = validChannel(socket, channel);
+        if (problem) return send(socket, { type: 'error', channel, message: problem });
+        if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+        subscribers.get(channel).add(socket);
+        socket.channels.add(channel);
+        send(socket, { type: 'subscribed', channel });
+
+        const [name, pair] = channel.split(':');
+        if (name === 'book') send(socket, bookSnapshot(pair));
+        if (name === 'ticker') send(socket, { channel, type: 'ticker', ...ticker.snapshot(pair) });
+        if (name === 'paper') send(socket, { channel, type: 'price', price: marketSimulator.price(pair) });
+    }
+
+    function unsubscribe(socket, channel) {
+        const set = subscribers.get(channel);
+        if (set) set.delete(socket);
+        socket.channels.delete(channel);
+    }
+
+    function handle(socket, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (err) {
+            return send(socket, { type: 'error', message: 'messages must be JSON' });
+        }
+        const channels = [].concat(message.channels || message.channel || []);
+        if (message.op === 'subscribe') channels.forEach(c => subscribe(socket, c));
+        else if (message.op === 'unsubscribe') channels.forEach(c => unsubscribe(socket, c));
+        else if (message.op === 'snapshot' && socket.channels.has(message.channel) && message.channel.startsWith('book:')) {
+            send(socket, bookSnapshot(message.channel.slice('book:'.length)));
+        } else send(socket, { type: 'error', message: `unsupported op ${message.op}` });
+    }
+
+    wss.on('connection', (socket, req) => {
+        socket.channels = new Set();
+        socket.alive = true;
+        socket.on('pong', () => { socket.alive = true; });
+        socket.on('message', raw => handle(socket, raw));
+        socket.on('close', () => socket.channels.forEach(c => unsubscribe(socket, c)));
+
+        // Reuse the cookie session so the private channel knows who is connected.
+        sessionMiddleware(req, {}, () => {
+            socket.userId = req.session && req.session.passport ? req.session.passport.user : null;
+            send(socket, { type: 'welcome', authenticated: Boolean(socket.userId) });
+        });
+    });
+
+    const heartbeat = setInterval(() => {
+        for (const socket of wss.clients) {
+            if (!socket.alive) {
+                socket.terminate();
+                continue;
+            }
+            socket.alive = false;
+            socket.ping();
+        }
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+    wss.on('close', () => clearInterval(heartbeat));
+
+    return wss;
+}
@@ -0,0 +1,58 @@
+import exchange from '../engine/exchange.js';
+import Trade from '../model/Trade.js';
+import Money from '../model/Money.js';
+import pairs from '../config/pairs.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Trades from the last 24h per pair, oldest first; enough to derive the rolling stats.
+const recent = new Map(pairs.map(p => [p.symbol, []]));
+
+function prune(list, now) {
+    while (list.length && list[0].timestamp < now - DAY) list.shift();
+}
+
+/**
+ * Rolling 24h ticker per pair. Seeded from stored trades once, then kept
+ * current from the exchange's settled trades.
+ */
+const ticker = {
+    async load(now = Date.now()) {
+        for (const { symbol } of pairs) {
+            const trades = (await Trade.findByPair(symbol))
+                .filter(t => t.timestamp >= now - DAY)
+                .sort((a, b) => a.seq - b.seq);
+            recent.set(symbol, trades);
+        }
+        exchange.on('trade', trade => ticker.record(trade));
+    },
+
+    record(trade) {
+        const list = recent.get(trade.pair);
+        if (!list) return;
+        list.push(trade);
+        prune(list, trade.timestamp);
+    },
+
+    snapshot(pair, now = Date.now()) {
+        const list = recent.get(pair) || [];
+        prune(list, now);
+        const depth = exchange.depth(pair, 1);
+        const prices = list.map(t => Money.parse(t.price));
+        const last = prices.length ? prices[prices.length - 1] : null;
+        const open = prices.length ? prices[0] : null;
+        return {
+            pair,
+            last,
+            bid: depth.bids.length ? depth.bids[0][0] : null,
+            ask: depth.asks.length ? depth.asks[0][0] : null,
+            high24h: prices.length ? prices.reduce((a, b) => Money.max(a, b)) : null,
+            low24h: prices.length ? prices.reduce((a, b) => Money.min(a, b)) : null,
+            volume24h: list.reduce((sum, t) => sum.plus(t.quantity), Money.zero()),
+            // A ratio rather than an amount, so a plain number.
+            change24h: open ? last.minus(open).div(open, { scale: 8, rounding: 'half-even' }).toNumber() : null
+        };
+    }
+};
+
+export default ticker;
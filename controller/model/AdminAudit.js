@@ -0,0 +1,23 @@
+import db from './db.js';
+
+export const AUDIT_ACTIONS = [
+    'user.freeze', 'user.unfreeze', 'user.role', 'balance.adjust',
+    'withdrawal.approve', 'withdrawal.reject', 'market.update',
+    'savings.create', 'savings.update'
+];
+
+/**
+ * Append-only trail of what staff did. Rows are written in the same
+ * transaction as the change they describe wherever the change allows it.
+ */
+const AdminAudit = {
+    recordWithin: (tx, entry) => tx.insert('adminAudit', { ...entry, at: Date.now() }),
+    record: (entry) => db.transaction(tx => AdminAudit.recordWithin(tx, entry)),
+    search: async ({ actorId, targetUserId, action, limit = 200 } = {}) =>
+        (await db.find('adminAudit', row =>
+            (!actorId || row.actorId === actorId) &&
+            (!targetUserId || row.targetUserId === targetUserId) &&
+            (!action || row.action === action)
+        )).reverse().sort((a, b) => b.at - a.at).slice(0, limit)};
+
+    export default AdminAudit;
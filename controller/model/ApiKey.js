@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import db from './db.js';
+import { seal, open } from '../config/secretBox.js';
+
+export const SCOPES = ['read', 'trade', 'withdraw'];
+
+function publicView({ secret, ...key }) {
+    return key;
+}
+
+const ApiKey = {
+    findByUser: async (userId) => (await db.find('apiKeys', { userId })).map(publicView),
+
+    // Active key plus its decrypted secret, for signature checks only.
+    findActiveWithSecret: async (keyId) => {
+        const key = await db.findOne('apiKeys', row => row.keyId === keyId && !row.revokedAt);
+        return key ? { ...key, secret: open(key.secret) } : null;
+    },
+
+    /**
+     * Creates a key and returns it with the plain secret. This is the only
+     * time the secret leaves the server.
+     */
+    create: async (userId, { label, scopes, ips = [] }) => {
+        const secret = crypto.randomBytes(32).toString('base64url');
+        const key = await db.insert('apiKeys', {
+            userId,
+            keyId: `bk_${crypto.randomBytes(12).toString('hex')}`,
+            label,
+            scopes,
+            ips,
+            // HMAC needs the raw secret on every request, so it is sealed rather than hashed.
+            secret: seal(secret),
+            revokedAt: null
+        });
+        return { ...publicView(key), secret };
+    },
+
+    revoke: async (userId, id) => {
+        const key = await db.findOne('apiKeys', { id, userId });
+        if (!key || key.revokedAt) return null;
+        return publicView(await db.update('apiKeys', id, { revokedAt: new Date().toISOString() }));
+    }};
+
+    export default ApiKey;
@@ -0,0 +1,215 @@
+import db from './db.js';
+import Money, { MoneyError } from './Money.js';
+import assets from '../config/assets.js';
+
+/**
+ * Double-entry ledger. Every user has an `available`, a `held` and a
+ * `savings` account per asset; the exchange side has `external` (money
+ * entering or leaving the platform), `fees`, `adjustments` (manual
+ * corrections made by staff) and `interest` (paid on savings). A
+ * journal entry is a set of lines whose amounts sum to zero per asset, and
+ * entries are never edited once written. The `balance` cached on each
+ * account is only a shortcut: `Ledger.replay` recomputes it from the journal.
+ *
+ * Amounts are Money (or decimal strings) and are stored as fixed-point
+ * strings at the asset's decimals.
+ */
+
+export const ENTRY_TYPES = ['deposit', 'withdrawal', 'trade', 'fee', 'hold', 'release', 'adjustment', 'savings', 'interest'];
+const USER_KINDS = ['available', 'held', 'savings'];
+const SYSTEM = 'system';
+
+export class LedgerError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'LedgerError';
+        this.code = code;
+    }
+}
+
+// The last journal `seq` handed out: read from the journal on the first post, then counted here.
+// A transaction that rolls back gives its numbers back, so `seq` has no gaps.
+let journalSeq = null;
+
+function nextJournalSeq(tx) {
+    if (journalSeq === null) journalSeq = tx.find('journal').reduce((max, row) => Math.max(max, row.seq || 0), 0);
+    tx.onRollback(() => { journalSeq--; });
+    return ++journalSeq;
+}
+
+function accountKey(owner, asset, kind) {
+    return `${owner}:${asset}:${kind}`;
+}
+
+function assetDecimals(asset) {
+    const found = assets.find(a => a.symbol === asset);
+    if (!found) throw new LedgerError(`unknown asset "${asset}"`, 'E_ASSET');
+    return found.decimals;
+}
+
+// Postings must already be at the asset's precision: rounding is the caller's call, never the ledger's.
+function amountOf(value, asset) {
+    try {
+        return Money.parse(value, assetDecimals(asset));
+    } catch (err) {
+        if (err instanceof MoneyError) throw new LedgerError(`bad ${asset} amount: ${err.message}`, 'E_AMOUNT');
+        throw err;
+    }
+}
+
+function positiveAmount(value, asset) {
+    const amount = amountOf(value, asset);
+    if (!amount.isPositive()) throw new LedgerError('amount must be positive', 'E_AMOUNT');
+    return amount;
+}
+
+// Fetches or opens the account inside a transaction.
+function openAccount(tx, owner, asset, kind) {
+    const key = accountKey(owner, asset, kind);
+    return tx.findOne('accounts', { key })
+        || tx.insert('accounts', { key, owner, asset, kind, balance: Money.zero(assetDecimals(asset)).toString() });
+}
+
+/**
+ * Writes one journal entry inside `tx`. Lines are `{ owner, asset, kind, amount }`
+ * where a positive amount increases that account. User accounts may never go
+ * below zero; system accounts may.
+ */
+function postEntry(tx, type, lines, { ref = null, memo = null } = {}) {
+    if (!ENTRY_TYPES.includes(type)) throw new LedgerError(`unknown entry type "${type}"`, 'E_TYPE');
+    if (!lines.length) throw new LedgerError('entry has no lines', 'E_EMPTY');
+
+    const parsed = lines.map(line => ({ ...line, amount: amountOf(line.amount, line.asset) }));
+    const sums = {};
+    for (const line of parsed) {
+        sums[line.asset] = (sums[line.asset] || Money.zero()).plus(line.amount);
+    }
+    for (const [asset, sum] of Object.entries(sums)) {
+        if (!sum.isZero()) throw new LedgerError(`entry does not balance for ${asset}`, 'E_UNBALANCED');
+    }
+
+    const posted = parsed.filter(line => !line.amount.isZero()).map(line => {
+        const account = openAccount(tx, line.owner, line.asset, line.kind);
+        const balance = amountOf(account.balance, line.asset).plus(line.amount);
+        if (line.owner !== SYSTEM && balance.isNegative()) {
+            throw new LedgerError(`insufficient ${line.asset} ${line.kind} balance`, 'E_INSUFFICIENT');
+        }
+        tx.update('accounts', account.id, { balance: balance.toString() });
+        return { accountId: account.id, owner: line.owner, asset: line.asset, kind: line.kind, amount: line.amount.toString() };
+    });
+
+    return tx.insert('journal', {
+        seq: nextJournalSeq(tx),
+        type,
+        ref,
+        memo,
+        owners: [...new Set(posted.map(l => l.owner))],
+        lines: posted
+    });
+}
+
+const Ledger = {
+    SYSTEM,
+
+    post: (type, lines, meta) => db.transaction(tx => postEntry(tx, type, lines, meta)),
+
+    // Lets other modules (order settlement, withdrawals) post several entries atomically.
+    postWithin: (tx, type, lines, meta) => postEntry(tx, type, lines, meta),
+
+    deposit: (userId, asset, value, meta) => {
+        const amount = positiveAmount(value, asset);
+        return Ledger.post('deposit', [
+            { owner: SYSTEM, asset, kind: 'external', amount: amount.neg() },
+            { owner: userId, asset, kind: 'available', amount }
+        ], meta);
+    },
+
+    // Pays out of held funds, so callers hold first and withdraw once the money has left.
+    withdraw: (userId, asset, value, meta) => {
+        const amount = positiveAmount(value, asset);
+        return Ledger.post('withdrawal', [
+            { owner: userId, asset, kind: 'held', amount: amount.neg() },
+            { owner: SYSTEM, asset, kind: 'external', amount }
+        ], meta);
+    },
+
+    hold: (userId, asset, value, meta) => {
+        const amount = positiveAmount(value, asset);
+        return Ledger.post('hold', [
+            { owner: userId, asset, kind: 'available', amount: amount.neg() },
+            { owner: userId, asset, kind: 'held', amount }
+        ], meta);
+    },
+
+    release: (userId, asset, value, meta) => {
+        const amount = positiveAmount(value, asset);
+        return Ledger.post('release', [
+            { owner: userId, asset, kind: 'held', amount: amount.neg() },
+            { owner: userId, asset, kind: 'available', amount }
+        ], meta);
+    },
+
+    // Staff correction to a user's available balance; `amount` is signed. Callers audit it.
+    adjustWithin: (tx, userId, asset, value, meta) => {
+        const amount = amountOf(value, asset);
+        if (amount.isZero()) throw new LedgerError('adjustment must not be zero', 'E_AMOUNT');
+        return postEntry(tx, 'adjustment', [
+            { owner: SYSTEM, asset, kind: 'adjustments', amount: amount.neg() },
+            { owner: userId, asset, kind: 'available', amount }
+        ], meta);
+    },
+
+    // One row per known asset, zero-filled so the wallet always lists everything. Amounts are Money.
+    balances: async (userId) => {
+        const accounts = await db.find('accounts', { owner: userId });
+        return assets.map(({ symbol, decimals }) => {
+            const of = kind => Money.parse((accounts.find(a => a.asset === symbol && a.kind === kind) || { balance: 0 }).balance, decimals);
+            const available = of('available');
+            const held = of('held');
+            const savings = of('savings');
+            return { asset: symbol, decimals, available, held, savings, total: available.plus(held).plus(savings) };
+        });
+    },
+
+    // Journal entries touching the user, newest first, reduced to the user's own lines.
+    history: async (userId, { limit = 50 } = {}) => {
+        const entries = await db.find('journal', row => row.owners.includes(userId));
+        return entries
+            .sort((a, b) => b.seq - a.seq)
+            .slice(0, limit)
+            .map(entry => ({
+                id: entry.id,
+                seq: entry.seq,
+                type: entry.type,
+                ref: entry.ref,
+                memo: entry.memo,
+                createdAt: entry.createdAt,
+                changes: entry.lines
+                    .filter(l => l.owner === userId)
+                    .map(({ asset, kind, amount }) => ({ asset, kind, amount: Money.parse(amount) }))
+            }));
+    },
+
+    // Rebuilds an account balance purely from the journal.
+    replay: async (owner, asset, kind) => {
+        const entries = await db.find('journal', row => row.owners.includes(owner));
+        return entries.reduce((balance, entry) => entry.lines
+            .filter(l => l.owner === owner && l.asset === asset && l.kind === kind)
+            .reduce((sum, l) => sum.plus(l.amount), balance), Money.zero(assetDecimals(asset)));
+    },
+
+    // Accounts whose cached balance disagrees with the journal; empty means the books are consistent.
+    verify: async () => {
+        const [accounts, entries] = await Promise.all([db.find('accounts'), db.find('journal')]);
+        const fromJournal = {};
+        for (const entry of entries) {
+            for (const line of entry.lines) fromJournal[line.accountId] = (fromJournal[line.accountId] || Money.zero()).plus(line.amount);
+        }
+        const journalOf = a => fromJournal[a.id] || Money.zero(assetDecimals(a.asset));
+        return accounts
+            .filter(a => !journalOf(a).eq(a.balance))
+            .map(a => ({ key: a.key, cached: a.balance, journal: journalOf(a).toString() }));
+    }
+};
+
+export default Ledger;
@@ -0,0 +1,225 @@
+export const ROUNDING_MODES = ['down', 'up', 'floor', 'ceil', 'half-up', 'half-even'];
+export const MAX_DIGITS = 38;
+const MAX_SCALE = 18;
+const LIMIT = 10n ** BigInt(MAX_DIGITS);
+const DECIMAL = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+export class MoneyError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'MoneyError';
+        this.code = code;
+    }
+}
+
+const pow10 = n => 10n ** BigInt(n);
+
+function checkScale(scale) {
+    if (!Number.isInteger(scale) || scale < 0 || scale > MAX_SCALE) {
+        throw new MoneyError(`scale must be a whole number from 0 to ${MAX_SCALE}`, 'E_SCALE');
+    }
+    return scale;
+}
+
+/**
+ * `n / d` for a positive `d`, rounded by `rounding`. Returns null when the
+ * division is inexact and no rounding mode was given, so callers can say
+ * what was about to be lost.
+ */
+function divide(n, d, rounding) {
+    const quotient = n / d;
+    const rest = n % d;
+    if (rest === 0n) return quotient;
+    if (!rounding) return null;
+    const negative = n < 0n;
+    const twice = (rest < 0n ? -rest : rest) * 2n;
+    let away;
+    switch (rounding) {
+        case 'down': away = false; break;
+        case 'up': away = true; break;
+        case 'floor': away = negative; break;
+        case 'ceil': away = !negative; break;
+        case 'half-up': away = twice >= d; break;
+        case 'half-even': away = twice > d || (twice === d && quotient % 2n !== 0n); break;
+        default: throw new MoneyError(`unknown rounding mode "${rounding}"`, 'E_ROUNDING');
+    }
+    return away ? quotient + (negative ? -1n : 1n) : quotient;
+}
+
+/**
+ * Exact decimal amount: an integer number of minor units at a fixed `scale`
+ * (decimal places), so 12.5 USD at scale 2 is 1250 units. Instances are
+ * immutable; every operation returns a new one.
+ *
+ * Adding, subtracting and comparing never lose precision. Anything that
+ * could (`times` to a smaller scale, `div`, `rescale`) takes an explicit
+ * rounding mode and throws E_PRECISION when digits would be dropped without
+ * one. Results beyond MAX_DIGITS digits throw E_OVERFLOW.
+ *
+ * JSON and templates see the fixed-point string ("12.50"). Using an
+ * instance with `+`, `<` and friends throws instead of quietly going
+ * through floats.
+ */
+export default class Money {
+    constructor(units, scale) {
+        if (typeof units !== 'bigint') throw new MoneyError('units must be a BigInt', 'E_FORMAT');
+        if (units <= -LIMIT || units >= LIMIT) throw new MoneyError(`amount does not fit in ${MAX_DIGITS} digits`, 'E_OVERFLOW');
+        this.units = units;
+        this.scale = checkScale(scale);
+        Object.freeze(this);
+    }
+
+    /**
+     * Reads a decimal string, a number, a BigInt or another Money. Without
+     * `scale` the value keeps the decimals it was written with; with one it
+     * is brought to that scale, which needs `rounding` if digits would go.
+     */
+    static parse(value, scale, { rounding } = {}) {
+        if (value instanceof Money) return scale === undefined ? value : value.rescale(scale, rounding);
+        if (typeof value === 'bigint') return new Money(value, 0).rescale(scale === undefined ? 0 : scale);
+        if (typeof value === 'number' && !Number.isFinite(value)) throw new MoneyError(`${value} is not an amount`, 'E_FORMAT');
+        if (typeof value !== 'number' && typeof value !== 'string') throw new MoneyError('amount must be a decimal string or number', 'E_FORMAT');
+
+        const text = String(value).trim();
+        const match = DECIMAL.exec(text);
+        if (!match || (!match[2] && !match[3])) throw new MoneyError(`"${text}" is not a decimal number`, 'E_FORMAT');
+        const [, sign, whole, fraction = '', exponent = '0'] = match;
+        const digits = (whole + fraction).replace(/^0+(?=\d)/, '');
+        const exp = Number(exponent);
+        if (digits.length > MAX_DIGITS + MAX_SCALE || Math.abs(exp) > MAX_DIGITS + MAX_SCALE) {
+            throw new MoneyError(`"${text}" is out of range`, 'E_OVERFLOW');
+        }
+
+        let units = BigInt(digits) * (sign === '-' ? -1n : 1n);
+        let natural = fraction.length - exp;
+        if (natural < 0) {
+            units *= pow10(-natural);
+            natural = 0;
+        }
+        const target = scale === undefined ? Math.min(natural, MAX_SCALE) : checkScale(scale);
+        if (natural <= target) return new Money(units * pow10(target - natural), target);
+        const rounded = divide(units, pow10(natural - target), rounding);
+        if (rounded === null) throw new MoneyError(`${text} has more than ${target} decimals`, 'E_PRECISION');
+        return new Money(rounded, target);
+    }
+
+    static zero(scale = 0) {
+        return new Money(0n, scale);
+    }
+
+    static min(a, b) {
+        return Money.parse(a).lte(b) ? Money.parse(a) : Money.parse(b);
+    }
+
+    static max(a, b) {
+        return Money.parse(a).gte(b) ? Money.parse(a) : Money.parse(b);
+    }
+
+    // Both operands as units at their common (larger) scale.
+    _align(other) {
+        const that = Money.parse(other);
+        const scale = Math.max(this.scale, that.scale);
+        return [this.units * pow10(scale - this.scale), that.units * pow10(scale - that.scale), scale];
+    }
+
+    plus(other) {
+        const [a, b, scale] = this._align(other);
+        return new Money(a + b, scale);
+    }
+
+    minus(other) {
+        const [a, b, scale] = this._align(other);
+        return new Money(a - b, scale);
+    }
+
+    // Exact product unless `scale` asks for fewer decimals, in which case `rounding` decides.
+    times(other, { scale, rounding } = {}) {
+        const that = Money.parse(other);
+        const exact = this.scale + that.scale;
+        const target = scale === undefined ? exact : checkScale(scale);
+        const product = this.units * that.units;
+        if (target >= exact) return new Money(product * pow10(target - exact), target);
+        const units = divide(product, pow10(exact - target), rounding);
+        if (units === null) throw new MoneyError(`${this} * ${that} has more than ${target} decimals`, 'E_PRECISION');
+        return new Money(units, target);
+    }
+
+    // Quotient at `scale` decimals (default: this amount's). Inexact results need `rounding`.
+    div(other, { scale = this.scale, rounding } = {}) {
+        const that = Money.parse(other);
+        if (that.units === 0n) throw new MoneyError('division by zero', 'E_DIVISION');
+        const shift = checkScale(scale) + that.scale - this.scale;
+        let numerator = shift >= 0 ? this.units * pow10(shift) : this.units;
+        let denominator = shift >= 0 ? that.units : that.units * pow10(-shift);
+        if (denominator < 0n) {
+            numerator = -numerator;
+            denominator = -denominator;
+        }
+        const quotient = divide(numerator, denominator, rounding);
+        if (quotient === null) throw new MoneyError(`${this} / ${that} needs rounding at ${scale} decimals`, 'E_PRECISION');
+        return new Money(quotient, scale);
+    }
+
+    rescale(scale, rounding) {
+        checkScale(scale);
+        if (scale >= this.scale) return new Money(this.units * pow10(scale - this.scale), scale);
+        const units = divide(this.units, pow10(this.scale - scale), rounding);
+        if (units === null) throw new MoneyError(`${this} has more than ${scale} decimals`, 'E_PRECISION');
+        return new Money(units, scale);
+    }
+
+    neg() {
+        return new Money(-this.units, this.scale);
+    }
+
+    abs() {
+        return this.units < 0n ? this.neg() : this;
+    }
+
+    cmp(other) {
+        const [a, b] = this._align(other);
+        return a === b ? 0 : a < b ? -1 : 1;
+    }
+
+    eq(other) { return this.cmp(other) === 0; }
+    lt(other) { return this.cmp(other) < 0; }
+    lte(other) { return this.cmp(other) <= 0; }
+    gt(other) { return this.cmp(other) > 0; }
+    gte(other) { return this.cmp(other) >= 0; }
+
+    isZero() { return this.units === 0n; }
+    isPositive() { return this.units > 0n; }
+    isNegative() { return this.units < 0n; }
+
+    // True when this is a whole number of `step`s, e.g. a price on the tick grid.
+    isMultipleOf(step) {
+        const [a, b] = this._align(step);
+        if (b <= 0n) throw new MoneyError('step must be positive', 'E_STEP');
+        return a % b === 0n;
+    }
+
+    toString() {
+        const digits = (this.units < 0n ? -this.units : this.units).toString().padStart(this.scale + 1, '0');
+        const sign = this.units < 0n ? '-' : '';
+        if (!this.scale) return sign + digits;
+        return `${sign}${digits.slice(0, -this.scale)}.${digits.slice(-this.scale)}`;
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+
+    // For display and ratios only; never feed the result back into an amount.
+    toNumber() {
+        return Number(this.toString());
+    }
+
+    [Symbol.for('nodejs.util.inspect.custom')]() {
+        return `Money(${this})`;
+    }
+
+    [Symbol.toPrimitive](hint) {
+        if (hint === 'string') return this.toString();
+        throw new MoneyError('use Money methods for arithmetic and comparisons', 'E_COERCE');
+    }
+}
@@ -0,0 +1,12 @@
+import db from './db.js';
+
+export const OPEN_STATUSES = ['open', 'partially_filled'];
+
+const Order = {
+    findById: (id) => db.findOne('orders', { id }),
+    findByUser: (userId, { status } = {}) => db.find('orders', row => row.userId === userId && (!status || row.status === status)),
+    // Resting orders in the sequence they were accepted, for rebuilding the books.
+    findOpen: async () => (await db.find('orders', row => OPEN_STATUSES.includes(row.status))).sort((a, b) => a.seq - b.seq),
+    create: (order) => db.insert('orders', order)};
+
+    export default Order;
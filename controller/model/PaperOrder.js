@@ -0,0 +1,12 @@
+import db from './db.js';
+
+export const PAPER_OPEN_STATUSES = ['open', 'partially_filled'];
+
+const PaperOrder = {
+    findById: (id) => db.findOne('paperOrders', { id }),
+    findByUser: (userId, { status } = {}) => db.find('paperOrders', row => row.userId === userId && (!status || row.status === status)),
+    // Resting paper orders on `pair` in the sequence they were accepted.
+    findOpen: async (pair) => (await db.find('paperOrders', row => row.pair === pair && PAPER_OPEN_STATUSES.includes(row.status))).sort((a, b) => a.seq - b.seq),
+    tradesByUser: (userId) => db.find('paperTrades', { userId })};
+
+    export default PaperOrder;
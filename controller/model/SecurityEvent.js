@@ -0,0 +1,30 @@
+import db from './db.js';
+
+export const EVENT_TYPES = [
+    'register', 'login', 'login_failed', 'lockout', 'logout', 'new_device',
+    'password_reset_requested', 'password_changed', 'email_verified',
+    '2fa_enabled', '2fa_disabled', 'api_key_created', 'api_key_revoked',
+    'account_frozen', 'account_unfrozen', 'webhook_created', 'webhook_removed'
+];
+
+// Rows come back in insertion order; reversing first keeps same-millisecond events newest first too.
+const newestFirst = (rows) => rows.reverse().sort((a, b) => b.at - a.at);
+
+const SecurityEvent = {
+    // `at` is a millisecond timestamp so range filters don't have to parse dates.
+    record: (event) => db.insert('securityEvents', { ...event, at: Date.now() }),
+    findByUser: async (userId, { limit = 50 } = {}) =>
+        newestFirst(await db.find('securityEvents', { userId })).slice(0, limit),
+    knownDevice: async (userId, deviceId) =>
+        Boolean(deviceId && await db.findOne('securityEvents', row => row.userId === userId && row.deviceId === deviceId && row.type !== 'login_failed')),
+    // Admin lookup; every filter is optional and they combine with AND.
+    search: async ({ userId, type, ip, from, to, limit = 200 } = {}) =>
+        newestFirst(await db.find('securityEvents', row =>
+            (!userId || row.userId === userId) &&
+            (!type || row.type === type) &&
+            (!ip || row.ip === ip) &&
+            (!from || row.at >= from) &&
+            (!to || row.at < to)
+        )).slice(0, limit)};
+
+    export default SecurityEvent;
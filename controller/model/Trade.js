@@ -0,0 +1,7 @@
+import db from './db.js';
+
+const Trade = {
+    findByPair: (pair) => db.find('trades', { pair }),
+    findByUser: (userId) => db.find('trades', row => row.buyerId === userId || row.sellerId === userId)};
+
+    export default Trade;
@@ -0,0 +1,13 @@
+import db from './db.js';
+
+export const TRIGGER_STATUSES = ['pending_trigger', 'triggered', 'cancelled'];
+
+const TriggerOrder = {
+    findById: (id) => db.findOne('triggerOrders', { id }),
+    findByUser: (userId, { status } = {}) => db.find('triggerOrders', row => row.userId === userId && (!status || row.status === status)),
+    // Pending legs in the order they were placed, for rebuilding the trigger books.
+    findPending: async () => (await db.find('triggerOrders', { status: 'pending_trigger' })).sort((a, b) => a.seq - b.seq),
+    // The still-pending legs of an OCO pair, or just `row` for a standalone order.
+    pendingLegs: async (row) => (row.ocoGroup ? db.find('triggerOrders', { ocoGroup: row.ocoGroup, status: 'pending_trigger' }) : [row])};
+
+    export default TriggerOrder;
@@ -1,8 +1,17 @@
-const users = [];
+import db from './db.js';
 
-User = {
-    findByEmail: (email) => users.find(u => u.email === email),
-    findById: (id) => users.find(u => u.id === id),
-    create: (user) => users.push(user)};
+const User = {
+    findByEmail: (email) => db.findOne('users', { email: String(email).toLowerCase() }),
+    findById: (id) => db.findOne('users', { id }),
+    create: (user) => db.insert('users', { emailVerified: false, role: 'user', frozen: false, ...user, email: String(user.email).toLowerCase() }),
+    update: (id, patch) => db.update('users', id, patch),
+    // Back-office lookup: an exact id, or a case-insensitive match on email or name.
+    search: async (query, { limit = 50 } = {}) => {
+        const q = String(query || '').trim().toLowerCase();
+        const rows = await db.find('users', row => !q || row.id === q
+            || row.email.includes(q)
+            || String(row.fullName || '').toLowerCase().includes(q));
+        return rows.sort((a, b) => b.createdAt.localeCompare(a.createdAt)).slice(0, limit);
+    }};
 
-    export default User;
\ No newline at end of file
+    export default User;
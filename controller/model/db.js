@@ -0,0 +1,17 @@
+import path from 'path';
+import createMemoryAdapter from './storage/memory.js';
+import createFileAdapter from './storage/file.js';
+import migrations from './migrations.js';
+
+const adapters = {
+    memory: () => createMemoryAdapter(),
+    file: () => createFileAdapter(process.env.BROKER_DATA_FILE || path.join(process.cwd(), 'data', 'broker.json'))
+};
+
+const adapterName = process.env.BROKER_STORE || 'file';
+if (!adapters[adapterName]) throw new Error(`unknown BROKER_STORE "${adapterName}"`);
+
+const db = await adapters[adapterName]();
+await db.migrate(migrations);
+
+export default db;
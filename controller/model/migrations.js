@@ -0,0 +1,212 @@
+import Money from './Money.js';
+import { readMarketsFile } from '../config/marketsFile.js';
+
+// Append-only: never edit a migration that has shipped, add a new version instead.
+const migrations = [
+    {
+        version: 1,
+        name: 'create users',
+        up(schema) {
+            schema.createTable('users', { unique: ['email'] });
+        }
+    },
+    {
+        version: 2,
+        name: 'create sessions',
+        up(schema) {
+            schema.createTable('sessions');
+        }
+    },
+    {
+        version: 3,
+        name: 'create ledger accounts and journal',
+        up(schema) {
+            schema.createTable('accounts', { unique: ['key'] });
+            schema.createTable('journal');
+        }
+    },
+    {
+        version: 4,
+        name: 'create orders and trades',
+        up(schema) {
+            schema.createTable('orders');
+            schema.createTable('trades');
+        }
+    },
+    {
+        version: 5,
+        name: 'create api keys',
+        up(schema) {
+            schema.createTable('apiKeys', { unique: ['keyId'] });
+        }
+    },
+    {
+        version: 6,
+        name: 'create candles',
+        up(schema) {
+            schema.createTable('candles', { unique: ['key'] });
+        }
+    },
+    {
+        version: 7,
+        name: 'create deposits, withdrawals and simulated chain',
+        up(schema) {
+            schema.createTable('depositAddresses', { unique: ['address'] });
+            schema.createTable('deposits', { unique: ['txid'] });
+            schema.createTable('withdrawals');
+            schema.createTable('simChain', { unique: ['txid'] });
+        }
+    },
+    {
+        version: 8,
+        name: 'track email verification and spent tokens',
+        up(schema) {
+            schema.createTable('usedTokens');
+            for (const user of schema.rows('users')) {
+                if (user.emailVerified === undefined) user.emailVerified = false;
+            }
+        }
+    },
+    {
+        version: 9,
+        name: 'create login throttle and security events',
+        up(schema) {
+            schema.createTable('loginThrottle');
+            schema.createTable('securityEvents');
+        }
+    },
+    {
+        version: 10,
+        name: 'add user roles, account freezing and the admin audit trail',
+        up(schema) {
+            for (const user of schema.rows('users')) {
+                if (user.role === undefined) user.role = 'user';
+                if (user.frozen === undefined) user.frozen = false;
+            }
+            schema.createTable('adminAudit');
+        }
+    },
+    {
+        version: 11,
+        name: 'create market registry overrides',
+        up(schema) {
+            schema.createTable('marketOverrides');
+        }
+    },
+    {
+        version: 12,
+        name: 'store amounts as fixed-point decimal strings',
+        up(schema) {
+            const markets = readMarketsFile();
+            const decimals = Object.fromEntries(markets.assets.map(a => [a.symbol, a.decimals]));
+            const pairs = Object.fromEntries(markets.pairs.map(p => [p.symbol, p]));
+            // Floats are rounded half-up to the asset's decimals, as the ledger did when it posted them.
+            const fix = (value, asset) => (typeof value === 'number'
+                ? Money.parse(value, decimals[asset], { rounding: 'half-up' }).toString()
+                : value);
+            const fixFields = (row, fields, asset) => {
+                for (const field of fields) if (row[field] !== undefined && row[field] !== null) row[field] = fix(row[field], asset);
+            };
+
+            for (const account of schema.rows('accounts')) fixFields(account, ['balance'], account.asset);
+            for (const entry of schema.rows('journal')) entry.lines.forEach(line => fixFields(line, ['amount'], line.asset));
+            for (const order of schema.rows('orders')) {
+                const pair = pairs[order.pair];
+                if (!pair) continue;
+                fixFields(order, ['price'], pair.quote);
+                fixFields(order, ['quantity', 'remaining', 'filled'], pair.base);
+                fixFields(order, ['held'], order.heldAsset);
+            }
+            for (const trade of schema.rows('trades')) {
+                const pair = pairs[trade.pair];
+                if (!pair) continue;
+                fixFields(trade, ['price', 'sellerFee'], pair.quote);
+                fixFields(trade, ['quantity', 'buyerFee'], pair.base);
+            }
+            for (const candle of schema.rows('candles')) {
+                const pair = pairs[candle.pair];
+                if (!pair) continue;
+                fixFields(candle, ['open', 'high', 'low', 'close'], pair.quote);
+                fixFields(candle, ['volume'], pair.base);
+            }
+            for (const table of ['deposits', 'withdrawals', 'simChain']) {
+                for (const row of schema.rows(table)) if (row.asset) fixFields(row, ['amount', 'fee'], row.asset);
+            }
+            for (const audit of schema.rows('adminAudit')) {
+                if (audit.detail && audit.detail.asset) fixFields(audit.detail, ['amount'], audit.detail.asset);
+            }
+            for (const override of schema.rows('marketOverrides')) {
+                const [kind, key] = override.id.split(':');
+                if (kind === 'asset') fixFields(override.patch, ['withdrawalFee', 'minWithdrawal'], key);
+                if (kind === 'pair' && pairs[key]) {
+                    fixFields(override.patch, ['tickSize', 'minNotional'], pairs[key].quote);
+                    fixFields(override.patch, ['lotSize'], pairs[key].base);
+                }
+                if (kind === 'fees') override.patch.tiers.forEach(tier => fixFields(tier, ['minVolume'], override.patch.volumeAsset));
+            }
+        }
+    },
+    {
+        version: 13,
+        name: 'create conditional orders',
+        up(schema) {
+            schema.createTable('triggerOrders');
+        }
+    },
+    {
+        version: 14,
+        name: 'create portfolio snapshots',
+        up(schema) {
+            schema.createTable('portfolioSnapshots');
+        }
+    },
+    {
+        version: 15,
+        name: 'create paper trading accounts, orders and trades',
+        up(schema) {
+            schema.createTable('paperAccounts', { unique: ['userId'] });
+            schema.createTable('paperOrders');
+            schema.createTable('paperTrades');
+        }
+    },
+    {
+        version: 16,
+        name: 'create alerts, notifications, deliveries and webhook endpoints',
+        up(schema) {
+            schema.createTable('alerts');
+            schema.createTable('notifications', { unique: ['dedupeKey'] });
+            schema.createTable('deliveries', { unique: ['dedupeKey'] });
+            schema.createTable('webhookEndpoints');
+        }
+    },
+    {
+        version: 17,
+        name: 'log delivery attempts and dead-letter failed deliveries',
+        up(schema) {
+            schema.createTable('deliveryAttempts');
+            for (const row of schema.rows('deliveries')) {
+                if (row.status === 'failed') row.status = 'dead';
+            }
+        }
+    },
+    {
+        version: 18,
+        name: 'create scheduled jobs and recurring buy plans',
+        up(schema) {
+            schema.createTable('jobs', { unique: ['key'] });
+            schema.createTable('recurringPlans');
+            schema.createTable('planRuns', { unique: ['key'] });
+        }
+    },
+    {
+        version: 19,
+        name: 'create savings products, positions and interest accruals',
+        up(schema) {
+            schema.createTable('savingsProducts');
+            schema.createTable('savingsPositions');
+            schema.createTable('savingsAccruals', { unique: ['key'] });
+        }
+    }
+];
+
+export default migrations;
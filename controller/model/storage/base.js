@@ -0,0 +1,194 @@
+import crypto from 'crypto';
+
+export class UniqueConstraintError extends Error {
+    constructor(table, field) {
+        super(`${table}.${field} must be unique`);
+        this.name = 'UniqueConstraintError';
+        this.code = 'E_UNIQUE';
+        this.table = table;
+        this.field = field;
+    }
+}
+
+function matches(row, where) {
+    if (!where) return true;
+    if (typeof where === 'function') return where(row);
+    return Object.entries(where).every(([key, value]) => row[key] === value);
+}
+
+function copy(row) {
+    return row ? structuredClone(row) : row;
+}
+
+/**
+ * Table engine shared by every adapter. Keeps the whole dataset as
+ * `{ schema, tables, version }` and calls `persist(data)` after each write,
+ * so an adapter only has to decide where that snapshot lives.
+ */
+export function createStore(data, persist = async () => {}) {
+    data.schema = data.schema || {};
+    data.tables = data.tables || {};
+    data.version = data.version || 0;
+
+    function table(name) {
+        if (!data.schema[name]) throw new Error(`unknown table "${name}"`);
+        return data.tables[name];
+    }
+
+    function checkUnique(name, row, ignoreId) {
+        for (const field of data.schema[name].unique) {
+            if (row[field] === undefined || row[field] === null) continue;
+            const clash = data.tables[name].find(r => r.id !== ignoreId && r[field] === row[field]);
+            if (clash) throw new UniqueConstraintError(name, field);
+        }
+    }
+
+    // Migrations receive this to declare tables; kept separate from the row API.
+    const schema = {
+        createTable(name, { unique = [] } = {}) {
+            data.schema[name] = { unique };
+            data.tables[name] = data.tables[name] || [];
+        },
+        addUnique(name, field) {
+            if (!data.schema[name].unique.includes(field)) data.schema[name].unique.push(field);
+        },
+        dropTable(name) {
+            delete data.schema[name];
+            delete data.tables[name];
+        },
+        rows(name) {
+            return table(name);
+        }
+    };
+
+    // Synchronous row operations; everything public goes through write() or
+    // transaction() so callers never see a half-applied change.
+    const ops = {
+        insert(name, values) {
+            const now = new Date().toISOString();
+            const row = { ...values, id: values.id || crypto.randomUUID(), createdAt: now, updatedAt: now };
+            checkUnique(name, row);
+            table(name).push(row);
+            return copy(row);
+        },
+        update(name, id, patch) {
+            const rows = table(name);
+            const index = rows.findIndex(r => r.id === id);
+            if (index === -1) return null;
+            const row = { ...rows[index], ...patch, id, createdAt: rows[index].createdAt, updatedAt: new Date().toISOString() };
+            checkUnique(name, row, id);
+            rows[index] = row;
+            return copy(row);
+        },
+        remove(name, id) {
+            const rows = table(name);
+            const index = rows.findIndex(r => r.id === id);
+            if (index === -1) return false;
+            rows.splice(index, 1);
+            return true;
+        },
+        findOne(name, where) {
+            return copy(table(name).find(row => matches(row, where)));
+        },
+        find(name, where) {
+            return table(name).filter(row => matches(row, where)).map(copy);
+        }
+    };
+
+    // The row operations for one transaction: the first write to a table
+    // keeps its rows in `before`. Stored rows are never changed in place
+    // (update swaps in a new object), so a copy of the array is enough.
+    // `onRollback(fn)` lets callers undo state kept outside the tables.
+    function tracked(before, undo) {
+        const keep = (name) => {
+            if (!(name in before)) before[name] = table(name).slice();
+        };
+        return {
+            ...ops,
+            onRollback(fn) {
+                undo.push(fn);
+            },
+            insert(name, values) {
+                keep(name);
+                return ops.insert(name, values);
+            },
+            update(name, id, patch) {
+                keep(name);
+                return ops.update(name, id, patch);
+            },
+            remove(name, id) {
+                keep(name);
+                return ops.remove(name, id);
+            }
+        };
+    }
+
+    // Writes are chained so two requests never interleave a persist.
+    let queue = Promise.resolve();
+    function write(fn) {
+        const result = queue.then(async () => {
+            const value = fn();
+            await persist(data);
+            return value;
+        });
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    return {
+        get version() { return data.version; },
+
+        async migrate(migrations) {
+            const pending = migrations
+                .filter(m => m.version > data.version)
+                .sort((a, b) => a.version - b.version);
+            for (const migration of pending) {
+                await write(() => {
+                    migration.up(schema);
+                    data.version = migration.version;
+                });
+            }
+            return pending.length;
+        },
+
+        async insert(name, values) {
+            return write(() => ops.insert(name, values));
+        },
+
+        async update(name, id, patch) {
+            return write(() => ops.update(name, id, patch));
+        },
+
+        async remove(name, id) {
+            return write(() => ops.remove(name, id));
+        },
+
+        async findOne(name, where) {
+            return ops.findOne(name, where);
+        },
+
+        async find(name, where) {
+            return ops.find(name, where);
+        },
+
+        /**
+         * Runs `fn(tx)` with synchronous access to the same row operations.
+         * If it throws, every table it wrote to is restored to how it was
+         * before the call, the `tx.onRollback` callbacks run, newest first,
+         * and nothing is persisted.
+         */
+        async transaction(fn) {
+            return write(() => {
+                const before = {};
+                const undo = [];
+                try {
+                    return fn(tracked(before, undo));
+                } catch (err) {
+                    Object.assign(data.tables, before);
+                    for (const revert of undo.reverse()) revert();
+                    throw err;
+                }
+            });
+        }
+    };
+}
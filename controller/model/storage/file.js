@@ -0,0 +1,25 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createStore } from './base.js';
+
+/**
+ * Keeps the dataset in a single JSON file. Every write goes to a temp file
+ * first and is renamed over the original, so a crash mid-write never leaves
+ * a truncated database behind.
+ */
+export default async function createFileAdapter(file) {
+    let data = {};
+    try {
+        data = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+
+    return createStore(data, async (snapshot) => {
+        await fs.writeFile(tmp, JSON.stringify(snapshot));
+        await fs.rename(tmp, file);
+    });
+}
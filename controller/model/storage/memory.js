@@ -0,0 +1,6 @@
+import { createStore } from './base.js';
+
+// Nothing survives the process; meant for tests and throwaway runs.
+export default async function createMemoryAdapter() {
+    return createStore({});
+}
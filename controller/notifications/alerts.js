@@ -0,0 +1,230 @@
+import exchange, { decimalInput } from '../engine/exchange.js';
+import transfers from '../funding/transfers.js';
+import prices from '../marketdata/prices.js';
+import Trade from '../model/Trade.js';
+import db from '../model/db.js';
+import Money from '../model/Money.js';
+import registry from '../config/registry.js';
+import notifier from './notifier.js';
+
+export const MARKET_ALERT_TYPES = ['price_above', 'price_below', 'percent_move', 'volume_spike'];
+export const ACCOUNT_ALERT_TYPES = ['order_filled', 'deposit_credited', 'withdrawal_sent'];
+export const ALERT_TYPES = [...MARKET_ALERT_TYPES, ...ACCOUNT_ALERT_TYPES];
+// Where an alert goes besides the notification center, which always gets it.
+export const ALERT_CHANNELS = ['email', 'webhook'];
+
+// A volume spike is measured against the average volume per window over this much time before it.
+const BASELINE_MS = 24 * 60 * 60 * 1000;
+const MAX_WINDOW_MINUTES = 24 * 60;
+
+export class AlertError extends Error {
+    constructor(message, code, field) {
+        super(message);
+        this.name = 'AlertError';
+        this.code = code;
+        this.field = field;
+    }
+}
+
+function windowInput(value) {
+    const minutes = Number(value);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_WINDOW_MINUTES) {
+        throw new AlertError(`window must be a whole number of minutes from 1 to ${MAX_WINDOW_MINUTES}`, 'E_WINDOW', 'windowMinutes');
+    }
+    return minutes;
+}
+
+function positiveInput(value, field, code) {
+    const amount = decimalInput(value, field, code);
+    if (!amount.isPositive()) throw new AlertError(`${field} must be positive`, code, field);
+    return amount;
+}
+
+/**
+ * User alerts. Market alerts watch one pair and are checked against every
+ * trade: price_above and price_below fire once, the first time a trade
+ * prints at or beyond their price; percent_move and volume_spike compare
+ * the last `windowMinutes` with what came before and, after firing, rest
+ * for one window. Account alerts fire on the user's own filled orders,
+ * credited deposits and withdrawals sent to the network.
+ *
+ * Each firing is named by the alert and the trade, order or transfer that
+ * caused it, and the notifier drops names it has seen, so replays do not
+ * announce anything twice.
+ */
+class Alerts {
+    constructor() {
+        // pair -> [{ timestamp, quantity }] for the last BASELINE_MS plus the longest window, oldest first.
+        this.volumes = new Map();
+        this.queue = Promise.resolve();
+    }
+
+    _serial(fn) {
+        const run = this.queue.then(fn);
+        this.queue = run.catch(err => console.error('alert evaluation failed', err));
+        return run;
+    }
+
+    async start() {
+        const since = Date.now() - BASELINE_MS - MAX_WINDOW_MINUTES * 60000;
+        for (const { symbol } of registry.pairs) {
+            const trades = (await Trade.findByPair(symbol)).filter(t => t.timestamp >= since).sort((a, b) => a.seq - b.seq);
+            this.volumes.set(symbol, trades.map(t => ({ timestamp: t.timestamp, quantity: Money.parse(t.quantity) })));
+        }
+        exchange.on('trade', trade => this._serial(() => this._onTrade(trade)));
+        exchange.on('order', order => {
+            if (order.status === 'filled') this._serial(() => this._onOrderFilled(order));
+        });
+        transfers.events.on('deposit', deposit => {
+            if (deposit.status === 'credited') this._serial(() => this._onDeposit(deposit));
+        });
+        transfers.events.on('withdrawal', withdrawal => {
+            if (withdrawal.status === 'broadcast') this._serial(() => this._onWithdrawal(withdrawal));
+        });
+    }
+
+    list(userId) {
+        return db.find('alerts', { userId });
+    }
+
+    async create(userId, params = {}) {
+        const { type } = params;
+        if (!ALERT_TYPES.includes(type)) throw new AlertError(`type must be one of ${ALERT_TYPES.join(', ')}`, 'E_TYPE', 'type');
+        const channels = [].concat(params.channels || []);
+        if (channels.some(c => !ALERT_CHANNELS.includes(c))) {
+            throw new AlertError(`channels must be among ${ALERT_CHANNELS.join(', ')}`, 'E_CHANNEL', 'channels');
+        }
+        const alert = { userId, type, pair: null, price: null, percent: null, multiple: null, windowMinutes: null, channels, status: 'active', firedAt: null };
+        if (MARKET_ALERT_TYPES.includes(type)) {
+            const pair = registry.pair(params.pair);
+            if (!pair) throw new AlertError('unknown pair', 'E_PAIR', 'pair');
+            alert.pair = pair.symbol;
+            if (type === 'price_above' || type === 'price_below') {
+                const price = positiveInput(params.price, 'price', 'E_PRICE');
+                if (!price.eq(price.rescale(registry.asset(pair.quote).decimals, 'down'))) {
+                    throw new AlertError(`price has more than ${registry.asset(pair.quote).decimals} decimals`, 'E_PRICE', 'price');
+                }
+                alert.price = price.toString();
+            } else if (type === 'percent_move') {
+                const percent = positiveInput(params.percent, 'percent', 'E_PERCENT');
+                if (percent.gt(100)) throw new AlertError('percent must be at most 100', 'E_PERCENT', 'percent');
+                alert.percent = percent.toString();
+                alert.windowMinutes = windowInput(params.windowMinutes);
+            } else {
+                const multiple = positiveInput(params.multiple, 'multiple', 'E_MULTIPLE');
+                if (!multiple.gt(1)) throw new AlertError('multiple must be greater than 1', 'E_MULTIPLE', 'multiple');
+                alert.multiple = multiple.toString();
+                alert.windowMinutes = windowInput(params.windowMinutes);
+            }
+        }
+        return db.insert('alerts', alert);
+    }
+
+    async remove(userId, id) {
+        const alert = await db.findOne('alerts', { id, userId });
+        if (!alert) throw new AlertError('alert not found', 'E_NOT_FOUND');
+        await db.remove('alerts', id);
+        return alert;
+    }
+
+    // Records the firing on the alert, then hands the notification to the notifier.
+    async _fire(alert, { title, message, data, ref }, patch = {}) {
+        await db.update('alerts', alert.id, { firedAt: new Date().toISOString(), ...patch });
+        return notifier.notify(alert.userId, {
+            type: alert.type, title, message, data, alertId: alert.id, channels: alert.channels, dedupeKey: `alert:${alert.id}:${ref}`
+        });
+    }
+
+    _volume(pair, from, to) {
+        return (this.volumes.get(pair) || [])
+            .filter(t => t.timestamp > from && t.timestamp <= to)
+            .reduce((sum, t) => sum.plus(t.quantity), Money.zero());
+    }
+
+    async _onTrade(trade) {
+        const list = this.volumes.get(trade.pair) || [];
+        list.push({ timestamp: trade.timestamp, quantity: Money.parse(trade.quantity) });
+        const horizon = trade.timestamp - BASELINE_MS - MAX_WINDOW_MINUTES * 60000;
+        while (list.length && list[0].timestamp < horizon) list.shift();
+        this.volumes.set(trade.pair, list);
+
+        const price = Money.parse(trade.price);
+        const { quote, base } = registry.pair(trade.pair);
+        const watching = await db.find('alerts', row => row.pair === trade.pair && row.status === 'active');
+        for (const alert of watching) {
+            const windowMs = alert.windowMinutes * 60000;
+            const resting = alert.firedAt && Date.parse(alert.firedAt) + windowMs > trade.timestamp;
+            if (alert.type === 'price_above' || alert.type === 'price_below') {
+                const crossed = alert.type === 'price_above' ? price.gte(alert.price) : price.lte(alert.price);
+                if (!crossed) continue;
+                const direction = alert.type === 'price_above' ? 'risen to' : 'fallen to';
+                await this._fire(alert, {
+                    title: `${trade.pair} ${alert.type === 'price_above' ? 'above' : 'below'} ${alert.price}`,
+                    message: `${trade.pair} has ${direction} ${price} ${quote}.`,
+                    data: { pair: trade.pair, price: price.toString(), target: alert.price, tradeId: trade.id },
+                    ref: trade.id
+                }, { status: 'triggered' });
+            } else if (alert.type === 'percent_move' && !resting) {
+                const reference = prices.priceAt(trade.pair, trade.timestamp - windowMs);
+                if (!reference || !reference.isPositive()) continue;
+                const change = price.minus(reference);
+                if (change.abs().times(100).lt(reference.times(alert.percent))) continue;
+                const percent = change.times(100).div(reference, { scale: 2, rounding: 'half-up' });
+                await this._fire(alert, {
+                    title: `${trade.pair} moved ${percent}%`,
+                    message: `${trade.pair} went from ${reference} to ${price} ${quote} in the last ${alert.windowMinutes} minutes.`,
+                    data: { pair: trade.pair, price: price.toString(), reference: reference.toString(), percent: percent.toString(), windowMinutes: alert.windowMinutes, tradeId: trade.id },
+                    ref: trade.id
+                });
+            } else if (alert.type === 'volume_spike' && !resting) {
+                const volume = this._volume(trade.pair, trade.timestamp - windowMs, trade.timestamp);
+                const baseline = this._volume(trade.pair, trade.timestamp - windowMs - BASELINE_MS, trade.timestamp - windowMs);
+                // volume / windowMs >= multiple × baseline / BASELINE_MS, kept in integers.
+                if (!baseline.isPositive() || volume.times(BASELINE_MS).lt(baseline.times(windowMs).times(alert.multiple))) continue;
+                const average = baseline.times(windowMs).div(BASELINE_MS, { scale: registry.asset(base).decimals, rounding: 'half-up' });
+                await this._fire(alert, {
+                    title: `${trade.pair} volume spike`,
+                    message: `${volume} ${base} traded on ${trade.pair} in the last ${alert.windowMinutes} minutes, against ${average} on average.`,
+                    data: { pair: trade.pair, volume: volume.toString(), average: average.toString(), windowMinutes: alert.windowMinutes, tradeId: trade.id },
+                    ref: trade.id
+                });
+            }
+        }
+    }
+
+    async _account(userId, type, notification) {
+        for (const alert of await db.find('alerts', { userId, type })) await this._fire(alert, notification);
+    }
+
+    _onOrderFilled(order) {
+        const { base } = registry.pair(order.pair);
+        return this._account(order.userId, 'order_filled', {
+            title: `${order.pair} order filled`,
+            message: `Your ${order.type} order to ${order.side} ${order.quantity} ${base} on ${order.pair} is filled.`,
+            data: { orderId: order.id, pair: order.pair, side: order.side, type: order.type, quantity: order.quantity, price: order.price },
+            ref: order.id
+        });
+    }
+
+    _onDeposit(deposit) {
+        return this._account(deposit.userId, 'deposit_credited', {
+            title: `${deposit.asset} deposit credited`,
+            message: `${deposit.amount} ${deposit.asset} is now available in your wallet.`,
+            data: { depositId: deposit.id, asset: deposit.asset, amount: deposit.amount, txid: deposit.txid },
+            ref: deposit.id
+        });
+    }
+
+    _onWithdrawal(withdrawal) {
+        return this._account(withdrawal.userId, 'withdrawal_sent', {
+            title: `${withdrawal.asset} withdrawal sent`,
+            message: `${withdrawal.amount} ${withdrawal.asset} was sent to ${withdrawal.address}.`,
+            data: { withdrawalId: withdrawal.id, asset: withdrawal.asset, amount: withdrawal.amount, address: withdrawal.address, txid: withdrawal.txid },
+            ref: withdrawal.id
+        });
+    }
+}
+
+const alerts = new Alerts();
+
+export default alerts;
@@ -0,0 +1,174 @@
+import db from '../model/db.js';
+import mailer from '../mailer/mailer.js';
+import webhooks from './webhooks.js';
+
+const POLL_MS = Number(process.env.DELIVERY_POLL_MS) || 5000;
+const RETRY_MS = Number(process.env.DELIVERY_RETRY_MS) || 30000;
+export const MAX_ATTEMPTS = Number(process.env.DELIVERY_MAX_ATTEMPTS) || 5;
+
+export const DELIVERY_CHANNELS = ['email', 'webhook'];
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+export class DeliveryError extends Error {
+    constructor(message, code, field) {
+        super(message);
+        this.name = 'DeliveryError';
+        this.code = code;
+        this.field = field;
+    }
+}
+
+// How each channel sends one delivery; `target` is an email address or a webhook endpoint id.
+const senders = {
+    email: async (delivery) => {
+        await mailer.sendTemplate(delivery.target, 'notification', delivery.payload);
+        return null;
+    },
+    webhook: (delivery) => webhooks.send(delivery.target, { id: delivery.id, event: delivery.event, payload: delivery.payload })
+};
+
+/**
+ * Outgoing messages: emails and webhook calls. Each delivery carries a
+ * unique `dedupeKey`, so one event is never queued twice. Notification
+ * deliveries are queued in the notification's transaction; account events
+ * are published after their change commits (see events.js). The worker
+ * sends what is due one at a time and logs every attempt in
+ * `deliveryAttempts`. A failure is retried after RETRY_MS, doubling each
+ * time; after MAX_ATTEMPTS, or at once when its endpoint was removed, the
+ * delivery goes to the dead letters, where the user can replay it. Webhook
+ * calls keep the delivery id across retries and replays so receivers can
+ * drop repeats.
+ */
+const deliveries = {
+    timer: null,
+    running: null,
+
+    // Queues a delivery inside `tx`. Returns null when one with the same key exists.
+    enqueueWithin(tx, { userId, channel, target, event, payload, dedupeKey }) {
+        if (tx.findOne('deliveries', { dedupeKey })) return null;
+        return tx.insert('deliveries', {
+            userId,
+            channel,
+            target,
+            event,
+            payload,
+            dedupeKey,
+            status: 'pending',
+            attempts: 0,
+            attemptsLogged: 0,
+            nextAttemptAt: Date.now(),
+            lastError: null,
+            deliveredAt: null
+        });
+    },
+
+    /**
+     * Queues `event` for every endpoint of the user subscribed to it. `key`
+     * names the occurrence, such as a trade id and side; the same key is
+     * never delivered to an endpoint twice. With `occurredAt`, endpoints
+     * created after it are left out. Resolves to the new deliveries.
+     */
+    async publish(userId, event, payload, key, occurredAt = null) {
+        const endpoints = (await webhooks.subscribed(userId, event)).filter(endpoint => !occurredAt || endpoint.createdAt <= occurredAt);
+        if (!endpoints.length) return [];
+        const queued = await db.transaction(tx => endpoints
+            .map(endpoint => deliveries.enqueueWithin(tx, {
+                userId, channel: 'webhook', target: endpoint.id, event, payload, dedupeKey: `${event}:${key}:webhook:${endpoint.id}`
+            }))
+            .filter(Boolean));
+        if (queued.length) deliveries.run().catch(err => console.error('delivery run failed', err));
+        return queued;
+    },
+
+    start() {
+        if (deliveries.timer) return;
+        deliveries.timer = setInterval(() => deliveries.run().catch(err => console.error('delivery run failed', err)), POLL_MS);
+        deliveries.timer.unref();
+    },
+
+    stop() {
+        clearInterval(deliveries.timer);
+        deliveries.timer = null;
+    },
+
+    // Sends every due delivery. Calls made while a run is going share that run, then start another.
+    run(now = Date.now()) {
+        if (deliveries.running) return deliveries.running.then(() => deliveries.run());
+        deliveries.running = (async () => {
+            const due = await db.find('deliveries', row => row.status === 'pending' && row.nextAttemptAt <= now);
+            for (const delivery of due.sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)) await deliveries.attempt(delivery);
+            return due.length;
+        })().finally(() => { deliveries.running = null; });
+        return deliveries.running;
+    },
+
+    async attempt(delivery) {
+        const attempts = delivery.attempts + 1;
+        const started = Date.now();
+        let status = null;
+        let error = null;
+        try {
+            status = await senders[delivery.channel](delivery);
+        } catch (err) {
+            status = err.status || null;
+            error = err;
+        }
+        const dead = error && (attempts >= MAX_ATTEMPTS || error.code === 'E_GONE');
+        return db.transaction(tx => {
+            // `attempts` starts over on a replay, the log's numbering does not. Rows from before the counter count their log once.
+            const current = tx.findOne('deliveries', { id: delivery.id });
+            const attemptsLogged = current.attemptsLogged ?? tx.find('deliveryAttempts', { deliveryId: delivery.id }).length;
+            tx.insert('deliveryAttempts', {
+                deliveryId: delivery.id,
+                userId: delivery.userId,
+                number: attemptsLogged + 1,
+                ok: !error,
+                status,
+                error: error ? error.message : null,
+                durationMs: Date.now() - started
+            });
+            if (!error) {
+                return tx.update('deliveries', delivery.id, {
+                    status: 'delivered', attempts, attemptsLogged: attemptsLogged + 1, lastError: null, nextAttemptAt: null, deliveredAt: new Date().toISOString()
+                });
+            }
+            return tx.update('deliveries', delivery.id, {
+                status: dead ? 'dead' : 'pending',
+                attempts,
+                attemptsLogged: attemptsLogged + 1,
+                lastError: error.message,
+                nextAttemptAt: dead ? null : Date.now() + RETRY_MS * 2 ** (attempts - 1)
+            });
+        });
+    },
+
+    // The user's deliveries on `channel`, newest first, optionally narrowed to one status.
+    async forUser(userId, { channel, status } = {}) {
+        const rows = await db.find('deliveries', row => row.userId === userId && (!channel || row.channel === channel) && (!status || row.status === status));
+        return rows.reverse().sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    // One delivery of the user's with its attempts, oldest first; null when it is not theirs.
+    async inspect(userId, id) {
+        const delivery = await db.findOne('deliveries', { id, userId });
+        if (!delivery) return null;
+        const attempts = (await db.find('deliveryAttempts', { deliveryId: id })).sort((a, b) => a.number - b.number);
+        return { delivery, attempts };
+    },
+
+    /**
+     * Sends a delivery again, dead or delivered: it goes back to pending with
+     * a fresh set of attempts and keeps its id. Pending ones are refused,
+     * they are still being retried.
+     */
+    async replay(userId, id) {
+        const delivery = await db.findOne('deliveries', { id, userId });
+        if (!delivery) throw new DeliveryError('delivery not found', 'E_NOT_FOUND');
+        if (delivery.status === 'pending') throw new DeliveryError('delivery is still being retried', 'E_PENDING');
+        const queued = await db.update('deliveries', id, { status: 'pending', attempts: 0, nextAttemptAt: Date.now(), replays: (delivery.replays || 0) + 1 });
+        deliveries.run().catch(err => console.error('delivery run failed', err));
+        return queued;
+    }
+};
+
+export default deliveries;
@@ -0,0 +1,82 @@
+import exchange from '../engine/exchange.js';
+import transfers from '../funding/transfers.js';
+import db from '../model/db.js';
+import registry from '../config/registry.js';
+import deliveries from './deliveries.js';
+
+const CATCH_UP_MS = (Number(process.env.WEBHOOK_CATCH_UP_HOURS) || 24) * 60 * 60 * 1000;
+
+function withoutOwner({ userId, ...row }) {
+    return row;
+}
+
+// One side of a trade as its owner sees it: a fill as on the `orders` WebSocket channel, plus its liquidity.
+function fillPayload(trade, side) {
+    const { base, quote } = registry.pair(trade.pair);
+    return {
+        orderId: side === 'buy' ? trade.buyOrderId : trade.sellOrderId,
+        tradeId: trade.id,
+        pair: trade.pair,
+        side,
+        price: trade.price,
+        quantity: trade.quantity,
+        fee: (side === 'buy' ? trade.buyerFee : trade.sellerFee) || '0',
+        feeAsset: side === 'buy' ? base : quote,
+        liquidity: trade.makerOrderId === (side === 'buy' ? trade.buyOrderId : trade.sellOrderId) ? 'maker' : 'taker',
+        timestamp: trade.timestamp
+    };
+}
+
+// The webhook events a stored row stands for, as [userId, event, payload, key, occurredAt].
+const eventsOf = {
+    trade: trade => [
+        [trade.buyerId, 'fill', fillPayload(trade, 'buy'), `${trade.id}:buy`, trade.createdAt],
+        [trade.sellerId, 'fill', fillPayload(trade, 'sell'), `${trade.id}:sell`, trade.createdAt]
+    ],
+    deposit: deposit => [[deposit.userId, 'deposit', withoutOwner(deposit), `${deposit.id}:${deposit.status}`, deposit.updatedAt]],
+    withdrawal: withdrawal => [[withdrawal.userId, 'withdrawal', withoutOwner(withdrawal), `${withdrawal.id}:${withdrawal.status}`, withdrawal.updatedAt]]
+};
+
+function publish(list) {
+    for (const [userId, event, payload, key] of list) {
+        deliveries.publish(userId, event, payload, key).catch(err => console.error(`${event} webhook not queued`, err));
+    }
+}
+
+/**
+ * Account events for webhook endpoints: 'fill' for each side of every
+ * trade, and 'deposit' and 'withdrawal' each time one is recorded or
+ * changes status. The event keys (trade and side, transfer and status)
+ * keep a repeated event from being delivered twice.
+ *
+ * Events are queued just after the trade or transfer commits, not in its
+ * transaction, so a crash in between loses them. On start, every trade and
+ * transfer change of the last WEBHOOK_CATCH_UP_HOURS is published again;
+ * the keys drop the ones already queued, and endpoints added after an event
+ * do not receive it. A transfer is caught up at its current status only.
+ */
+const events = {
+    start() {
+        exchange.on('trade', trade => publish(eventsOf.trade(trade)));
+        transfers.events.on('deposit', deposit => publish(eventsOf.deposit(deposit)));
+        transfers.events.on('withdrawal', withdrawal => publish(eventsOf.withdrawal(withdrawal)));
+        events.catchUp().catch(err => console.error('webhook catch-up failed', err));
+    },
+
+    // Queues the events of rows changed since `since` that have no delivery yet. Resolves to the deliveries added.
+    async catchUp(since = new Date(Date.now() - CATCH_UP_MS).toISOString()) {
+        const [trades, deposits, withdrawals] = await Promise.all([
+            db.find('trades', row => row.createdAt >= since),
+            db.find('deposits', row => row.updatedAt >= since),
+            db.find('withdrawals', row => row.updatedAt >= since)
+        ]);
+        const list = [...trades.flatMap(eventsOf.trade), ...deposits.flatMap(eventsOf.deposit), ...withdrawals.flatMap(eventsOf.withdrawal)];
+        let queued = 0;
+        for (const [userId, event, payload, key, occurredAt] of list) {
+            queued += (await deliveries.publish(userId, event, payload, key, occurredAt)).length;
+        }
+        return queued;
+    }
+};
+
+export default events;
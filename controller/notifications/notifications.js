@@ -0,0 +1,81 @@
+import express from 'express';
+import alerts, { AlertError, ALERT_TYPES, ALERT_CHANNELS, MARKET_ALERT_TYPES } from './alerts.js';
+import notifier from './notifier.js';
+import { TradingError } from '../engine/exchange.js';
+import registry from '../config/registry.js';
+import { ensureAuthenticated } from '../auth/guards.js';
+
+const router = express.Router();
+
+// How many notifications the page lists; the API pages through all of them.
+const PAGE_SIZE = 100;
+
+router.use('/notifications', ensureAuthenticated);
+
+async function renderNotifications(req, res, extra = {}) {
+    const [notifications, userAlerts] = await Promise.all([notifier.list(req.user.id), alerts.list(req.user.id)]);
+    res.render('partials/notifications', {
+        notifications: notifications.slice(0, PAGE_SIZE),
+        alerts: userAlerts,
+        alertTypes: ALERT_TYPES,
+        marketAlertTypes: MARKET_ALERT_TYPES,
+        alertChannels: ALERT_CHANNELS,
+        pairs: registry.pairs.map(p => p.symbol),
+        errors: {},
+        values: {},
+        ...extra
+    });
+}
+
+router.get('/notifications', async (req, res, next) => {
+    try {
+        await renderNotifications(req, res);
+    } catch (err) {
+        next(err);
+    }
+})
+
+// Marks one notification read when the form names it, otherwise all of them.
+router.post('/notifications/read', async (req, res, next) => {
+    try {
+        await notifier.markRead(req.user.id, req.body.id ? [String(req.body.id)] : []);
+        res.redirect('/notifications');
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.post('/notifications/alerts', async (req, res, next) => {
+    try {
+        await alerts.create(req.user.id, {
+            type: req.body.type,
+            pair: req.body.pair,
+            price: req.body.price,
+            percent: req.body.percent,
+            multiple: req.body.multiple,
+            windowMinutes: req.body.windowMinutes,
+            channels: req.body.channels
+        });
+        res.redirect('/notifications');
+    } catch (err) {
+        if (!(err instanceof AlertError || err instanceof TradingError)) return next(err);
+        res.status(400);
+        try {
+            await renderNotifications(req, res, { errors: { [err.field || 'type']: err.message }, values: req.body });
+        } catch (renderErr) {
+            next(renderErr);
+        }
+    }
+})
+
+router.post('/notifications/alerts/:id/remove', async (req, res, next) => {
+    try {
+        await alerts.remove(req.user.id, req.params.id);
+        res.redirect('/notifications');
+    } catch (err) {
+        if (err instanceof AlertError) return res.redirect('/notifications');
+        next(err);
+    }
+})
+
+export default router;
@@ -0,0 +1,88 @@
+import { EventEmitter } from 'events';
+import db from '../model/db.js';
+import User from '../model/User.js';
+import deliveries from './deliveries.js';
+import webhooks from './webhooks.js';
+
+// How many notifications the navbar dropdown shows.
+const CENTER_SIZE = 5;
+
+/**
+ * Records notifications for the in-app notification center and queues the
+ * email and webhook deliveries that go with them. Every notification has a
+ * `dedupeKey` naming the event it is about; a second notify() with a key
+ * already seen does nothing, so an event replayed after a restart or seen
+ * twice is only ever announced once.
+ *
+ * Emits 'notification' with the stored row.
+ */
+class Notifier extends EventEmitter {
+    constructor() {
+        super();
+        // Each user's last notification `seq`, read from their notifications the first time, then counted here.
+        this.seqs = new Map();
+    }
+
+    // Hands the number back if `tx` rolls back, so a user's `seq` has no gaps.
+    _nextSeq(tx, userId) {
+        if (!this.seqs.has(userId)) this.seqs.set(userId, tx.find('notifications', { userId }).reduce((max, row) => Math.max(max, row.seq || 0), 0));
+        const seq = this.seqs.get(userId) + 1;
+        this.seqs.set(userId, seq);
+        tx.onRollback(() => this.seqs.set(userId, seq - 1));
+        return seq;
+    }
+
+    /**
+     * `channels` lists where else to send it besides the notification
+     * center: 'email' and/or 'webhook'. Resolves to the new row, or null
+     * when `dedupeKey` was already used.
+     */
+    async notify(userId, { type, title, message, data = {}, dedupeKey, channels = [], alertId = null }) {
+        const user = channels.includes('email') ? await User.findById(userId) : null;
+        const endpoints = channels.includes('webhook') ? await webhooks.subscribed(userId, 'alert') : [];
+        const payload = { type, title, message, data };
+        const notification = await db.transaction(tx => {
+            if (tx.findOne('notifications', { dedupeKey })) return null;
+            const seq = this._nextSeq(tx, userId);
+            const row = tx.insert('notifications', { userId, seq, alertId, type, title, message, data, dedupeKey, channels, readAt: null });
+            if (user) {
+                deliveries.enqueueWithin(tx, { userId, channel: 'email', target: user.email, event: 'alert', payload, dedupeKey: `${dedupeKey}:email` });
+            }
+            for (const endpoint of endpoints) {
+                deliveries.enqueueWithin(tx, {
+                    userId, channel: 'webhook', target: endpoint.id, event: 'alert', payload: { ...payload, notificationId: row.id }, dedupeKey: `${dedupeKey}:webhook:${endpoint.id}`
+                });
+            }
+            return row;
+        });
+        if (!notification) return null;
+        this.emit('notification', notification);
+        if (user || endpoints.length) deliveries.run().catch(err => console.error('delivery run failed', err));
+        return notification;
+    }
+
+    // Newest first.
+    async list(userId) {
+        return (await db.find('notifications', { userId })).sort((a, b) => b.seq - a.seq);
+    }
+
+    // What the navbar shows: the unread count and the latest few.
+    async center(userId) {
+        const all = await this.list(userId);
+        return { unread: all.filter(n => !n.readAt).length, latest: all.slice(0, CENTER_SIZE) };
+    }
+
+    // Marks the given notifications read, or all of them when `ids` is empty. Resolves to how many changed.
+    async markRead(userId, ids = []) {
+        const readAt = new Date().toISOString();
+        return db.transaction(tx => {
+            const unread = tx.find('notifications', row => row.userId === userId && !row.readAt && (!ids.length || ids.includes(row.id)));
+            for (const row of unread) tx.update('notifications', row.id, { readAt });
+            return unread.length;
+        });
+    }
+}
+
+const notifier = new Notifier();
+
+export default notifier;
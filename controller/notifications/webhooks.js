@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import db from '../model/db.js';
+import { seal, open } from '../config/secretBox.js';
+
+export const WEBHOOK_EVENTS = ['fill', 'deposit', 'withdrawal', 'alert'];
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+// Development only: lets endpoints point at this machine or the local network.
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+// Loopback, private, link-local and unspecified ranges, which would let an endpoint reach inside our network.
+const PRIVATE = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+    PRIVATE.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]) {
+    PRIVATE.addSubnet(network, prefix, 'ipv6');
+}
+
+export class WebhookError extends Error {
+    constructor(message, code, field) {
+        super(message);
+        this.name = 'WebhookError';
+        this.code = code;
+        this.field = field;
+    }
+}
+
+/**
+ * Hex HMAC-SHA256 of `timestamp.body` keyed with the endpoint's secret. The
+ * receiver recomputes it from the X-Broker-Timestamp header and the raw
+ * body, and rejects old timestamps to stop replays.
+ */
+export function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Throws E_PRIVATE when `hostname` is, or resolves to, an address in one of
+ * the PRIVATE ranges. Every address it resolves to must be public, since
+ * any of them may be the one fetch connects to.
+ */
+async function checkPublic(hostname) {
+    if (ALLOW_PRIVATE) return;
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = await dns.lookup(host, { all: true, verbatim: true });
+    if (addresses.some(({ address, family }) => PRIVATE.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+        throw new WebhookError(`${host} is not a public address`, 'E_PRIVATE', 'url');
+    }
+}
+
+function publicView({ secret, ...endpoint }) {
+    return endpoint;
+}
+
+/**
+ * URLs users registered to receive events by HTTP POST. Each endpoint has
+ * its own signing secret, sealed at rest because every delivery needs it.
+ */
+const webhooks = {
+    endpoints: async (userId) => (await db.find('webhookEndpoints', { userId })).map(publicView),
+
+    // The user's endpoints that take `event`.
+    subscribed: async (userId, event) => (await db.find('webhookEndpoints', row => row.userId === userId && row.events.includes(event))).map(publicView),
+
+    /**
+     * Registers an endpoint and returns it with the plain secret. This is
+     * the only time the secret leaves the server.
+     */
+    async create(userId, { url, events }) {
+        let parsed;
+        try {
+            parsed = new URL(String(url || '').trim());
+        } catch (err) {
+            throw new WebhookError('enter a full URL, such as https://example.com/hooks', 'E_URL', 'url');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) throw new WebhookError('the URL must use http or https', 'E_URL', 'url');
+        try {
+            await checkPublic(parsed.hostname);
+        } catch (err) {
+            if (err instanceof WebhookError) throw err;
+            throw new WebhookError(`${parsed.hostname} could not be found`, 'E_URL', 'url');
+        }
+        const chosen = [].concat(events || []);
+        if (!chosen.length || chosen.some(e => !WEBHOOK_EVENTS.includes(e))) {
+            throw new WebhookError(`pick events among ${WEBHOOK_EVENTS.join(', ')}`, 'E_EVENTS', 'events');
+        }
+        const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+        const endpoint = await db.insert('webhookEndpoints', { userId, url: parsed.toString(), events: chosen, secret: seal(secret) });
+        return { ...publicView(endpoint), secret };
+    },
+
+    async remove(userId, id) {
+        const endpoint = await db.findOne('webhookEndpoints', { id, userId });
+        if (!endpoint) return null;
+        await db.remove('webhookEndpoints', id);
+        return publicView(endpoint);
+    },
+
+    /**
+     * POSTs `payload` to the endpoint as JSON, signed. Resolves to the HTTP
+     * status; throws when the endpoint is gone, unreachable, slow or
+     * answers with anything but 2xx (the error's `status` says which).
+     * The host is checked again here because its DNS can change after
+     * registration.
+     */
+    async send(endpointId, { id, event, payload }) {
+        const endpoint = await db.findOne('webhookEndpoints', { id: endpointId });
+        if (!endpoint) throw new WebhookError('endpoint was removed', 'E_GONE');
+        await checkPublic(new URL(endpoint.url).hostname);
+        const body = JSON.stringify({ id, event, createdAt: new Date().toISOString(), data: payload });
+        const timestamp = String(Date.now());
+        const res = await fetch(endpoint.url, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                'user-agent': 'Broker-Webhooks/1',
+                'X-Broker-Event': event,
+                'X-Broker-Delivery': id,
+                'X-Broker-Timestamp': timestamp,
+                'X-Broker-Signature': sign(open(endpoint.secret), timestamp, body)
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+        if (res.status < 200 || res.status >= 300) {
+            const err = new WebhookError(`endpoint answered ${res.status}`, 'E_STATUS');
+            err.status = res.status;
+            throw err;
+        }
+        return res.status;
+    }
+};
+
+export default webhooks;
@@ -0,0 +1,99 @@
+import { EventEmitter } from 'events';
+import exchange from '../engine/exchange.js';
+import prices from '../marketdata/prices.js';
+import Money from '../model/Money.js';
+import pairs from '../config/pairs.js';
+import registry from '../config/registry.js';
+
+const TICK_MS = Number(process.env.PAPER_SIM_MS) || 5000;
+
+// Standard deviation of one tick's log return.
+const VOLATILITY = 0.002;
+
+// One draw from a standard normal distribution (Box-Muller).
+function gaussian() {
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Stand-in market for paper trading where the real book is empty. Each
+ * pair's price takes a random-walk step every `tickMs`, snapped to the
+ * pair's tick size. A walk starts from the last real trade, else the middle
+ * of the real book, else the pair's `referencePrice` from markets.json, and
+ * jumps back to the real price whenever the pair trades. Nothing here
+ * touches the real books.
+ *
+ * Emits 'tick' ({ pair, price }) after every step.
+ */
+export class MarketSimulator extends EventEmitter {
+    constructor({ tickMs = TICK_MS } = {}) {
+        super();
+        this.tickMs = tickMs;
+        this.prices = new Map();
+        this.timer = null;
+        exchange.on('trade', trade => this.anchor(trade.pair, trade.price));
+    }
+
+    // Where a walk starts when there is nothing yet; null if the pair has no price at all.
+    _seed(symbol) {
+        const last = prices.priceAt(symbol);
+        if (last) return last;
+        const { bids, asks } = exchange.depth(symbol, 1);
+        if (bids.length && asks.length) return this._snap(symbol, bids[0][0].plus(asks[0][0]).div(2, { rounding: 'half-even' }));
+        if (bids.length || asks.length) return (bids[0] || asks[0])[0];
+        const { referencePrice } = registry.pair(symbol);
+        return referencePrice ? Money.parse(referencePrice) : null;
+    }
+
+    // Nearest multiple of the tick size, never below one tick.
+    _snap(symbol, price) {
+        const { quote, tickSize } = registry.pair(symbol);
+        const ticks = price.div(tickSize, { scale: 0, rounding: 'half-even' });
+        const snapped = Money.max(tickSize, Money.parse(tickSize).times(ticks));
+        return registry.amount(quote, snapped);
+    }
+
+    // Current simulated price of `symbol`, or null when it has none.
+    price(symbol) {
+        if (!this.prices.has(symbol)) {
+            const seed = this._seed(symbol);
+            if (!seed) return null;
+            this.prices.set(symbol, seed);
+        }
+        return this.prices.get(symbol);
+    }
+
+    // Moves the walk onto a real price, e.g. after a real trade.
+    anchor(symbol, price) {
+        this.prices.set(symbol, Money.parse(price));
+    }
+
+    step(symbol) {
+        const current = this.price(symbol);
+        if (!current) return null;
+        const factor = Math.exp(VOLATILITY * gaussian()).toFixed(8);
+        const next = this._snap(symbol, current.times(factor, { scale: current.scale, rounding: 'half-even' }));
+        this.prices.set(symbol, next);
+        this.emit('tick', { pair: symbol, price: next });
+        return next;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            for (const { symbol, status } of pairs) if (status !== 'halted') this.step(symbol);
+        }, this.tickMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+const marketSimulator = new MarketSimulator();
+
+export default marketSimulator;
@@ -0,0 +1,362 @@
+import { EventEmitter } from 'events';
+import exchange, { TradingError, decimalInput } from '../engine/exchange.js';
+import { SIDES } from '../engine/MatchingEngine.js';
+import { feeRatesFor } from '../engine/fees.js';
+import marketSimulator from './marketSimulator.js';
+import PaperOrder, { PAPER_OPEN_STATUSES } from '../model/PaperOrder.js';
+import db from '../model/db.js';
+import Money from '../model/Money.js';
+import registry from '../config/registry.js';
+
+export const PAPER_ORDER_TYPES = ['limit', 'market'];
+
+/**
+ * What a paper account starts with and goes back to on reset, from
+ * PAPER_START_BALANCES (`USD:10000,BTC:0.5`). Amounts are decimal strings
+ * at the asset's decimals.
+ */
+export function startingBalances(spec = process.env.PAPER_START_BALANCES || 'USD:10000') {
+    const balances = {};
+    for (const part of spec.split(',').map(p => p.trim()).filter(Boolean)) {
+        const [asset, amount] = part.split(':');
+        balances[asset] = registry.amount(asset, amount).toString();
+    }
+    return balances;
+}
+
+function openingBalances() {
+    return Object.fromEntries(Object.entries(startingBalances())
+        .map(([asset, amount]) => [asset, { available: amount, held: registry.amount(asset, 0).toString() }]));
+}
+
+// Changes one of an account's balances by a signed `amount`; a paper balance never goes below zero either.
+function move(balances, asset, kind, amount) {
+    const zero = registry.amount(asset, 0).toString();
+    const entry = balances[asset] || { available: zero, held: zero };
+    const next = Money.parse(entry[kind]).plus(amount);
+    if (next.isNegative()) throw new TradingError(`insufficient paper ${asset} balance`, 'E_INSUFFICIENT', 'quantity');
+    balances[asset] = { ...entry, [kind]: next.toString() };
+}
+
+/**
+ * Paper trading: every user gets a practice account with virtual balances
+ * that can be reset to the starting amounts at any time. Paper orders are
+ * priced off the real market but never reach it: a taker fills against
+ * the real book as it stands (without consuming it), or at the simulated
+ * price when the other side of the book is empty. A limit remainder rests
+ * in the sandbox and fills in full at its limit once a real trade, the best
+ * real level on the other side or, with that side empty, the simulated
+ * price reaches it.
+ *
+ * Everything lives in its own tables, so paper balances and fills never
+ * show up in the ledger, the portfolio or reports. Fees are charged at the
+ * user's real rates, so results are comparable with live trading.
+ *
+ * Placement, cancellation, resets and fills run one at a time. Emits
+ * 'order' and 'trade' with stored rows.
+ */
+class Sandbox extends EventEmitter {
+    constructor(exchange, simulator) {
+        super();
+        this.exchange = exchange;
+        this.simulator = simulator;
+        this.orderSeq = 0;
+        this.tradeSeq = 0;
+        this.queue = Promise.resolve();
+    }
+
+    // Runs `fn` after everything queued before it; the returned promise settles with `fn`'s result.
+    _serial(fn) {
+        const run = this.queue.then(fn);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // Starts the simulator and begins filling resting paper orders. Must run after the exchange is restored.
+    async start() {
+        startingBalances();
+        const max = rows => rows.reduce((m, row) => Math.max(m, row.seq || 0), 0);
+        this.orderSeq = max(await db.find('paperOrders'));
+        this.tradeSeq = max(await db.find('paperTrades'));
+        const sweep = (pair, price) => this._serial(() => this._sweep(pair, price))
+            .catch(err => console.error('paper order processing failed', err));
+        this.exchange.on('trade', trade => sweep(trade.pair, Money.parse(trade.price)));
+        this.simulator.on('tick', ({ pair }) => sweep(pair, null));
+        this.simulator.start();
+    }
+
+    _accountWithin(tx, userId) {
+        return tx.findOne('paperAccounts', { userId })
+            || tx.insert('paperAccounts', { userId, balances: openingBalances(), resets: 0, resetAt: null });
+    }
+
+    // The user's paper account, opened with the starting balances on first use.
+    account(userId) {
+        return db.transaction(tx => this._accountWithin(tx, userId));
+    }
+
+    // Shaped like Ledger.balances: one zero-filled row per known asset, amounts as Money.
+    async balances(userId) {
+        const { balances } = await this.account(userId);
+        return registry.assets.map(({ symbol, decimals }) => {
+            const entry = balances[symbol] || {};
+            const available = Money.parse(entry.available || 0, decimals);
+            const held = Money.parse(entry.held || 0, decimals);
+            return { asset: symbol, decimals, available, held, total: available.plus(held) };
+        });
+    }
+
+    // Simulated price of `pair`; null when it has none yet.
+    price(pair) {
+        if (!registry.pair(pair)) throw new TradingError(`unknown pair "${pair}"`, 'E_PAIR', 'pair');
+        return this.simulator.price(pair);
+    }
+
+    _input(params) {
+        const type = params.type || 'limit';
+        return {
+            pair: params.pair,
+            side: params.side,
+            type,
+            price: type === 'market' || params.price === undefined ? null : decimalInput(params.price, 'price', 'E_PRICE'),
+            quantity: decimalInput(params.quantity, 'quantity', 'E_QUANTITY')
+        };
+    }
+
+    /**
+     * What a taker would get right now: `{ filled, notional, source }`, from
+     * the real book when its other side has orders (source `book`), else
+     * all or nothing at the simulated price (source `simulator`).
+     */
+    _execution({ pair, side, type, price, quantity }) {
+        const { bids, asks } = this.exchange.depth(pair, 1);
+        if ((side === 'buy' ? asks : bids).length) {
+            return { ...this.exchange.engine.quote({ pair, side, quantity, userId: null, type, price }), source: 'book' };
+        }
+        const simulated = this.simulator.price(pair);
+        if (simulated && (type === 'market' || (side === 'buy' ? simulated.lte(price) : simulated.gte(price)))) {
+            return { filled: quantity, notional: simulated.times(quantity), source: 'simulator' };
+        }
+        return { filled: Money.zero(), notional: Money.zero(), source: null };
+    }
+
+    // The live order rules, with liquidity judged by the execution above; resolves to that execution.
+    _validate(input) {
+        const market = registry.pair(input.pair);
+        if (!market) throw new TradingError(`unknown pair "${input.pair}"`, 'E_PAIR', 'pair');
+        if (market.status === 'halted') throw new TradingError(`${input.pair} is halted`, 'E_HALTED', 'pair');
+        if (!SIDES.includes(input.side)) throw new TradingError('side must be buy or sell', 'E_SIDE', 'side');
+        if (!PAPER_ORDER_TYPES.includes(input.type)) throw new TradingError('type must be limit or market', 'E_TYPE', 'type');
+        if (!input.quantity.isPositive()) throw new TradingError('quantity must be positive', 'E_QUANTITY', 'quantity');
+        if (!input.quantity.isMultipleOf(market.lotSize)) throw new TradingError(`quantity must be a multiple of ${market.lotSize}`, 'E_LOT_SIZE', 'quantity');
+        if (input.type === 'limit' && (!input.price || !input.price.isPositive())) throw new TradingError('price must be positive', 'E_PRICE', 'price');
+        if (input.type === 'limit' && !input.price.isMultipleOf(market.tickSize)) throw new TradingError(`price must be a multiple of ${market.tickSize}`, 'E_TICK_SIZE', 'price');
+
+        const execution = this._execution(input);
+        if (market.status === 'post-only') {
+            if (input.type === 'market') throw new TradingError(`${input.pair} is post-only; market orders are not accepted`, 'E_POST_ONLY', 'type');
+            if (execution.filled.isPositive()) throw new TradingError(`${input.pair} is post-only and this order would trade immediately`, 'E_POST_ONLY', 'price');
+        }
+        if (input.type === 'market' && !execution.filled.isPositive()) {
+            throw new TradingError('no liquidity or simulated price for a market order', 'E_LIQUIDITY');
+        }
+        const notional = input.type === 'limit' ? input.price.times(input.quantity) : execution.notional;
+        if (notional.lt(market.minNotional)) {
+            throw new TradingError(`order value must be at least ${market.minNotional} ${market.quote}`, 'E_MIN_NOTIONAL', 'quantity');
+        }
+        return execution;
+    }
+
+    /**
+     * Books one fill of `order` inside `tx`: the buyer pays quote and gets
+     * base less the fee, the seller the other way round, as on the live
+     * exchange. Amounts move between available balances only; callers
+     * release any hold first.
+     */
+    _tradeWithin(tx, balances, order, { price, quantity, quoteAmount, liquidity, source }) {
+        const { base, quote } = registry.pair(order.pair);
+        const rate = (liquidity === 'maker' ? order.makerFee : order.takerFee) || 0;
+        const fee = order.side === 'buy'
+            ? registry.amount(base, quantity.times(rate), { rounding: 'half-up' })
+            : registry.amount(quote, quoteAmount.times(rate), { rounding: 'half-up' });
+        if (order.side === 'buy') {
+            move(balances, quote, 'available', quoteAmount.neg());
+            move(balances, base, 'available', quantity.minus(fee));
+        } else {
+            move(balances, base, 'available', quantity.neg());
+            move(balances, quote, 'available', quoteAmount.minus(fee));
+        }
+        return tx.insert('paperTrades', {
+            userId: order.userId,
+            seq: ++this.tradeSeq,
+            orderId: order.id,
+            pair: order.pair,
+            side: order.side,
+            price: price.toString(),
+            quantity: quantity.toString(),
+            quoteAmount: quoteAmount.toString(),
+            fee: fee.toString(),
+            feeAsset: order.side === 'buy' ? base : quote,
+            liquidity,
+            source,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Places a paper order (`limit` or `market`). The part that can trade
+     * now fills at once as a taker; a limit remainder is held and rests, a
+     * market remainder is cancelled. Resolves to the stored order.
+     */
+    place(userId, params) {
+        return this._serial(async () => {
+            const input = this._input(params);
+            const execution = this._validate(input);
+            const { base, quote } = registry.pair(input.pair);
+            if (input.price) input.price = registry.amount(quote, input.price);
+            input.quantity = registry.amount(base, input.quantity);
+            const fees = await feeRatesFor(userId, input.pair);
+
+            const filled = registry.amount(base, execution.filled);
+            const remaining = input.quantity.minus(filled);
+            const rests = input.type === 'limit' && remaining.isPositive();
+            const heldAsset = input.side === 'buy' ? quote : base;
+            const hold = !rests ? registry.amount(heldAsset, 0)
+                : input.side === 'buy' ? registry.amount(quote, input.price.times(remaining), { rounding: 'up' }) : remaining;
+
+            const [order, trade] = await db.transaction(tx => {
+                const account = this._accountWithin(tx, userId);
+                const order = tx.insert('paperOrders', {
+                    ...input,
+                    price: input.price && input.price.toString(),
+                    quantity: input.quantity.toString(),
+                    userId,
+                    seq: ++this.orderSeq,
+                    remaining: remaining.toString(),
+                    filled: filled.toString(),
+                    status: !remaining.isPositive() ? 'filled' : rests ? (filled.isPositive() ? 'partially_filled' : 'open') : 'cancelled',
+                    reason: remaining.isPositive() && !rests ? 'no_liquidity' : null,
+                    heldAsset,
+                    held: hold.toString(),
+                    makerFee: fees.maker,
+                    takerFee: fees.taker
+                });
+                let trade = null;
+                if (filled.isPositive()) {
+                    trade = this._tradeWithin(tx, account.balances, order, {
+                        price: execution.notional.div(filled, { scale: registry.asset(quote).decimals, rounding: 'half-even' }),
+                        quantity: filled,
+                        quoteAmount: registry.amount(quote, execution.notional, { rounding: 'down' }),
+                        liquidity: 'taker',
+                        source: execution.source
+                    });
+                }
+                if (hold.isPositive()) {
+                    move(account.balances, heldAsset, 'available', hold.neg());
+                    move(account.balances, heldAsset, 'held', hold);
+                }
+                tx.update('paperAccounts', account.id, { balances: account.balances });
+                return [order, trade];
+            });
+
+            if (trade) this.emit('trade', trade);
+            this.emit('order', order);
+            return order;
+        });
+    }
+
+    _releaseWithin(tx, order) {
+        const account = tx.findOne('paperAccounts', { userId: order.userId });
+        const held = Money.parse(order.held);
+        if (held.isPositive()) {
+            move(account.balances, order.heldAsset, 'held', held.neg());
+            move(account.balances, order.heldAsset, 'available', held);
+        }
+        return account;
+    }
+
+    // Fills the whole remainder of a resting order at its limit price, as a maker.
+    async _fill(order, source) {
+        const { quote } = registry.pair(order.pair);
+        const price = Money.parse(order.price);
+        const quantity = Money.parse(order.remaining);
+        const [saved, trade] = await db.transaction(tx => {
+            const account = this._releaseWithin(tx, order);
+            const trade = this._tradeWithin(tx, account.balances, order, {
+                price,
+                quantity,
+                quoteAmount: registry.amount(quote, price.times(quantity), { rounding: 'down' }),
+                liquidity: 'maker',
+                source
+            });
+            tx.update('paperAccounts', account.id, { balances: account.balances });
+            const saved = tx.update('paperOrders', order.id, {
+                remaining: Money.zero(quantity.scale).toString(),
+                filled: order.quantity,
+                status: 'filled',
+                held: registry.amount(order.heldAsset, 0).toString()
+            });
+            return [saved, trade];
+        });
+        this.emit('trade', trade);
+        this.emit('order', saved);
+    }
+
+    /**
+     * Fills the resting orders on `pair` that the market has reached: a real
+     * trade at `tradePrice` when given, otherwise the best real level on
+     * the order's other side or, with that side empty, the simulated price.
+     */
+    async _sweep(pair, tradePrice) {
+        const open = await PaperOrder.findOpen(pair);
+        if (!open.length || registry.pair(pair).status === 'halted') return;
+        const { bids, asks } = this.exchange.depth(pair, 1);
+        for (const order of open) {
+            const levels = order.side === 'buy' ? asks : bids;
+            const [reference, source] = tradePrice ? [tradePrice, 'trade']
+                : levels.length ? [levels[0][0], 'book']
+                : [this.simulator.price(pair), 'simulator'];
+            if (!reference) continue;
+            const limit = Money.parse(order.price);
+            if (order.side === 'buy' ? reference.lte(limit) : reference.gte(limit)) await this._fill(order, source);
+        }
+    }
+
+    _cancelWithin(tx, order, reason) {
+        const account = this._releaseWithin(tx, order);
+        tx.update('paperAccounts', account.id, { balances: account.balances });
+        return tx.update('paperOrders', order.id, { status: 'cancelled', reason, held: registry.amount(order.heldAsset, 0).toString() });
+    }
+
+    cancel(userId, id) {
+        return this._serial(async () => {
+            const order = await PaperOrder.findById(id);
+            if (!order || order.userId !== userId) throw new TradingError('order not found', 'E_NOT_FOUND');
+            if (!PAPER_OPEN_STATUSES.includes(order.status)) throw new TradingError(`order is ${order.status}`, 'E_NOT_OPEN');
+            const saved = await db.transaction(tx => this._cancelWithin(tx, order, 'user'));
+            this.emit('order', saved);
+            return saved;
+        });
+    }
+
+    // Cancels every resting paper order and puts the starting balances back. Past paper trades are kept.
+    reset(userId) {
+        return this._serial(async () => {
+            const open = await PaperOrder.findByUser(userId);
+            const [account, cancelled] = await db.transaction(tx => {
+                const cancelled = open
+                    .filter(order => PAPER_OPEN_STATUSES.includes(order.status))
+                    .map(order => this._cancelWithin(tx, order, 'reset'));
+                const { id, resets } = this._accountWithin(tx, userId);
+                const account = tx.update('paperAccounts', id, { balances: openingBalances(), resets: resets + 1, resetAt: new Date().toISOString() });
+                return [account, cancelled];
+            });
+            for (const order of cancelled) this.emit('order', order);
+            return account;
+        });
+    }
+}
+
+const sandbox = new Sandbox(exchange, marketSimulator);
+
+export default sandbox;
@@ -0,0 +1,243 @@
+import exchange, { TradingError, decimalInput } from '../engine/exchange.js';
+import scheduler from '../scheduler/scheduler.js';
+import notifier from '../notifications/notifier.js';
+import Ledger from '../model/Ledger.js';
+import User from '../model/User.js';
+import db from '../model/db.js';
+import Money from '../model/Money.js';
+import { UniqueConstraintError } from '../model/storage/base.js';
+import registry from '../config/registry.js';
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+export const PLAN_STATUSES = ['active', 'paused', 'cancelled'];
+export const SKIP_REASONS = ['insufficient_balance', 'no_liquidity', 'account_frozen', 'rejected'];
+
+const JOB = 'recurringBuy';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export class PlanError extends Error {
+    constructor(message, code, field) {
+        super(message);
+        this.name = 'PlanError';
+        this.code = code;
+        this.field = field;
+    }
+}
+
+/**
+ * When run `n` (counting from 0) of a plan is due: midnight UTC on the
+ * start date, then every day, week or month after it. Monthly plans keep
+ * the start day, or use the last day of shorter months.
+ */
+export function occurrenceAt(startDate, frequency, n) {
+    const [year, month, day] = startDate.split('-').map(Number);
+    if (frequency === 'daily') return Date.UTC(year, month - 1, day + n);
+    if (frequency === 'weekly') return Date.UTC(year, month - 1, day + 7 * n);
+    const lastDay = new Date(Date.UTC(year, month + n, 0)).getUTCDate();
+    return Date.UTC(year, month - 1 + n, Math.min(day, lastDay));
+}
+
+// Index of the plan's first run at or after `at`, never before run `from`.
+function firstFrom(plan, at, from = 0) {
+    let n = from;
+    while (occurrenceAt(plan.startDate, plan.frequency, n) < at) n++;
+    return n;
+}
+
+// A real calendar day written YYYY-MM-DD.
+function isDate(value) {
+    const time = Date.parse(`${value}T00:00:00Z`);
+    return DATE_PATTERN.test(String(value)) && !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value;
+}
+
+const jobKey = (planId, n) => `${JOB}:${planId}:${n}`;
+
+/**
+ * Recurring buys: a fixed amount of a pair's quote asset spent on its base
+ * asset every day, week or month, as a market order. Each due run is a
+ * scheduler job. The run's row in `planRuns` has a unique key (plan and run
+ * number) and is written in the same transaction as the order, so a job
+ * that runs again after a crash finds it and places nothing. Runs that
+ * cannot buy, for whatever reason, are recorded as skipped and the user is
+ * notified, and the next run is booked even when a run fails outright. Runs
+ * missed while the server was down are caught up once, not one by one.
+ */
+const recurringBuys = {
+    async start() {
+        scheduler.define(JOB, payload => recurringBuys.execute(payload));
+        // An active plan whose due job failed for good would never run again; book its next run from now.
+        for (const plan of await db.find('recurringPlans', { status: 'active' })) {
+            const job = await db.findOne('jobs', { key: jobKey(plan.id, plan.nextRun) });
+            if (job && job.status !== 'failed') continue;
+            await recurringBuys._scheduleNext(plan, plan.nextRun);
+        }
+    },
+
+    list: async (userId) => (await db.find('recurringPlans', { userId })).reverse(),
+
+    // The user's runs, newest first, with what each order bought.
+    async history(userId) {
+        const runs = (await db.find('planRuns', { userId })).sort((a, b) => b.dueAt - a.dueAt);
+        const orderIds = new Set(runs.map(r => r.orderId).filter(Boolean));
+        const [orders, trades] = await Promise.all([
+            db.find('orders', row => orderIds.has(row.id)),
+            db.find('trades', row => orderIds.has(row.buyOrderId))
+        ]);
+        return runs.map(run => {
+            const order = orders.find(o => o.id === run.orderId);
+            if (!order) return { ...run, bought: null, spent: null, price: null };
+            const { quote } = registry.pair(run.pair);
+            const fills = trades.filter(t => t.buyOrderId === order.id);
+            const spent = fills.reduce((sum, t) => sum.plus(registry.amount(quote, Money.parse(t.price).times(t.quantity), { rounding: 'down' })), Money.zero());
+            const bought = Money.parse(order.filled);
+            const price = bought.isPositive() ? spent.div(bought, { scale: registry.asset(quote).decimals, rounding: 'half-up' }) : null;
+            return { ...run, bought, spent, price };
+        });
+    },
+
+    async create(userId, { pair, amount, frequency, startDate }) {
+        const market = registry.pair(pair);
+        if (!market) throw new PlanError('unknown pair', 'E_PAIR', 'pair');
+        const value = decimalInput(amount, 'amount', 'E_AMOUNT');
+        if (!value.eq(value.rescale(registry.asset(market.quote).decimals, 'down'))) {
+            throw new PlanError(`amount has more than ${registry.asset(market.quote).decimals} decimals`, 'E_AMOUNT', 'amount');
+        }
+        if (value.lt(market.minNotional)) throw new PlanError(`the amount must be at least ${market.minNotional} ${market.quote}`, 'E_AMOUNT', 'amount');
+        if (!FREQUENCIES.includes(frequency)) throw new PlanError(`frequency must be one of ${FREQUENCIES.join(', ')}`, 'E_FREQUENCY', 'frequency');
+        const today = new Date().toISOString().slice(0, 10);
+        const start = startDate || today;
+        if (!isDate(start)) throw new PlanError('start date must be YYYY-MM-DD', 'E_DATE', 'startDate');
+        if (start < today) throw new PlanError('the start date cannot be in the past', 'E_DATE', 'startDate');
+
+        const plan = { userId, pair: market.symbol, amount: registry.amount(market.quote, value).toString(), frequency, startDate: start, status: 'active' };
+        const nextRun = firstFrom(plan, Date.parse(today));
+        return db.transaction(tx => {
+            const row = tx.insert('recurringPlans', { ...plan, nextRun, nextRunAt: occurrenceAt(start, frequency, nextRun), lastRunAt: null });
+            scheduler.scheduleWithin(tx, JOB, row.nextRunAt, { planId: row.id, run: nextRun }, jobKey(row.id, nextRun));
+            return row;
+        });
+    },
+
+    async _own(userId, id) {
+        const plan = await db.findOne('recurringPlans', { id, userId });
+        if (!plan || plan.status === 'cancelled') throw new PlanError('plan not found', 'E_NOT_FOUND');
+        return plan;
+    },
+
+    async pause(userId, id) {
+        const plan = await recurringBuys._own(userId, id);
+        if (plan.status === 'paused') return plan;
+        return db.transaction(tx => {
+            scheduler.cancelWithin(tx, jobKey(plan.id, plan.nextRun));
+            return tx.update('recurringPlans', plan.id, { status: 'paused', nextRunAt: null });
+        });
+    },
+
+    // Picks up at the next due run from now; runs that fell in the pause are not made up.
+    async resume(userId, id) {
+        const plan = await recurringBuys._own(userId, id);
+        if (plan.status === 'active') return plan;
+        const nextRun = firstFrom(plan, Date.now(), plan.nextRun);
+        const nextRunAt = occurrenceAt(plan.startDate, plan.frequency, nextRun);
+        return db.transaction(tx => {
+            scheduler.scheduleWithin(tx, JOB, nextRunAt, { planId: plan.id, run: nextRun }, jobKey(plan.id, nextRun));
+            return tx.update('recurringPlans', plan.id, { status: 'active', nextRun, nextRunAt });
+        });
+    },
+
+    async cancel(userId, id) {
+        const plan = await recurringBuys._own(userId, id);
+        return db.transaction(tx => {
+            scheduler.cancelWithin(tx, jobKey(plan.id, plan.nextRun));
+            return tx.update('recurringPlans', plan.id, { status: 'cancelled', nextRunAt: null });
+        });
+    },
+
+    // Scheduler job: carries out run `run` of the plan, then schedules the next one whatever happened.
+    async execute({ planId, run }) {
+        const plan = await db.findOne('recurringPlans', { id: planId });
+        // Paused, cancelled or already past this run: a leftover job.
+        if (!plan || plan.status !== 'active' || plan.nextRun !== run) return null;
+        try {
+            return await recurringBuys._buy(plan, run);
+        } finally {
+            await recurringBuys._scheduleNext(plan, run, { lastRunAt: Date.now() });
+        }
+    },
+
+    // Moves the plan to its first run after now and later than `run`, and books the job for it.
+    _scheduleNext(plan, run, changes = {}) {
+        const nextRun = firstFrom(plan, Date.now() + 1, run + 1);
+        const nextRunAt = occurrenceAt(plan.startDate, plan.frequency, nextRun);
+        return db.transaction(tx => {
+            tx.update('recurringPlans', plan.id, { ...changes, nextRun, nextRunAt });
+            scheduler.scheduleWithin(tx, JOB, nextRunAt, { planId: plan.id, run: nextRun }, jobKey(plan.id, nextRun));
+        });
+    },
+
+    // Base quantity `funds` of the quote asset buys from the asks right now, down to the lot size.
+    quantityFor(pair, funds) {
+        const market = registry.pair(pair);
+        const decimals = registry.asset(market.base).decimals;
+        let left = Money.parse(funds);
+        let quantity = Money.zero();
+        for (const [price, size] of exchange.depth(pair, Infinity).asks) {
+            const cost = price.times(size);
+            if (cost.lte(left)) {
+                quantity = quantity.plus(size);
+                left = left.minus(cost);
+                continue;
+            }
+            quantity = quantity.plus(left.div(price, { scale: decimals, rounding: 'down' }));
+            break;
+        }
+        return quantity.div(market.lotSize, { scale: 0, rounding: 'down' }).times(market.lotSize);
+    },
+
+    async _buy(plan, run) {
+        const key = `${plan.id}:${run}`;
+        const done = await db.findOne('planRuns', { key });
+        if (done) return done;
+        const dueAt = occurrenceAt(plan.startDate, plan.frequency, run);
+        const fields = { planId: plan.id, userId: plan.userId, pair: plan.pair, amount: plan.amount, run, dueAt, key, orderId: null, reason: null, detail: null };
+
+        const skip = async (reason, detail) => {
+            const skipped = await db.insert('planRuns', { ...fields, status: 'skipped', reason, detail });
+            const { base, quote } = registry.pair(plan.pair);
+            await notifier.notify(plan.userId, {
+                type: 'recurring_buy_skipped',
+                title: `Recurring ${base} buy skipped`,
+                message: `Your ${plan.frequency} buy of ${base} for ${plan.amount} ${quote} did not run: ${detail}.`,
+                data: { planId: plan.id, runId: skipped.id, pair: plan.pair, amount: plan.amount, reason },
+                dedupeKey: `plan:${key}`
+            });
+            return skipped;
+        };
+
+        const user = await User.findById(plan.userId);
+        if (!user || user.frozen) return skip('account_frozen', 'the account is frozen');
+        const { quote } = registry.pair(plan.pair);
+        const { available } = (await Ledger.balances(plan.userId)).find(b => b.asset === quote);
+        if (available.lt(plan.amount)) return skip('insufficient_balance', `only ${available} ${quote} was available`);
+        const quantity = recurringBuys.quantityFor(plan.pair, plan.amount);
+        if (!quantity.isPositive()) return skip('no_liquidity', `there were not enough ${plan.pair} sellers`);
+
+        try {
+            await exchange.placeOrder(plan.userId, { pair: plan.pair, side: 'buy', type: 'market', quantity: quantity.toString() }, {
+                within: (tx, order) => tx.insert('planRuns', { ...fields, status: 'executed', orderId: order.id })
+            });
+        } catch (err) {
+            if (err instanceof UniqueConstraintError) return db.findOne('planRuns', { key });
+            if (!(err instanceof TradingError)) {
+                console.error(`recurring buy ${key} failed`, err);
+                return skip('rejected', 'the order could not be placed');
+            }
+            if (err.code === 'E_INSUFFICIENT') return skip('insufficient_balance', err.message);
+            if (err.code === 'E_LIQUIDITY') return skip('no_liquidity', err.message);
+            return skip('rejected', err.message);
+        }
+        return db.findOne('planRuns', { key });
+    }
+};
+
+export default recurringBuys;
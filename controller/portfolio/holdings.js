@@ -0,0 +1,64 @@
+import Ledger from '../model/Ledger.js';
+import Money from '../model/Money.js';
+import prices from '../marketdata/prices.js';
+import pairs from '../config/pairs.js';
+import registry from '../config/registry.js';
+import Lots, { costLots } from './lots.js';
+
+export const COST_METHODS = ['fifo', 'average'];
+
+// Portfolios can be valued in any asset that quotes a pair.
+export function valuationAssets() {
+    return [...new Set(pairs.map(p => p.quote))];
+}
+
+const holdings = {
+    /**
+     * Values every balance in `quote` at the latest prices and works out cost
+     * basis and P&L by `method` (see costLots for how history is costed).
+     */
+    async summary(userId, { quote, method = 'fifo' }) {
+        const scale = registry.asset(quote).decimals;
+        const books = await costLots(userId, { quote, method });
+        const lotsOf = asset => books.get(asset) || new Lots(method, scale);
+
+        const balances = await Ledger.balances(userId);
+        const rows = balances
+            .filter(b => !b.total.isZero() || books.has(b.asset))
+            .map(b => {
+                const lots = lotsOf(b.asset);
+                const price = prices.rate(b.asset, quote);
+                const value = price ? b.total.times(price, { scale, rounding: 'half-even' }) : null;
+                const costBasis = lots.costBasis();
+                return {
+                    asset: b.asset,
+                    decimals: b.decimals,
+                    quantity: b.total,
+                    price: price && price.rescale(scale, 'half-even'),
+                    value,
+                    costBasis,
+                    unrealized: value ? value.minus(costBasis) : null,
+                    realized: lots.realized
+                };
+            });
+
+        const sum = field => rows.reduce((total, row) => (row[field] ? total.plus(row[field]) : total), Money.zero(scale));
+        const totals = { value: sum('value'), costBasis: sum('costBasis'), unrealized: sum('unrealized'), realized: sum('realized') };
+        for (const row of rows) {
+            // A share rather than an amount, so a plain number.
+            row.allocation = row.value && totals.value.isPositive() ? row.value.div(totals.value, { scale: 6, rounding: 'half-even' }).toNumber() : 0;
+        }
+        return { quote, method, rows, totals };
+    },
+
+    // Current value of all the user's balances in `quote`; balances with no price count as zero.
+    async value(userId, quote) {
+        const scale = registry.asset(quote).decimals;
+        return (await Ledger.balances(userId)).reduce((total, b) => {
+            const rate = prices.rate(b.asset, quote);
+            return rate ? total.plus(b.total.times(rate, { scale, rounding: 'half-even' })) : total;
+        }, Money.zero(scale));
+    }
+};
+
+export default holdings;
@@ -0,0 +1,166 @@
+import db from '../model/db.js';
+import Trade from '../model/Trade.js';
+import Money from '../model/Money.js';
+import prices from '../marketdata/prices.js';
+import registry from '../config/registry.js';
+
+// Which lots a disposal uses up: oldest, newest or dearest per unit first; `average` pools everything into one lot.
+export const LOT_METHODS = ['fifo', 'lifo', 'hifo', 'average'];
+
+// Journal entries that move money in or out of a user's holdings; trades are read from the trades table instead.
+const FLOW_TYPES = ['deposit', 'withdrawal', 'adjustment', 'fee', 'interest'];
+
+const toMs = at => (typeof at === 'number' ? at : Date.parse(at));
+
+// Splits `total` over `parts` in proportion to their quantities; the last part takes the rounding remainder.
+function apportion(total, parts, scale) {
+    const whole = parts.reduce((sum, part) => sum.plus(part.quantity), Money.zero());
+    let left = total;
+    return parts.map((part, i) => {
+        const share = i === parts.length - 1 ? left : total.times(part.quantity).div(whole, { scale, rounding: 'half-even' });
+        left = left.minus(share);
+        return share;
+    });
+}
+
+/**
+ * Acquired amounts of one asset and what they cost in the valuation asset.
+ * Every acquisition is its own lot (one pooled lot for `average`), and a
+ * disposal takes a share of a lot's cost in proportion to the quantity
+ * taken, rounded half-even. Sales are kept in `disposals`, one row per lot
+ * they drew on.
+ */
+export default class Lots {
+    constructor(method, scale) {
+        this.method = method;
+        this.scale = scale;
+        this.lots = [];
+        this.disposals = [];
+        this.realized = Money.zero(scale);
+    }
+
+    add(quantity, cost, acquiredAt) {
+        if (this.method === 'average' && this.lots.length) {
+            const [pool] = this.lots;
+            pool.quantity = pool.quantity.plus(quantity);
+            pool.cost = pool.cost.plus(cost);
+        } else {
+            this.lots.push({ quantity, cost, acquiredAt });
+        }
+    }
+
+    _next() {
+        if (this.method === 'lifo') return this.lots[this.lots.length - 1];
+        if (this.method === 'hifo') {
+            const unit = lot => lot.cost.div(lot.quantity, { scale: 18, rounding: 'half-even' });
+            return this.lots.reduce((best, lot) => (unit(lot).gt(unit(best)) ? lot : best));
+        }
+        return this.lots[0];
+    }
+
+    /**
+     * Takes `quantity` out of the lots and returns the pieces taken as
+     * `{ quantity, cost, acquiredAt }`. Anything beyond the known lots comes
+     * back as one piece with no cost and no acquisition date.
+     */
+    remove(quantity) {
+        const taken = [];
+        let left = quantity;
+        while (left.isPositive() && this.lots.length) {
+            const lot = this._next();
+            const take = Money.min(left, lot.quantity);
+            const cost = take.eq(lot.quantity) ? lot.cost : lot.cost.times(take).div(lot.quantity, { scale: this.scale, rounding: 'half-even' });
+            lot.quantity = lot.quantity.minus(take);
+            lot.cost = lot.cost.minus(cost);
+            if (lot.quantity.isZero()) this.lots.splice(this.lots.indexOf(lot), 1);
+            taken.push({ quantity: take, cost, acquiredAt: lot.acquiredAt });
+            left = left.minus(take);
+        }
+        if (left.isPositive()) taken.push({ quantity: left, cost: Money.zero(this.scale), acquiredAt: null });
+        return taken;
+    }
+
+    // A sale: the proceeds are split over the lots it used up.
+    dispose(quantity, proceeds, { at, ref }) {
+        const taken = this.remove(quantity);
+        apportion(proceeds, taken, this.scale).forEach((share, i) => {
+            const piece = taken[i];
+            const gain = share.minus(piece.cost);
+            this.realized = this.realized.plus(gain);
+            this.disposals.push({ quantity: piece.quantity, acquiredAt: piece.acquiredAt, disposedAt: at, ref, proceeds: share, costBasis: piece.cost, gain });
+        });
+    }
+
+    costBasis() {
+        return this.lots.reduce((sum, lot) => sum.plus(lot.cost), Money.zero(this.scale));
+    }
+}
+
+/**
+ * Everything that changed the user's holdings, oldest first. Each flow
+ * moves `quantity` of `asset` in or out; `worth` is what the other side of
+ * a trade was worth (an amount of another asset), or null for deposits,
+ * withdrawals, adjustments and interest, which are taken at market value.
+ */
+export async function flows(userId) {
+    const trades = await Trade.findByUser(userId);
+    const tradeIds = new Set(trades.map(t => t.id));
+    const list = [];
+
+    for (const trade of trades) {
+        const { base, quote } = registry.pair(trade.pair);
+        const quantity = Money.parse(trade.quantity);
+        const notional = registry.amount(quote, Money.parse(trade.price).times(quantity), { rounding: 'down' });
+        const at = trade.timestamp;
+        const ref = trade.id;
+        if (trade.buyerId === userId) {
+            const worth = { asset: quote, amount: notional };
+            list.push({ at, ref, asset: quote, direction: 'out', quantity: notional, worth });
+            list.push({ at, ref, asset: base, direction: 'in', quantity: quantity.minus(trade.buyerFee || 0), worth });
+        }
+        if (trade.sellerId === userId) {
+            const received = notional.minus(trade.sellerFee || 0);
+            const worth = { asset: quote, amount: received };
+            list.push({ at, ref, asset: base, direction: 'out', quantity, worth });
+            list.push({ at, ref, asset: quote, direction: 'in', quantity: received, worth });
+        }
+    }
+
+    const entries = await db.find('journal', row => row.owners.includes(userId) && FLOW_TYPES.includes(row.type) && !tradeIds.has(row.ref));
+    for (const entry of entries) {
+        const net = new Map();
+        for (const line of entry.lines.filter(l => l.owner === userId)) {
+            net.set(line.asset, (net.get(line.asset) || Money.zero()).plus(line.amount));
+        }
+        for (const [asset, amount] of net) {
+            if (amount.isZero()) continue;
+            list.push({ at: toMs(entry.createdAt), ref: entry.ref, asset, direction: amount.isPositive() ? 'in' : 'out', quantity: amount.abs(), worth: null });
+        }
+    }
+    return list.sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Runs the user's whole history through a Lots per asset, valued in
+ * `quote`. Historical amounts are converted at the price in force when they
+ * happened; an amount with no price at that time counts as worth nothing.
+ * Withdrawals leave at cost, so they do not realise a gain or loss.
+ */
+export async function costLots(userId, { quote, method }) {
+    const scale = registry.asset(quote).decimals;
+    const valueOf = (amount, asset, at) => {
+        const rate = prices.rate(asset, quote, at);
+        return rate ? amount.times(rate, { scale, rounding: 'half-even' }) : Money.zero(scale);
+    };
+
+    const books = new Map();
+    for (const flow of await flows(userId)) {
+        if (!books.has(flow.asset)) books.set(flow.asset, new Lots(method, scale));
+        const lots = books.get(flow.asset);
+        const worth = flow.worth ? valueOf(flow.worth.amount, flow.worth.asset, flow.at) : valueOf(flow.quantity, flow.asset, flow.at);
+        if (flow.direction === 'in') lots.add(flow.quantity, worth, flow.at);
+        else if (flow.worth) lots.dispose(flow.quantity, worth, flow);
+        else lots.remove(flow.quantity);
+    }
+    return books;
+}
@@ -0,0 +1,84 @@
+import express from 'express';
+import holdings, { COST_METHODS, valuationAssets } from './holdings.js';
+import snapshots from './snapshots.js';
+import recurringBuys, { PlanError, FREQUENCIES } from '../plans/recurringBuys.js';
+import { TradingError } from '../engine/exchange.js';
+import registry from '../config/registry.js';
+import { ensureAuthenticated, requireVerifiedEmail, requireActiveAccount } from '../auth/guards.js';
+
+const router = express.Router();
+
+const PLAN_ACTIONS = ['pause', 'resume', 'cancel'];
+// Recurring buy runs listed on the page, newest first.
+const PLAN_HISTORY = 50;
+
+router.use('/portfolio', ensureAuthenticated);
+
+// The valuation asset and cost method stick for the session once chosen; `extra` carries plan form errors.
+async function renderPortfolio(req, res, extra = {}) {
+    const saved = req.session.portfolio || {};
+    const quotes = valuationAssets();
+    const quote = quotes.includes(req.query.quote) ? req.query.quote : saved.quote || quotes[0];
+    const method = COST_METHODS.includes(req.query.method) ? req.query.method : saved.method || COST_METHODS[0];
+    req.session.portfolio = { quote, method };
+    const [portfolio, equity, plans, planRuns] = await Promise.all([
+        holdings.summary(req.user.id, { quote, method }),
+        snapshots.history(req.user.id, quote),
+        recurringBuys.list(req.user.id),
+        recurringBuys.history(req.user.id)
+    ]);
+    // The chart ends at the live value rather than at the last snapshot.
+    const today = new Date().toISOString().slice(0, 10);
+    const points = [...equity.filter(p => p.day !== today), { day: today, value: portfolio.totals.value.toString() }];
+    res.render('partials/portfolio', {
+        portfolio,
+        quotes,
+        methods: COST_METHODS,
+        boot: { quote, points },
+        plans: plans.filter(p => p.status !== 'cancelled'),
+        planRuns: planRuns.slice(0, PLAN_HISTORY),
+        pairs: registry.pairs.map(p => p.symbol),
+        frequencies: FREQUENCIES,
+        today,
+        errors: {},
+        values: {},
+        ...extra
+    })
+}
+
+router.get('/portfolio', async (req, res, next) => {
+    try {
+        await renderPortfolio(req, res);
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.post('/portfolio/plans', requireVerifiedEmail, requireActiveAccount, async (req, res, next) => {
+    const { pair, amount, frequency, startDate } = req.body;
+    try {
+        await recurringBuys.create(req.user.id, { pair, amount, frequency, startDate });
+        res.redirect('/portfolio');
+    } catch (err) {
+        if (!(err instanceof PlanError || err instanceof TradingError)) return next(err);
+        res.status(400);
+        try {
+            await renderPortfolio(req, res, { errors: { [err.field || 'pair']: err.message }, values: req.body });
+        } catch (renderErr) {
+            next(renderErr);
+        }
+    }
+})
+
+router.post('/portfolio/plans/:id/:action', async (req, res, next) => {
+    if (!PLAN_ACTIONS.includes(req.params.action)) return res.redirect('/portfolio');
+    try {
+        await recurringBuys[req.params.action](req.user.id, req.params.id);
+        res.redirect('/portfolio');
+    } catch (err) {
+        if (err instanceof PlanError) return res.redirect('/portfolio');
+        next(err);
+    }
+})
+
+export default router;
@@ -0,0 +1,50 @@
+import db from '../model/db.js';
+import holdings, { valuationAssets } from './holdings.js';
+
+const SNAPSHOT_MS = Number(process.env.PORTFOLIO_SNAPSHOT_MS) || 60 * 60 * 1000;
+
+const dayOf = at => new Date(at).toISOString().slice(0, 10);
+
+/**
+ * One equity row per user and UTC day, holding the portfolio's value in
+ * every valuation asset. The current day's row is rewritten on each run, so
+ * once the day is over it keeps the last value seen that day.
+ */
+const snapshots = {
+    start() {
+        if (snapshots.timer) return;
+        const run = () => snapshots.capture().catch(err => console.error('portfolio snapshot failed', err));
+        run();
+        snapshots.timer = setInterval(run, SNAPSHOT_MS);
+        snapshots.timer.unref();
+    },
+
+    stop() {
+        clearInterval(snapshots.timer);
+        snapshots.timer = null;
+    },
+
+    async capture(now = Date.now()) {
+        const day = dayOf(now);
+        const users = await db.find('users');
+        for (const user of users) {
+            const values = {};
+            for (const quote of valuationAssets()) values[quote] = (await holdings.value(user.id, quote)).toString();
+            const existing = await db.findOne('portfolioSnapshots', { userId: user.id, day });
+            if (existing) await db.update('portfolioSnapshots', existing.id, { values });
+            else await db.insert('portfolioSnapshots', { userId: user.id, day, values });
+        }
+        return users.length;
+    },
+
+    // `[{ day, value }]` in `quote`, oldest first; days captured before `quote` was offered are left out.
+    async history(userId, quote) {
+        const rows = await db.find('portfolioSnapshots', { userId });
+        return rows
+            .filter(row => row.values[quote] !== undefined)
+            .sort((a, b) => a.day.localeCompare(b.day))
+            .map(row => ({ day: row.day, value: row.values[quote] }));
+    }
+};
+
+export default snapshots;
@@ -0,0 +1,191 @@
+import db from '../model/db.js';
+import Trade from '../model/Trade.js';
+import Money from '../model/Money.js';
+import registry from '../config/registry.js';
+import { costLots } from '../portfolio/lots.js';
+import { valuationAssets } from '../portfolio/holdings.js';
+
+export const REPORT_FORMATS = ['json', 'csv'];
+export const TRANSACTION_TYPES = ['trade', 'deposit', 'withdrawal', 'fee', 'adjustment', 'interest'];
+export const TAX_LOT_METHODS = ['fifo', 'lifo', 'hifo'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const TRANSACTION_COLUMNS = ['date', 'type', 'asset', 'amount', 'pair', 'side', 'price', 'quoteAmount', 'quoteAsset', 'fee', 'feeAsset', 'reference'];
+const TAX_LOT_COLUMNS = ['asset', 'quantity', 'acquiredAt', 'disposedAt', 'proceeds', 'costBasis', 'gain', 'currency', 'reference'];
+
+export class ReportError extends Error {
+    constructor(message, code, field) {
+        super(message);
+        this.name = 'ReportError';
+        this.code = code;
+        this.field = field;
+    }
+}
+
+const toMs = at => (typeof at === 'number' ? at : Date.parse(at));
+const iso = at => new Date(at).toISOString();
+
+/**
+ * Reads `from`/`to` as epoch milliseconds, ISO 8601 or a plain date
+ * (YYYY-MM-DD). The range includes `from` and excludes `to`, except that a
+ * plain `to` date covers that whole day. Missing ends mean all time and now.
+ */
+export function parseRange({ from, to } = {}) {
+    const parse = (value, field) => {
+        if (value === undefined || value === '') return null;
+        const plainDate = /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+        const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+        if (!Number.isFinite(time)) throw new ReportError(`${field} must be a date or timestamp`, 'E_RANGE', field);
+        return plainDate && field === 'to' ? time + DAY : time;
+    };
+    const range = { from: parse(from, 'from') ?? 0, to: parse(to, 'to') ?? Date.now() };
+    if (range.from > range.to) throw new ReportError('from must not be after to', 'E_RANGE', 'from');
+    return range;
+}
+
+function pick(list, allowed, field) {
+    const bad = list.find(value => !allowed.includes(value));
+    if (bad !== undefined) throw new ReportError(`${field} must be among ${allowed.join(', ')}`, 'E_VALIDATION', field);
+    return list;
+}
+
+/**
+ * Account statements built from the user's trades and ledger. Each report
+ * resolves to `{ columns, rows }` with amounts as decimal strings, so the
+ * same result can be sent as JSON or CSV.
+ */
+const reports = {
+    /**
+     * Trades, deposits, withdrawals, fees, adjustments and savings interest
+     * between `from` and `to`, oldest first. Amounts are signed from the
+     * user's side. Trading fees sit on their trade row (as the positive
+     * amount paid); `fee` rows are the other fees, such as withdrawal fees
+     * and early redemption penalties.
+     */
+    async transactions(userId, { from, to, types = TRANSACTION_TYPES } = {}) {
+        const range = parseRange({ from, to });
+        pick(types, TRANSACTION_TYPES, 'type');
+        const within = at => at >= range.from && at < range.to;
+        const rows = [];
+
+        const trades = await Trade.findByUser(userId);
+        const tradeIds = new Set(trades.map(t => t.id));
+        if (types.includes('trade')) {
+            for (const trade of trades.filter(t => within(t.timestamp))) {
+                const { base, quote } = registry.pair(trade.pair);
+                const quantity = Money.parse(trade.quantity);
+                const notional = registry.amount(quote, Money.parse(trade.price).times(quantity), { rounding: 'down' });
+                const sides = [];
+                if (trade.buyerId === userId) sides.push(['buy', quantity, notional.neg(), trade.buyerFee, base]);
+                if (trade.sellerId === userId) sides.push(['sell', quantity.neg(), notional, trade.sellerFee, quote]);
+                for (const [side, amount, quoteAmount, fee, feeAsset] of sides) {
+                    rows.push({
+                        at: trade.timestamp,
+                        date: iso(trade.timestamp),
+                        type: 'trade',
+                        asset: base,
+                        amount: amount.toString(),
+                        pair: trade.pair,
+                        side,
+                        price: trade.price,
+                        quoteAmount: quoteAmount.toString(),
+                        quoteAsset: quote,
+                        fee: fee || '0',
+                        feeAsset,
+                        reference: trade.id
+                    });
+                }
+            }
+        }
+
+        const entries = await db.find('journal', row => row.owners.includes(userId)
+            && types.includes(row.type)
+            && row.type !== 'trade'
+            && !tradeIds.has(row.ref)
+            && within(toMs(row.createdAt)));
+        for (const entry of entries) {
+            const net = new Map();
+            for (const line of entry.lines.filter(l => l.owner === userId)) {
+                net.set(line.asset, (net.get(line.asset) || Money.zero()).plus(line.amount));
+            }
+            for (const [asset, amount] of net) {
+                if (amount.isZero()) continue;
+                rows.push({
+                    at: toMs(entry.createdAt),
+                    date: iso(entry.createdAt),
+                    type: entry.type,
+                    asset,
+                    amount: amount.toString(),
+                    pair: null,
+                    side: null,
+                    price: null,
+                    quoteAmount: null,
+                    quoteAsset: null,
+                    fee: null,
+                    feeAsset: null,
+                    reference: entry.ref
+                });
+            }
+        }
+
+        rows.sort((a, b) => a.at - b.at);
+        return { columns: TRANSACTION_COLUMNS, rows: rows.map(({ at, ...row }) => row), ...range };
+    },
+
+    /**
+     * Disposals between `from` and `to`, each matched to the acquisitions it
+     * used up by `method`, with proceeds, cost basis and gain in `quote`.
+     * Matching runs over the whole history so earlier sales consume their
+     * lots first. Disposals of `quote` itself are left out: they never gain.
+     * A disposal with no matching acquisition shows an empty `acquiredAt`
+     * and no cost.
+     */
+    async taxLots(userId, { from, to, method = 'fifo', quote = valuationAssets()[0] } = {}) {
+        const range = parseRange({ from, to });
+        pick([method], TAX_LOT_METHODS, 'method');
+        pick([quote], valuationAssets(), 'quote');
+        const books = await costLots(userId, { quote, method });
+        const scale = registry.asset(quote).decimals;
+
+        const lots = [];
+        for (const [asset, book] of books) {
+            if (asset === quote) continue;
+            for (const d of book.disposals) {
+                if (d.disposedAt >= range.from && d.disposedAt < range.to) lots.push({ asset, ...d });
+            }
+        }
+        lots.sort((a, b) => a.disposedAt - b.disposedAt || a.asset.localeCompare(b.asset));
+
+        const sum = field => lots.reduce((total, lot) => total.plus(lot[field]), Money.zero(scale)).toString();
+        return {
+            columns: TAX_LOT_COLUMNS,
+            rows: lots.map(lot => ({
+                asset: lot.asset,
+                quantity: lot.quantity.toString(),
+                acquiredAt: lot.acquiredAt === null ? null : iso(lot.acquiredAt),
+                disposedAt: iso(lot.disposedAt),
+                proceeds: lot.proceeds.toString(),
+                costBasis: lot.costBasis.toString(),
+                gain: lot.gain.toString(),
+                currency: quote,
+                reference: lot.ref
+            })),
+            totals: { proceeds: sum('proceeds'), costBasis: sum('costBasis'), gain: sum('gain') },
+            method,
+            quote,
+            ...range
+        };
+    },
+
+    // RFC 4180 CSV with a header row; null becomes an empty field.
+    toCsv({ columns, rows }) {
+        const field = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns, ...rows.map(row => columns.map(c => row[c]))].map(line => line.map(field).join(',')).join('\r\n') + '\r\n';
+    }
+};
+
+export default reports;
@@ -0,0 +1,75 @@
+import express from 'express';
+import vault, { SavingsError, productLabel } from './vault.js';
+import Ledger from '../model/Ledger.js';
+import { ensureAuthenticated, requireVerifiedEmail, requireActiveAccount } from '../auth/guards.js';
+
+const router = express.Router();
+
+// Interest payments listed on the page, newest first.
+const ACCRUAL_HISTORY = 60;
+
+router.use('/savings', ensureAuthenticated);
+
+async function renderSavings(req, res, extra = {}) {
+    const [products, positions, accruals, earned, balances] = await Promise.all([
+        vault.products(),
+        vault.positions(req.user.id),
+        vault.accruals(req.user.id, { limit: ACCRUAL_HISTORY }),
+        vault.earned(req.user.id),
+        Ledger.balances(req.user.id)
+    ]);
+    res.render('partials/savings', {
+        products: products.map(p => ({ ...p, label: productLabel(p) })),
+        active: positions.filter(p => p.status === 'active'),
+        closed: positions.filter(p => p.status !== 'active'),
+        labels: Object.fromEntries(positions.map(p => [p.id, p.label])),
+        accruals,
+        earned,
+        available: Object.fromEntries(balances.map(b => [b.asset, b.available.toString()])),
+        today: new Date().toISOString().slice(0, 10),
+        errors: {},
+        values: {},
+        ...extra
+    })
+}
+
+router.get('/savings', async (req, res, next) => {
+    try {
+        await renderSavings(req, res);
+    } catch (err) {
+        next(err);
+    }
+})
+
+router.post('/savings/subscribe', requireVerifiedEmail, requireActiveAccount, async (req, res, next) => {
+    const { productId, amount } = req.body;
+    try {
+        await vault.subscribe(req.user.id, { productId, amount });
+        res.redirect('/savings');
+    } catch (err) {
+        if (!(err instanceof SavingsError)) return next(err);
+        res.status(400);
+        try {
+            await renderSavings(req, res, { errors: { [productId]: err.message }, values: req.body });
+        } catch (renderErr) {
+            next(renderErr);
+        }
+    }
+})
+
+router.post('/savings/positions/:id/redeem', async (req, res, next) => {
+    try {
+        await vault.redeem(req.user.id, req.params.id);
+        res.redirect('/savings');
+    } catch (err) {
+        if (!(err instanceof SavingsError)) return next(err);
+        res.status(err.code === 'E_NOT_FOUND' ? 404 : 409);
+        try {
+            await renderSavings(req, res, { errors: { [req.params.id]: err.message } });
+        } catch (renderErr) {
+            next(renderErr);
+        }
+    }
+})
+
+export default router;
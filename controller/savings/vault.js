@@ -0,0 +1,314 @@
+import scheduler from '../scheduler/scheduler.js';
+import notifier from '../notifications/notifier.js';
+import Ledger, { LedgerError } from '../model/Ledger.js';
+import db from '../model/db.js';
+import Money, { MoneyError } from '../model/Money.js';
+import registry from '../config/registry.js';
+
+export const SAVINGS_TERMS = ['flexible', 'fixed'];
+export const PRODUCT_STATUSES = ['active', 'closed'];
+export const POSITION_STATUSES = ['active', 'redeemed', 'matured'];
+
+const JOB = 'savingsAccrual';
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_LOCK_DAYS = 3650;
+// Interest below an asset's smallest unit is carried to the next day at this scale.
+const CARRY_SCALE = 18;
+
+export class SavingsError extends Error {
+    constructor(message, code, field) {
+        super(message);
+        this.name = 'SavingsError';
+        this.code = code;
+        this.field = field;
+    }
+}
+
+const dayOf = at => new Date(at).toISOString().slice(0, 10);
+const midnight = day => Date.parse(`${day}T00:00:00Z`);
+const addDays = (day, n) => dayOf(midnight(day) + n * DAY);
+
+// APYs and penalties are fractions (0.05 = 5%) from 0 to 1.
+function rateInput(value, field) {
+    let rate;
+    try {
+        rate = Money.parse(String(value === undefined ? '' : value).trim());
+    } catch (err) {
+        if (!(err instanceof MoneyError)) throw err;
+        throw new SavingsError(`${field} must be a fraction such as 0.05`, 'E_RATE', field);
+    }
+    if (rate.isNegative() || rate.gt(1)) throw new SavingsError(`${field} must be from 0 to 1`, 'E_RATE', field);
+    return rate.toString();
+}
+
+function amountInput(asset, value, field) {
+    let amount;
+    try {
+        amount = registry.amount(asset, String(value === undefined ? '' : value).trim());
+    } catch (err) {
+        if (!(err instanceof MoneyError)) throw err;
+        throw new SavingsError(`${field} must be a number with at most ${registry.asset(asset).decimals} decimals`, 'E_AMOUNT', field);
+    }
+    if (!amount.isPositive()) throw new SavingsError(`${field} must be above 0`, 'E_AMOUNT', field);
+    return amount;
+}
+
+export function productLabel(product) {
+    return product.term === 'fixed' ? `${product.asset} ${product.lockDays}-day fixed` : `${product.asset} flexible`;
+}
+
+/**
+ * Savings products and the positions users hold in them. Subscribing moves
+ * funds from `available` to the user's `savings` account; redeeming moves
+ * them back. Flexible products can be redeemed at any time and earn the
+ * product's current APY. Fixed products earn the APY in force when the user
+ * subscribed, lock the funds for `lockDays` full days and pay them back on
+ * their own at midnight UTC after the last one; redeeming before that costs
+ * `penaltyRate` of the principal.
+ *
+ * Interest is simple and paid daily, from the system `interest` account
+ * into `available`: a day's interest is principal × APY ÷ 365, rounded down
+ * to the asset's decimals, with the remainder carried into the next day.
+ * Positions start earning on the first full UTC day after subscribing. A
+ * scheduler job pays each day just after it ends; each payment is written
+ * with a unique accrual key and moves the position's `accruedThrough` in
+ * the same transaction, so no day is paid twice, and days missed while the
+ * server was down are paid on the next run.
+ */
+const vault = {
+    async start() {
+        scheduler.define(JOB, () => vault.runDaily());
+        await vault._scheduleNext();
+    },
+
+    _scheduleNext() {
+        const next = addDays(dayOf(Date.now()), 1);
+        return scheduler.schedule(JOB, midnight(next), {}, `${JOB}:${next}`);
+    },
+
+    // Scheduler job: books tomorrow's run first, so a failure here cannot stop it, then pays every ended day and matures what is due.
+    async runDaily() {
+        await vault._scheduleNext();
+        return vault.accrue();
+    },
+
+    // Products open to subscriptions, or every product with `all`, by asset then lock period.
+    async products({ all = false } = {}) {
+        const rows = await db.find('savingsProducts', row => all || row.status === 'active');
+        return rows.sort((a, b) => a.asset.localeCompare(b.asset) || a.lockDays - b.lockDays);
+    },
+
+    /**
+     * Validated fields for a new product, or the changes to `current` when
+     * given. Asset, term and lock period are fixed once a product exists; the
+     * APY, penalty, minimum and status can change. Only the known fields are
+     * read from `input`.
+     */
+    productFields(input, current = null) {
+        const fields = {};
+        if (!current) {
+            if (!registry.asset(input.asset)) throw new SavingsError(`unknown asset "${input.asset}"`, 'E_ASSET', 'asset');
+            if (!SAVINGS_TERMS.includes(input.term)) throw new SavingsError(`term must be one of ${SAVINGS_TERMS.join(', ')}`, 'E_TERM', 'term');
+            fields.asset = input.asset;
+            fields.term = input.term;
+            fields.lockDays = 0;
+            fields.status = 'active';
+            if (input.term === 'fixed') {
+                const days = Number(input.lockDays);
+                if (!Number.isInteger(days) || days < 1 || days > MAX_LOCK_DAYS) {
+                    throw new SavingsError(`lock period must be a whole number of days from 1 to ${MAX_LOCK_DAYS}`, 'E_LOCK', 'lockDays');
+                }
+                fields.lockDays = days;
+            }
+        }
+        const { asset, term } = current || fields;
+        if (!current || input.apy !== undefined) fields.apy = rateInput(input.apy, 'apy');
+        if (term === 'fixed' && (!current || input.penaltyRate !== undefined)) fields.penaltyRate = rateInput(input.penaltyRate, 'penaltyRate');
+        if (term === 'flexible' && !current) fields.penaltyRate = '0';
+        if (!current || input.minAmount !== undefined) fields.minAmount = amountInput(asset, input.minAmount, 'minAmount').toString();
+        if (current && input.status !== undefined) {
+            if (!PRODUCT_STATUSES.includes(input.status)) throw new SavingsError(`status must be one of ${PRODUCT_STATUSES.join(', ')}`, 'E_STATUS', 'status');
+            fields.status = input.status;
+        }
+        return fields;
+    },
+
+    // The user's positions, newest first, each with its product label and the APY it earns now.
+    async positions(userId) {
+        const [rows, products] = await Promise.all([db.find('savingsPositions', { userId }), db.find('savingsProducts')]);
+        return rows.reverse().sort((a, b) => b.createdAt.localeCompare(a.createdAt)).map(position => {
+            const product = products.find(p => p.id === position.productId);
+            return { ...position, label: productLabel(product), apy: position.apy || product.apy };
+        });
+    },
+
+    // Daily interest payments to the user, newest first.
+    async accruals(userId, { positionId, limit = 100 } = {}) {
+        const rows = await db.find('savingsAccruals', row => row.userId === userId && (!positionId || row.positionId === positionId));
+        return rows.sort((a, b) => b.day.localeCompare(a.day) || b.createdAt.localeCompare(a.createdAt)).slice(0, limit);
+    },
+
+    // Interest the user has been paid per asset, over every position.
+    async earned(userId) {
+        const totals = new Map();
+        for (const position of await db.find('savingsPositions', { userId })) {
+            totals.set(position.asset, (totals.get(position.asset) || Money.zero(registry.asset(position.asset).decimals)).plus(position.earned));
+        }
+        return [...totals].map(([asset, amount]) => ({ asset, amount }));
+    },
+
+    async subscribe(userId, { productId, amount }) {
+        const product = await db.findOne('savingsProducts', { id: productId });
+        if (!product || product.status !== 'active') throw new SavingsError('product not found', 'E_NOT_FOUND', 'productId');
+        const value = amountInput(product.asset, amount, 'amount');
+        if (value.lt(product.minAmount)) throw new SavingsError(`the amount must be at least ${product.minAmount} ${product.asset}`, 'E_AMOUNT', 'amount');
+        const today = dayOf(Date.now());
+        const fixed = product.term === 'fixed';
+        try {
+            return await db.transaction(tx => {
+                const position = tx.insert('savingsPositions', {
+                    userId,
+                    productId: product.id,
+                    asset: product.asset,
+                    term: product.term,
+                    lockDays: product.lockDays,
+                    // Flexible positions follow the product's APY, so only fixed ones keep their own.
+                    apy: fixed ? product.apy : null,
+                    penaltyRate: product.penaltyRate,
+                    principal: value.toString(),
+                    startDay: today,
+                    accruedThrough: today,
+                    maturesOn: fixed ? addDays(today, product.lockDays + 1) : null,
+                    carry: '0',
+                    earned: Money.zero(registry.asset(product.asset).decimals).toString(),
+                    status: 'active',
+                    penalty: null,
+                    payout: null,
+                    closedAt: null
+                });
+                Ledger.postWithin(tx, 'savings', [
+                    { owner: userId, asset: product.asset, kind: 'available', amount: value.neg() },
+                    { owner: userId, asset: product.asset, kind: 'savings', amount: value }
+                ], { ref: position.id, memo: `subscribed to ${productLabel(product)}` });
+                return position;
+            });
+        } catch (err) {
+            if (err instanceof LedgerError && err.code === 'E_INSUFFICIENT') {
+                throw new SavingsError(`you have less than ${value} ${product.asset} available`, 'E_INSUFFICIENT', 'amount');
+            }
+            throw err;
+        }
+    },
+
+    /**
+     * Pays what is owed up to yesterday, then returns the principal: in full
+     * for flexible and matured positions, less the penalty for a fixed one
+     * still in its lock period. Interest for the current day is not paid.
+     */
+    async redeem(userId, id) {
+        const found = await db.findOne('savingsPositions', { id, userId });
+        if (!found) throw new SavingsError('position not found', 'E_NOT_FOUND');
+        const today = dayOf(Date.now());
+        const position = await vault._settle(found, today);
+        if (position.status !== 'active') throw new SavingsError(`position was already ${position.status}`, 'E_NOT_ACTIVE');
+        const decimals = registry.asset(position.asset).decimals;
+        const early = position.term === 'fixed' && today < position.maturesOn;
+        const principal = Money.parse(position.principal);
+        const penalty = early ? principal.times(position.penaltyRate, { scale: decimals, rounding: 'half-up' }) : Money.zero(decimals);
+        return db.transaction(tx => {
+            const current = tx.findOne('savingsPositions', { id });
+            if (current.status !== 'active') throw new SavingsError(`position was already ${current.status}`, 'E_NOT_ACTIVE');
+            vault._payOutWithin(tx, current, penalty);
+            return tx.update('savingsPositions', id, { status: 'redeemed', penalty: penalty.toString(), payout: principal.minus(penalty).toString(), closedAt: new Date().toISOString() });
+        });
+    },
+
+    // Moves the principal back to available, less `penalty`, which goes to the system fees account.
+    _payOutWithin(tx, position, penalty) {
+        const { userId, asset } = position;
+        const payout = Money.parse(position.principal).minus(penalty);
+        Ledger.postWithin(tx, 'savings', [
+            { owner: userId, asset, kind: 'savings', amount: payout.neg() },
+            { owner: userId, asset, kind: 'available', amount: payout }
+        ], { ref: position.id, memo: 'savings redemption' });
+        if (penalty.isPositive()) {
+            Ledger.postWithin(tx, 'fee', [
+                { owner: userId, asset, kind: 'savings', amount: penalty.neg() },
+                { owner: Ledger.SYSTEM, asset, kind: 'fees', amount: penalty }
+            ], { ref: position.id, memo: 'early redemption penalty' });
+        }
+    },
+
+    // Pays every ended day of every active position and returns matured fixed positions. Resolves to the days paid.
+    async accrue(today = dayOf(Date.now())) {
+        let paid = 0;
+        for (const position of await db.find('savingsPositions', { status: 'active' })) {
+            // One position failing leaves the others paid; its missed days are paid on the next run.
+            try {
+                const before = position.accruedThrough;
+                const settled = await vault._settle(position, today);
+                paid += Math.round((midnight(settled.accruedThrough) - midnight(before)) / DAY);
+            } catch (err) {
+                console.error(`savings position ${position.id} failed to accrue`, err);
+            }
+        }
+        return paid;
+    },
+
+    // Brings one position up to date as of `today` and returns it as stored.
+    async _settle(position, today) {
+        const last = position.term === 'fixed' && position.maturesOn <= today ? addDays(position.maturesOn, -1) : addDays(today, -1);
+        let current = position;
+        for (let day = addDays(position.accruedThrough, 1); day <= last; day = addDays(day, 1)) {
+            current = await vault._payDay(position.id, day);
+        }
+        if (current.status === 'active' && current.term === 'fixed' && current.maturesOn <= today) current = await vault._mature(current);
+        return current;
+    },
+
+    async _payDay(id, day) {
+        return db.transaction(tx => {
+            const position = tx.findOne('savingsPositions', { id });
+            if (position.status !== 'active' || position.accruedThrough >= day) return position;
+            const { userId, asset } = position;
+            const apy = position.apy || tx.findOne('savingsProducts', { id: position.productId }).apy;
+            const owed = Money.parse(position.principal).times(apy).div(365, { scale: CARRY_SCALE, rounding: 'down' }).plus(position.carry);
+            const amount = owed.rescale(registry.asset(asset).decimals, 'down');
+            tx.insert('savingsAccruals', {
+                key: `${id}:${day}`, positionId: id, productId: position.productId, userId, asset, day, principal: position.principal, apy, amount: amount.toString()
+            });
+            if (amount.isPositive()) {
+                Ledger.postWithin(tx, 'interest', [
+                    { owner: Ledger.SYSTEM, asset, kind: 'interest', amount: amount.neg() },
+                    { owner: userId, asset, kind: 'available', amount }
+                ], { ref: id, memo: `interest for ${day}` });
+            }
+            return tx.update('savingsPositions', id, {
+                accruedThrough: day,
+                carry: owed.minus(amount).toString(),
+                earned: Money.parse(position.earned).plus(amount).toString()
+            });
+        });
+    },
+
+    async _mature(position) {
+        const matured = await db.transaction(tx => {
+            const current = tx.findOne('savingsPositions', { id: position.id });
+            if (current.status !== 'active') return null;
+            vault._payOutWithin(tx, current, Money.zero());
+            return tx.update('savingsPositions', current.id, { status: 'matured', penalty: '0', payout: current.principal, closedAt: new Date().toISOString() });
+        });
+        if (!matured) return db.findOne('savingsPositions', { id: position.id });
+        const product = await db.findOne('savingsProducts', { id: matured.productId });
+        await notifier.notify(matured.userId, {
+            type: 'savings_matured',
+            title: `${productLabel(product)} savings matured`,
+            message: `${matured.principal} ${matured.asset} is back in your available balance, after earning ${matured.earned} ${matured.asset}.`,
+            data: { positionId: matured.id, asset: matured.asset, principal: matured.principal, earned: matured.earned },
+            dedupeKey: `savings:${matured.id}:matured`
+        });
+        return matured;
+    }
+};
+
+export default vault;
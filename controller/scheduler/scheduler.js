@@ -0,0 +1,92 @@
+import db from '../model/db.js';
+
+const TICK_MS = Number(process.env.SCHEDULER_TICK_MS) || 15000;
+const RETRY_MS = 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+export const JOB_STATUSES = ['scheduled', 'done', 'failed', 'cancelled'];
+
+/**
+ * Durable one-off jobs. A job is a stored row naming a handler, a time to
+ * run and a payload, so jobs that came due while the server was down run on
+ * the next tick after it starts. Each job has a unique `key`; scheduling the
+ * same key again returns the existing job instead of adding another.
+ *
+ * Due jobs run one at a time. A handler that throws is retried a minute
+ * later, doubling each time, and the job is marked `failed` after
+ * MAX_ATTEMPTS. A crash between a handler's work and the job being marked
+ * done runs the handler again, so handlers must make their effects
+ * idempotent, for example by writing a row with a unique key in the same
+ * transaction as the work.
+ */
+const scheduler = {
+    handlers: new Map(),
+    timer: null,
+    running: null,
+
+    define(name, handler) {
+        scheduler.handlers.set(name, handler);
+    },
+
+    // Adds a job inside `tx`. A taken `key` returns that job, rescheduled if it had been cancelled.
+    scheduleWithin(tx, name, runAt, payload, key) {
+        const existing = tx.findOne('jobs', { key });
+        if (existing && existing.status === 'cancelled') return tx.update('jobs', existing.id, { runAt, payload, status: 'scheduled', finishedAt: null });
+        return existing || tx.insert('jobs', { name, key, runAt, payload, status: 'scheduled', attempts: 0, lastError: null, finishedAt: null });
+    },
+
+    schedule(name, runAt, payload, key) {
+        return db.transaction(tx => scheduler.scheduleWithin(tx, name, runAt, payload, key));
+    },
+
+    // Cancels the job with `key` inside `tx` if it has not run yet. Returns the job, or null.
+    cancelWithin(tx, key) {
+        const job = tx.findOne('jobs', { key });
+        if (!job || job.status !== 'scheduled') return null;
+        return tx.update('jobs', job.id, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    },
+
+    start() {
+        if (scheduler.timer) return;
+        const tick = () => scheduler.run().catch(err => console.error('scheduler run failed', err));
+        scheduler.timer = setInterval(tick, TICK_MS);
+        scheduler.timer.unref();
+        tick();
+    },
+
+    stop() {
+        clearInterval(scheduler.timer);
+        scheduler.timer = null;
+    },
+
+    // Runs every due job. Calls made while a run is going wait for it, then run again.
+    run(now = Date.now()) {
+        if (scheduler.running) return scheduler.running.then(() => scheduler.run(now));
+        scheduler.running = (async () => {
+            const due = await db.find('jobs', row => row.status === 'scheduled' && row.runAt <= now && scheduler.handlers.has(row.name));
+            for (const job of due.sort((a, b) => a.runAt - b.runAt)) await scheduler._execute(job);
+            return due.length;
+        })().finally(() => { scheduler.running = null; });
+        return scheduler.running;
+    },
+
+    async _execute(job) {
+        try {
+            await scheduler.handlers.get(job.name)(job.payload, job);
+            return db.update('jobs', job.id, { status: 'done', attempts: job.attempts + 1, lastError: null, finishedAt: new Date().toISOString() });
+        } catch (err) {
+            console.error(`job ${job.name} ${job.key} failed`, err);
+            const attempts = job.attempts + 1;
+            const failed = attempts >= MAX_ATTEMPTS;
+            return db.update('jobs', job.id, {
+                status: failed ? 'failed' : 'scheduled',
+                attempts,
+                lastError: err.message,
+                runAt: failed ? job.runAt : Date.now() + RETRY_MS * 2 ** (attempts - 1),
+                finishedAt: failed ? new Date().toISOString() : null
+            });
+        }
+    }
+};
+
+export default scheduler;
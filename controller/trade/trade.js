@@ -0,0 +1,72 @@
+import express from 'express';
+import Ledger from '../model/Ledger.js';
+import Trade from '../model/Trade.js';
+import pairs from '../config/pairs.js';
+import assets from '../config/assets.js';
+import { ensureAuthenticated } from '../auth/guards.js';
+import { feeRatesFor } from '../engine/fees.js';
+import sandbox from '../paper/sandbox.js';
+
+const router = express.Router();
+
+const RECENT_TRADES = 30;
+export const TRADING_MODES = ['live', 'paper'];
+
+// Live unless the user switched to paper trading this session.
+export function tradingMode(req) {
+    return req.session && req.session.tradingMode === 'paper' ? 'paper' : 'live';
+}
+
+// Where "Invest Now" leads: paper trading, after signing up if need be.
+router.get('/paper', (req, res) => {
+    if (!req.isAuthenticated()) {
+        req.session.returnTo = '/paper';
+        return res.redirect('/register');
+    }
+    req.session.tradingMode = 'paper';
+    res.redirect('/trade');
+})
+
+router.use('/trade', ensureAuthenticated);
+
+router.post('/trade/mode', (req, res) => {
+    const { mode, pair } = req.body;
+    if (TRADING_MODES.includes(mode)) req.session.tradingMode = mode;
+    res.redirect(pairs.some(p => p.symbol === pair) ? `/trade/${pair}` : '/trade');
+})
+
+router.get('/trade', (req, res) => {
+    res.redirect(`/trade/${pairs[0].symbol}`)
+})
+
+router.get('/trade/:pair', async (req, res, next) => {
+    const pair = pairs.find(p => p.symbol === req.params.pair);
+    if (!pair) return res.redirect('/trade');
+    const mode = tradingMode(req);
+    try {
+        const [balances, trades, fees] = await Promise.all([
+            mode === 'paper' ? sandbox.balances(req.user.id) : Ledger.balances(req.user.id),
+            Trade.findByPair(pair.symbol),
+            feeRatesFor(req.user.id, pair.symbol)
+        ]);
+        const decimals = symbol => assets.find(a => a.symbol === symbol).decimals;
+        // Everything the client script needs to boot, serialised into the page once.
+        const boot = {
+            pair: pair.symbol,
+            mode,
+            base: { symbol: pair.base, decimals: decimals(pair.base) },
+            quote: { symbol: pair.quote, decimals: decimals(pair.quote) },
+            balances: balances.filter(b => b.asset === pair.base || b.asset === pair.quote),
+            trades: trades
+                .sort((a, b) => b.seq - a.seq)
+                .slice(0, RECENT_TRADES)
+                .map(t => ({ id: t.id, price: t.price, quantity: t.quantity, side: t.takerSide, timestamp: t.timestamp })),
+            simulatedPrice: mode === 'paper' ? sandbox.price(pair.symbol) : null
+        };
+        res.render('partials/trade', { pair, pairs, fees, boot, mode })
+    } catch (err) {
+        next(err);
+    }
+})
+
+export default router;
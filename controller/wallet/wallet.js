@@ -0,0 +1,19 @@
+import express from 'express';
+import Ledger from '../model/Ledger.js';
+import { ensureAuthenticated } from '../auth/guards.js';
+
+const router = express.Router();
+
+router.get('/wallet', ensureAuthenticated, async (req, res, next) => {
+    try {
+        const [balances, history] = await Promise.all([
+            Ledger.balances(req.user.id),
+            Ledger.history(req.user.id)
+        ]);
+        res.render('partials/wallet', { balances, history })
+    } catch (err) {
+        next(err);
+    }
+})
+
+export default router;
@@ -0,0 +1,65 @@
+// Navbar notification center: opens the dropdown, marks everything read and adds new notifications as they arrive.
+const center = document.getElementById('notificationCenter')
+const bell = center.querySelector('.notificationBell')
+const menu = center.querySelector('.notificationMenu')
+const count = center.querySelector('.notificationCount')
+const list = menu.querySelector('ul')
+const empty = menu.querySelector('.notificationEmpty')
+
+// Matches the number the server renders into the dropdown.
+const SHOWN = 5
+
+function setUnread(n) {
+  count.textContent = n
+  count.hidden = n === 0
+}
+
+function toggle(open) {
+  menu.hidden = !open
+  bell.setAttribute('aria-expanded', String(open))
+}
+
+bell.addEventListener('click', (event) => {
+  event.stopPropagation()
+  toggle(menu.hidden)
+})
+document.addEventListener('click', (event) => {
+  if (!center.contains(event.target)) toggle(false)
+})
+
+menu.querySelector('form').addEventListener('submit', async (event) => {
+  event.preventDefault()
+  const res = await fetch('/api/v1/notifications/read', { method: 'POST', headers: { 'content-type': 'application/json' }, body: '{}' })
+  if (!res.ok) return event.target.submit()
+  setUnread(0)
+  list.querySelectorAll('li.unread').forEach(li => li.classList.remove('unread'))
+})
+
+function add(notification) {
+  const li = document.createElement('li')
+  li.className = 'unread'
+  const title = document.createElement('strong')
+  title.textContent = notification.title
+  const message = document.createElement('span')
+  message.textContent = notification.message
+  li.append(title, message)
+  list.prepend(li)
+  empty.hidden = true
+  const items = list.querySelectorAll('li:not(.notificationEmpty)')
+  if (items.length > SHOWN) items[items.length - 1].remove()
+  setUnread(Number(count.textContent) + 1)
+}
+
+function connect() {
+  const socket = new WebSocket(`${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/ws`)
+  socket.addEventListener('open', () => {
+    socket.send(JSON.stringify({ op: 'subscribe', channels: ['notifications'] }))
+  })
+  socket.addEventListener('message', (event) => {
+    const message = JSON.parse(event.data)
+    if (message.channel === 'notifications' && message.type === 'notification') add(message.notification)
+  })
+  socket.addEventListener('close', () => setTimeout(connect, 2000))
+}
+
+connect()
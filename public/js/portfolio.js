@@ -0,0 +1,85 @@
+import animix from "./Manimix.js"
+
+const boot = JSON.parse(document.getElementById('portfolioBoot').textContent)
+
+const GREEN = 'rgb(72, 199, 142)'
+const TEXT = 'rgba(226, 233, 230, 0.87)'
+
+// Amounts arrive as decimal strings; numbers are only used for drawing and counting up here.
+const decimalsOf = value => (String(value).split('.')[1] || '').length
+
+// Counts each figure up from zero to its value, keeping the value's own decimals.
+document.querySelectorAll('[data-count]').forEach(el => {
+  const target = Number(el.dataset.count)
+  const decimals = decimalsOf(el.dataset.count)
+  const signed = el.hasAttribute('data-signed')
+  const show = value => `${signed && value > 0 ? '+' : ''}${value.toFixed(decimals)}`
+  el.textContent = show(0)
+  animix.to(el, 1.2, {
+    ease: 'power2.out',
+    onUpdate: progress => { el.textContent = show(target * progress) },
+    onComplete: () => { el.textContent = show(target) }
+  })
+})
+
+document.querySelectorAll('.allocationBar [data-share]').forEach(bar => {
+  const share = Number(bar.dataset.share) * 100
+  bar.style.width = '0%'
+  animix.to(bar, 1.2, { ease: 'power2.out', onUpdate: progress => { bar.style.width = `${share * progress}%` } })
+})
+
+/* Equity chart */
+const chart = {
+  canvas: document.getElementById('equityChart'),
+  points: boot.points.map(p => ({ day: p.day, value: Number(p.value) })),
+
+  draw(progress = 1) {
+    const canvas = this.canvas
+    const ratio = window.devicePixelRatio || 1
+    const width = canvas.clientWidth
+    const height = canvas.clientHeight
+    canvas.width = width * ratio
+    canvas.height = height * ratio
+    const ctx = canvas.getContext('2d')
+    ctx.scale(ratio, ratio)
+    ctx.clearRect(0, 0, width, height)
+    ctx.font = '11px sans-serif'
+    ctx.fillStyle = TEXT
+
+    const points = this.points
+    if (points.length < 2) {
+      ctx.fillText('The chart fills in as daily snapshots are taken', 12, 20)
+      return
+    }
+    const axis = 80
+    const high = Math.max(...points.map(p => p.value))
+    const low = Math.min(...points.map(p => p.value))
+    const span = high - low || high * 0.01 || 1
+    const decimals = decimalsOf(boot.points[0].value)
+    const x = i => i / (points.length - 1) * (width - axis)
+    const y = value => 10 + (high - value) / span * (height - 30)
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)'
+    for (let i = 0; i <= 4; i++) {
+      const value = low + span * i / 4
+      ctx.beginPath()
+      ctx.moveTo(0, y(value))
+      ctx.lineTo(width - axis, y(value))
+      ctx.stroke()
+      ctx.fillText(`${value.toFixed(decimals)} ${boot.quote}`, width - axis + 4, y(value) + 4)
+    }
+    ctx.fillText(points[0].day, 0, height - 4)
+    ctx.fillText(points[points.length - 1].day, width - axis - 60, height - 4)
+
+    // `progress` reveals the line from left to right.
+    const shown = Math.max(2, Math.ceil(points.length * progress))
+    ctx.strokeStyle = GREEN
+    ctx.lineWidth = 2
+    ctx.beginPath()
+    points.slice(0, shown).forEach((p, i) => (i ? ctx.lineTo(x(i), y(p.value)) : ctx.moveTo(x(i), y(p.value))))
+    ctx.stroke()
+  }
+}
+
+animix.to(chart.canvas, 1.2, { ease: 'power2.out', onUpdate: progress => chart.draw(progress) })
+window.addEventListener('resize', () => chart.draw())
@@ -0,0 +1,476 @@
+import animix from "./Manimix.js"
+
+const boot = JSON.parse(document.getElementById('tradeBoot').textContent)
+const { pair, base, quote } = boot
+// Paper mode sends orders to the sandbox and shows practice balances; the market data is the same.
+const paper = boot.mode === 'paper'
+const ORDERS = paper ? '/paper/orders' : '/orders'
+
+const GREEN = 'rgb(72, 199, 142)'
+const RED = 'rgb(232, 109, 109)'
+const TEXT = 'rgba(226, 233, 230, 0.87)'
+const LADDER_ROWS = 15
+const MAX_TRADES = 30
+
+// Amounts arrive as decimal strings; numbers are only used for drawing and estimates here.
+const fmt = (value, decimals) => value === null || value === undefined ? '–' : Number(value).toFixed(decimals)
+const num = value => value === null || value === undefined ? null : Number(value)
+const fmtPrice = v => fmt(v, quote.decimals)
+const fmtSize = v => fmt(v, base.decimals)
+const $ = id => document.getElementById(id)
+
+async function api(method, path, body) {
+  const res = await fetch(`/api/v1${path}`, {
+    method,
+    headers: body ? { 'content-type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  })
+  const json = await res.json()
+  if (!res.ok) throw json.error || { message: 'request failed' }
+  return json
+}
+
+// Brief colour pulse so changes are noticed without reading every number.
+function flash(el, up) {
+  animix.fromTo(el, 0.8, { color: up ? GREEN : RED }, { color: TEXT, ease: 'power2.out' })
+}
+
+/* Chart */
+const chart = {
+  canvas: $('priceChart'),
+  interval: '15m',
+  candles: [],
+
+  async load() {
+    const { data } = await api('GET', `/candles?pair=${pair}&interval=${this.interval}`)
+    this.candles = data.map(c => ({ ...c, open: num(c.open), high: num(c.high), low: num(c.low), close: num(c.close), volume: num(c.volume) }))
+    this.draw()
+  },
+
+  draw() {
+    const canvas = this.canvas
+    const ratio = window.devicePixelRatio || 1
+    const width = canvas.clientWidth
+    const height = canvas.clientHeight
+    canvas.width = width * ratio
+    canvas.height = height * ratio
+    const ctx = canvas.getContext('2d')
+    ctx.scale(ratio, ratio)
+    ctx.clearRect(0, 0, width, height)
+
+    const candles = this.candles.slice(-Math.floor(width / 8))
+    if (!candles.length) {
+      ctx.fillStyle = TEXT
+      ctx.fillText('No trades yet', 12, 20)
+      return
+    }
+    const axis = 64
+    const high = Math.max(...candles.map(c => c.high))
+    const low = Math.min(...candles.map(c => c.low))
+    const span = high - low || high * 0.01 || 1
+    const y = price => 10 + (high - price) / span * (height - 20)
+    const step = (width - axis) / candles.length
+    const body = Math.max(1, step * 0.6)
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)'
+    ctx.fillStyle = TEXT
+    ctx.font = '11px sans-serif'
+    for (let i = 0; i <= 4; i++) {
+      const price = low + span * i / 4
+      ctx.beginPath()
+      ctx.moveTo(0, y(price))
+      ctx.lineTo(width - axis, y(price))
+      ctx.stroke()
+      ctx.fillText(fmtPrice(price), width - axis + 4, y(price) + 4)
+    }
+
+    candles.forEach((c, i) => {
+      const x = i * step + step / 2
+      const color = c.close >= c.open ? GREEN : RED
+      ctx.strokeStyle = color
+      ctx.fillStyle = color
+      ctx.beginPath()
+      ctx.moveTo(x, y(c.high))
+      ctx.lineTo(x, y(c.low))
+      ctx.stroke()
+      const top = y(Math.max(c.open, c.close))
+      ctx.fillRect(x - body / 2, top, body, Math.max(1, y(Math.min(c.open, c.close)) - top))
+    })
+  },
+
+  // Folds a live trade into the last candle, or starts a new one when its bucket has begun.
+  addTrade({ timestamp, ...rest }) {
+    const trade = { timestamp, price: num(rest.price), quantity: num(rest.quantity) }
+    const ms = { '1m': 6e4, '5m': 3e5, '15m': 9e5, '1h': 36e5, '4h': 144e5, '1d': 864e5 }[this.interval]
+    const openTime = Math.floor(trade.timestamp / ms) * ms
+    const last = this.candles[this.candles.length - 1]
+    if (last && last.openTime === openTime) {
+      last.high = Math.max(last.high, trade.price)
+      last.low = Math.min(last.low, trade.price)
+      last.close = trade.price
+      last.volume += trade.quantity
+    } else {
+      this.candles.push({ openTime, open: trade.price, high: trade.price, low: trade.price, close: trade.price, volume: trade.quantity })
+    }
+    this.draw()
+  }
+}
+
+document.querySelectorAll('.intervalTabs button').forEach(button => {
+  button.addEventListener('click', () => {
+    document.querySelectorAll('.intervalTabs button').forEach(b => b.classList.toggle('active', b === button))
+    chart.interval = button.dataset.interval
+    chart.load()
+  })
+})
+window.addEventListener('resize', () => chart.draw())
+
+/* Order book ladder */
+const book = {
+  seq: null,
+  bids: new Map(),
+  asks: new Map(),
+
+  snapshot(message) {
+    this.seq = message.seq
+    this.bids = new Map(message.bids)
+    this.asks = new Map(message.asks)
+    this.render()
+  },
+
+  update(message, resync) {
+    if (this.seq === null) return
+    if (message.seq <= this.seq) return
+    if (message.seq !== this.seq + 1) {
+      this.seq = null
+      return resync()
+    }
+    this.seq = message.seq
+    for (const [side, price, size] of message.changes) {
+      const levels = side === 'buy' ? this.bids : this.asks
+      if (Number(size) > 0) levels.set(price, size)
+      else levels.delete(price)
+    }
+    this.render()
+  },
+
+  bestBid() { return this.bids.size ? Math.max(...[...this.bids.keys()].map(Number)) : null },
+  bestAsk() { return this.asks.size ? Math.min(...[...this.asks.keys()].map(Number)) : null },
+
+  render() {
+    const asks = [...this.asks].sort((a, b) => a[0] - b[0]).slice(0, LADDER_ROWS).reverse()
+    const bids = [...this.bids].sort((a, b) => b[0] - a[0]).slice(0, LADDER_ROWS)
+    const row = cls => ([price, size]) => `<tr class="${cls}" data-price="${price}"><td>${fmtPrice(price)}</td><td>${fmtSize(size)}</td></tr>`
+    $('asks').innerHTML = asks.map(row('ask')).join('')
+    $('bids').innerHTML = bids.map(row('bid')).join('')
+    const bid = this.bestBid()
+    const ask = this.bestAsk()
+    $('spread').textContent = bid !== null && ask !== null ? `Spread ${fmtPrice(ask - bid)}` : '–'
+  }
+}
+
+// Clicking a level copies its price into the order form.
+document.querySelector('.ladder').addEventListener('click', (event) => {
+  const row = event.target.closest('tr[data-price]')
+  if (row) {
+    orderForm.price.value = row.dataset.price
+    updateTotal()
+  }
+})
+
+/* Recent trades and ticker */
+function addTradeRow(trade, animate) {
+  const tbody = $('recentTrades')
+  const tr = document.createElement('tr')
+  tr.className = trade.side === 'buy' ? 'bid' : 'ask'
+  tr.innerHTML = `<td>${fmtPrice(trade.price)}</td><td>${fmtSize(trade.quantity)}</td><td>${new Date(trade.timestamp).toLocaleTimeString()}</td>`
+  tbody.prepend(tr)
+  while (tbody.children.length > MAX_TRADES) tbody.lastElementChild.remove()
+  if (animate) animix.fromTo(tr, 0.4, { opacity: 0, y: -10 }, { opacity: 1, y: 0 })
+}
+boot.trades.slice().reverse().forEach(t => addTradeRow(t, false))
+
+let lastPrice = boot.trades.length ? num(boot.trades[0].price) : null
+let simulatedPrice = num(boot.simulatedPrice)
+function renderSimulated() {
+  if (paper) $('simulatedPrice').textContent = fmtPrice(simulatedPrice)
+}
+renderSimulated()
+function renderTicker(ticker) {
+  const lastEl = $('tickerLast')
+  const last = num(ticker.last)
+  lastEl.textContent = fmtPrice(last)
+  if (lastPrice !== null && last !== null && last !== lastPrice) flash(lastEl, last > lastPrice)
+  lastPrice = last
+  const change = $('tickerChange')
+  change.textContent = ticker.change24h === null ? '–' : `${(ticker.change24h * 100).toFixed(2)}%`
+  change.style.color = ticker.change24h > 0 ? GREEN : ticker.change24h < 0 ? RED : TEXT
+  $('tickerHigh').textContent = fmtPrice(ticker.high24h)
+  $('tickerLow').textContent = fmtPrice(ticker.low24h)
+  $('tickerVolume').textContent = fmtSize(ticker.volume24h)
+}
+
+/* Balances, order entry and order tables */
+const balances = new Map(boot.balances.map(b => [b.asset, b]))
+const orderForm = $('orderForm')
+let orderType = 'limit'
+
+// Inputs each entry tab shows, with their labels; stop-style tabs become conditional orders.
+const ENTRY_FIELDS = {
+  limit: { price: 'Price' },
+  market: {},
+  stop: { stopPrice: 'Stop price', price: 'Limit price, optional' },
+  take_profit: { stopPrice: 'Trigger price', price: 'Limit price, optional' },
+  trailing_stop: { trailing: true },
+  oco: { price: 'Take-profit price', stopPrice: 'Stop price', stopLimitPrice: true }
+}
+const isConditional = () => !['limit', 'market'].includes(orderType)
+
+async function refreshBalances() {
+  const { data } = await api('GET', paper ? '/paper/balances' : '/balances')
+  for (const b of data) if (balances.has(b.asset)) balances.set(b.asset, b)
+  updateTotal()
+}
+
+function side() {
+  return orderForm.side.value
+}
+
+// Price a market order would trade at: the top of the book, or in paper mode the simulated price when that side is empty.
+function marketPrice() {
+  const top = side() === 'buy' ? book.bestAsk() : book.bestBid()
+  return top === null && paper ? simulatedPrice : top
+}
+
+// Estimated quote spent or received; market orders use marketPrice() and trailing stops the last price.
+function estimate() {
+  const quantity = Number(orderForm.quantity.value)
+  const price = orderType === 'market' ? marketPrice()
+    : orderType === 'trailing_stop' ? lastPrice
+    : Number(orderForm.price.value) || Number(orderForm.stopPrice.value)
+  return quantity > 0 && price > 0 ? quantity * price : null
+}
+
+function updateTotal() {
+  const total = estimate()
+  $('orderTotal').textContent = total === null ? '–' : fmtPrice(total)
+  const asset = side() === 'buy' ? quote : base
+  const available = balances.get(asset.symbol)
+  $('availableBalance').textContent = `${fmt(available ? available.available : 0, asset.decimals)} ${asset.symbol}`
+  $('orderSubmit').textContent = `${side() === 'buy' ? 'Buy' : 'Sell'} ${base.symbol}`
+  $('orderSubmit').className = side()
+}
+
+// Mirrors the server's checks so most mistakes never leave the browser.
+function validateOrder() {
+  const quantity = Number(orderForm.quantity.value)
+  const price = Number(orderForm.price.value)
+  if (!(quantity > 0)) return 'enter an amount'
+  if ((orderType === 'limit' || orderType === 'oco') && !(price > 0)) return orderType === 'oco' ? 'enter a take-profit price' : 'enter a price'
+  if (ENTRY_FIELDS[orderType].stopPrice && !(Number(orderForm.stopPrice.value) > 0)) return `enter a ${ENTRY_FIELDS[orderType].stopPrice.toLowerCase()}`
+  if (orderType === 'trailing_stop' && !(Number(orderForm.trailing.value) > 0)) return 'enter how far to trail'
+  if (orderType === 'market' && marketPrice() === null) return 'no liquidity on the other side'
+  if (side() === 'buy') {
+    const total = estimate()
+    if (total > Number(balances.get(quote.symbol).available)) return `insufficient ${quote.symbol} balance`
+  } else if (quantity > Number(balances.get(base.symbol).available)) {
+    return `insufficient ${base.symbol} balance`
+  }
+  return null
+}
+
+document.querySelectorAll('.entryTabs button').forEach(button => {
+  button.addEventListener('click', () => {
+    document.querySelectorAll('.entryTabs button').forEach(b => b.classList.toggle('active', b === button))
+    orderType = button.dataset.type
+    const fields = ENTRY_FIELDS[orderType]
+    for (const name of ['price', 'stopPrice', 'stopLimitPrice', 'trailing']) {
+      $(`${name}Field`).style.display = fields[name] ? '' : 'none'
+    }
+    if (fields.price) $('priceLabel').textContent = `${fields.price} (${quote.symbol})`
+    if (fields.stopPrice) $('stopPriceLabel').textContent = `${fields.stopPrice} (${quote.symbol})`
+    updateTotal()
+  })
+})
+orderForm.addEventListener('input', updateTotal)
+
+// Request body for the conditional order described by the form; optional limit prices pick the limit variants.
+function conditionalOrder() {
+  const value = name => orderForm[name].value.trim()
+  const optional = name => value(name) ? { [name]: value(name) } : {}
+  const common = { pair, side: side(), quantity: value('quantity') }
+  switch (orderType) {
+    case 'stop':
+      return { ...common, type: value('price') ? 'stop_limit' : 'stop_market', stopPrice: value('stopPrice'), ...optional('price') }
+    case 'take_profit':
+      return { ...common, type: value('price') ? 'take_profit_limit' : 'take_profit', stopPrice: value('stopPrice'), ...optional('price') }
+    case 'trailing_stop':
+      return { ...common, type: 'trailing_stop', [orderForm.trailingUnit.value === 'percent' ? 'trailingPercent' : 'trailingOffset']: value('trailing') }
+    case 'oco':
+      return { ...common, type: 'oco', price: value('price'), stopPrice: value('stopPrice'), ...optional('stopLimitPrice') }
+  }
+}
+
+orderForm.addEventListener('submit', async (event) => {
+  event.preventDefault()
+  const error = $('orderError')
+  const problem = validateOrder()
+  error.textContent = problem || ''
+  if (problem) return
+  try {
+    if (isConditional()) {
+      await api('POST', '/conditional-orders', conditionalOrder())
+    } else {
+      await api('POST', ORDERS, {
+        pair,
+        side: side(),
+        type: orderType,
+        quantity: orderForm.quantity.value,
+        ...(orderType === 'limit' ? { price: orderForm.price.value } : {})
+      })
+    }
+    orderForm.quantity.value = ''
+    await Promise.all([refreshBalances(), refreshOrders(), paper || refreshConditional()])
+  } catch (err) {
+    error.textContent = err.message
+  }
+})
+
+function orderRow(order, cancellable) {
+  return `<tr>
+    <td>${new Date(order.createdAt).toLocaleString()}</td>
+    <td class="${order.side === 'buy' ? 'credit' : 'debit'}">${order.side}</td>
+    <td>${order.type}</td>
+    <td>${order.price === null ? 'market' : fmtPrice(order.price)}</td>
+    <td>${fmtSize(order.quantity)}</td>
+    <td>${fmtSize(order.filled)}</td>
+    <td>${order.status.replace('_', ' ')}</td>
+    ${cancellable ? `<td><button type="button" data-cancel="${order.id}">Cancel</button></td>` : ''}
+  </tr>`
+}
+
+async function refreshOrders() {
+  const [open, partial, history] = await Promise.all([
+    api('GET', `${ORDERS}?pair=${pair}&status=open`),
+    api('GET', `${ORDERS}?pair=${pair}&status=partially_filled`),
+    api('GET', `${ORDERS}?pair=${pair}&limit=50`)
+  ])
+  const working = [...open.data, ...partial.data].sort((a, b) => b.seq - a.seq)
+  $('openOrders').innerHTML = working.map(o => orderRow(o, true)).join('') || '<tr><td colspan="8">No open orders</td></tr>'
+  const done = history.data.filter(o => o.status === 'filled' || o.status === 'cancelled')
+  $('orderHistory').innerHTML = done.map(o => orderRow(o, false)).join('') || '<tr><td colspan="7">No orders yet</td></tr>'
+}
+
+$('openOrders').addEventListener('click', async (event) => {
+  const id = event.target.dataset.cancel
+  if (!id) return
+  event.target.disabled = true
+  try {
+    await api('DELETE', `${ORDERS}/${id}`)
+  } catch (err) {
+    $('orderError').textContent = err.message
+  }
+  await Promise.all([refreshBalances(), refreshOrders()])
+})
+
+const TRIGGER_TYPES = {
+  stop_market: 'stop',
+  stop_limit: 'stop limit',
+  take_profit: 'take profit',
+  take_profit_limit: 'take profit limit',
+  trailing_stop: 'trailing stop'
+}
+
+function conditionalRow(trigger) {
+  const pending = trigger.status === 'pending_trigger'
+  const trail = trigger.trailingPercent !== null ? `${num(trigger.trailingPercent)}%` : trigger.trailingOffset !== null ? fmtPrice(trigger.trailingOffset) : null
+  return `<tr>
+    <td>${new Date(trigger.createdAt).toLocaleString()}</td>
+    <td class="${trigger.side === 'buy' ? 'credit' : 'debit'}">${trigger.side}</td>
+    <td>${TRIGGER_TYPES[trigger.type]}${trigger.ocoGroup ? ' (OCO)' : ''}</td>
+    <td>${fmtPrice(trigger.stopPrice)}${trail ? ` (trails ${trail})` : ''}</td>
+    <td>${trigger.price === null ? 'market' : fmtPrice(trigger.price)}</td>
+    <td>${fmtSize(trigger.quantity)}</td>
+    <td title="${trigger.reason || ''}">${trigger.status.replace('_', ' ')}</td>
+    <td>${pending ? `<button type="button" data-cancel="${trigger.id}">Cancel</button>` : ''}</td>
+  </tr>`
+}
+
+// Pending triggers first, then the most recent ones that fired or were cancelled.
+async function refreshConditional() {
+  const [pending, recent] = await Promise.all([
+    api('GET', `/conditional-orders?pair=${pair}&status=pending_trigger`),
+    api('GET', `/conditional-orders?pair=${pair}&limit=20`)
+  ])
+  const rows = [...pending.data, ...recent.data.filter(t => t.status !== 'pending_trigger')]
+  $('conditionalOrders').innerHTML = rows.map(conditionalRow).join('') || '<tr><td colspan="8">No conditional orders</td></tr>'
+}
+
+$('conditionalOrders')?.addEventListener('click', async (event) => {
+  const id = event.target.dataset.cancel
+  if (!id) return
+  event.target.disabled = true
+  try {
+    await api('DELETE', `/conditional-orders/${id}`)
+  } catch (err) {
+    $('orderError').textContent = err.message
+  }
+  await Promise.all([refreshBalances(), refreshConditional()])
+})
+
+$('paperReset')?.addEventListener('click', async (event) => {
+  if (!confirm('Cancel all paper orders and go back to the starting balances?')) return
+  event.target.disabled = true
+  try {
+    await api('POST', '/paper/reset')
+  } catch (err) {
+    $('orderError').textContent = err.message
+  }
+  event.target.disabled = false
+  await Promise.all([refreshBalances(), refreshOrders()])
+})
+
+/* Live feed */
+function connect() {
+  const socket = new WebSocket(`${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/ws`)
+  const resync = () => socket.send(JSON.stringify({ op: 'snapshot', channel: `book:${pair}` }))
+
+  socket.addEventListener('open', () => {
+    const channels = [`ticker:${pair}`, `book:${pair}`, `trades:${pair}`, 'orders']
+    socket.send(JSON.stringify({ op: 'subscribe', channels: paper ? [...channels, `paper:${pair}`] : channels }))
+  })
+  socket.addEventListener('message', (event) => {
+    const message = JSON.parse(event.data)
+    if (message.channel === `book:${pair}`) {
+      if (message.type === 'snapshot') book.snapshot(message)
+      else book.update(message, resync)
+      updateTotal()
+    } else if (message.channel === `ticker:${pair}`) {
+      renderTicker(message)
+    } else if (message.channel === `trades:${pair}`) {
+      addTradeRow(message, true)
+      chart.addTrade(message)
+    } else if (message.channel === `paper:${pair}`) {
+      simulatedPrice = num(message.price)
+      renderSimulated()
+      updateTotal()
+    } else if (message.channel === 'orders') {
+      // Each mode only follows its own orders.
+      if (paper !== (message.type === 'paper')) return
+      if (message.type === 'trigger') refreshConditional()
+      else refreshOrders()
+      refreshBalances()
+    }
+  })
+  // Reconnect with a fresh snapshot; the old sequence means nothing to a new connection.
+  socket.addEventListener('close', () => {
+    book.seq = null
+    setTimeout(connect, 2000)
+  })
+}
+
+document.querySelector('.entryTabs button.active').click()
+chart.load()
+refreshOrders()
+if (!paper) refreshConditional()
+connect()
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../../controller/model/db.js';
+import User from '../../controller/model/User.js';
+import Ledger from '../../controller/model/Ledger.js';
+import transfers from '../../controller/funding/transfers.js';
+import backoffice from '../../controller/admin/backoffice.js';
+
+async function withdrawal(userId) {
+    return transfers.requestWithdrawal(userId, { asset: 'BTC', address: await transfers.chain.newAddress('BTC'), amount: '0.2' });
+}
+
+test('freezing cancels open withdrawals but not one already being broadcast', async () => {
+    const admin = await User.create({ email: 'admin@example.com', role: 'admin' });
+    const user = await User.create({ email: 'user@example.com' });
+    await Ledger.deposit(user.id, 'BTC', '1');
+    const sending = await withdrawal(user.id);
+    await transfers.approveWithdrawal(sending.id);
+    let requested;
+    let approved;
+
+    const { broadcast } = transfers.chain;
+    transfers.chain.broadcast = async (args) => {
+        requested = await withdrawal(user.id);
+        approved = await withdrawal(user.id);
+        await transfers.approveWithdrawal(approved.id);
+        await backoffice.freeze(admin, user.id, 'suspicious activity');
+        return broadcast.call(transfers.chain, args);
+    };
+    try {
+        await transfers.advanceWithdrawals();
+    } finally {
+        transfers.chain.broadcast = broadcast;
+    }
+
+    const status = async ({ id }) => (await db.findOne('withdrawals', { id })).status;
+    assert.equal(await status(sending), 'broadcast');
+    assert.equal(await status(requested), 'cancelled');
+    assert.equal(await status(approved), 'cancelled');
+    const { available, held } = (await Ledger.balances(user.id)).find(b => b.asset === 'BTC');
+    assert.equal(available.toString(), '0.79980000');
+    assert.equal(held.toString(), '0.20020000');
+    assert.deepEqual(await Ledger.verify(), []);
+});
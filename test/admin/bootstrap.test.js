@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.BROKER_ADMINS = 'boss@example.com';
+const { default: User } = await import('../../controller/model/User.js');
+const { default: AdminAudit } = await import('../../controller/model/AdminAudit.js');
+const { default: backoffice } = await import('../../controller/admin/backoffice.js');
+
+test('a listed address becomes admin only once it is confirmed', async () => {
+    const user = await User.create({ email: 'Boss@example.com' });
+    await backoffice.bootstrap();
+    assert.equal((await User.findById(user.id)).role, 'user');
+    assert.equal((await backoffice.promoteListed(user)).role, 'user');
+
+    const verified = await User.update(user.id, { emailVerified: true });
+    assert.equal((await backoffice.promoteListed(verified)).role, 'admin');
+    const [audit] = await AdminAudit.search({ targetUserId: user.id });
+    assert.equal(audit.actorId, 'system');
+    assert.equal(audit.reason, 'listed in BROKER_ADMINS');
+});
+
+test('confirmed addresses that are not listed stay users', async () => {
+    const user = await User.create({ email: 'someone@example.com', emailVerified: true });
+    await backoffice.bootstrap();
+    assert.equal((await backoffice.promoteListed(user)).role, 'user');
+});
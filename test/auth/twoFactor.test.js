@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../../controller/model/User.js';
+import twoFactor from '../../controller/auth/twoFactor.js';
+import throttle, { throttleKeys } from '../../controller/auth/throttle.js';
+import { generateSecret, codeAt, timeStep } from '../../controller/auth/totp.js';
+
+const STEP_MS = 30 * 1000;
+
+// A user with 2FA turned on at the mocked time, and a clock to move it along.
+async function enrolled(t, email) {
+    const clock = { now: Date.now() };
+    t.mock.method(Date, 'now', () => clock.now);
+    const secret = generateSecret();
+    const created = await User.create({ email });
+    assert.ok(await twoFactor.enable(created, secret, codeAt(secret, timeStep())));
+    clock.now += 10 * STEP_MS;
+    return { user: await User.findById(created.id), secret, clock };
+}
+
+test('step-up accepts a current code once and refuses it when reused', async (t) => {
+    const { user, secret } = await enrolled(t, 'valid@example.com');
+    const code = codeAt(secret, timeStep());
+
+    assert.equal(await twoFactor.stepUp(user, code, '10.0.0.1'), null);
+    assert.equal(await twoFactor.stepUp(user, code, '10.0.0.1'), 'that code is not valid');
+    assert.equal(await twoFactor.stepUp(user, '', '10.0.0.1'), 'enter your authenticator code');
+});
+
+test('step-up allows one step of clock drift either way and no more', async (t) => {
+    const { user, secret } = await enrolled(t, 'drift@example.com');
+    const step = timeStep();
+
+    assert.equal(await twoFactor.stepUp(user, codeAt(secret, step - 2), '10.0.0.2'), 'that code is not valid');
+    assert.equal(await twoFactor.stepUp(user, codeAt(secret, step + 2), '10.0.0.2'), 'that code is not valid');
+    assert.equal(await twoFactor.stepUp(user, codeAt(secret, step - 1), '10.0.0.2'), null);
+    assert.equal(await twoFactor.stepUp(user, codeAt(secret, step + 1), '10.0.0.2'), null);
+});
+
+test('wrong step-up codes use up the login throttle budget and then even a valid code waits', async (t) => {
+    const { user, secret } = await enrolled(t, 'guess@example.com');
+    const keys = throttleKeys('10.0.0.3', user.email);
+    const wrong = codeAt(secret, timeStep() + 100);
+
+    for (let i = 0; i < 3; i++) assert.equal(await twoFactor.stepUp(user, wrong, '10.0.0.3'), 'that code is not valid');
+    assert.match(await twoFactor.stepUp(user, codeAt(secret, timeStep()), '10.0.0.3'), /^too many attempts, try again in /);
+    assert.equal((await throttle.check(keys)).allowed, false);
+});
+
+test('a valid step-up code clears the account failures', async (t) => {
+    const { user, secret } = await enrolled(t, 'recover@example.com');
+    const keys = throttleKeys('10.0.0.4', user.email);
+
+    assert.equal(await twoFactor.stepUp(user, codeAt(secret, timeStep() + 100), '10.0.0.4'), 'that code is not valid');
+    assert.equal(await twoFactor.stepUp(user, codeAt(secret, timeStep()), '10.0.0.4'), null);
+    assert.deepEqual(await throttle.check({ account: keys.account }), { allowed: true, retryAfter: 0, locked: false, captcha: false });
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HmacStrategy, { sign } from '../../controller/config/hmacStrategy.js';
+
+const WINDOW = 30000;
+const KEY = { id: 'k1', keyId: 'ak_test', secret: 'shh', scopes: ['trade'], ips: [] };
+const USER = { id: 'u1' };
+
+// A strategy on a settable clock, and a way to run one request through it.
+function setup() {
+    const clock = { now: 1700000000000 };
+    const strategy = new HmacStrategy((keyId, cb) => cb(null, keyId === KEY.keyId ? KEY : null, USER), { window: WINDOW, now: () => clock.now });
+    const run = (req) => new Promise((resolve, reject) => {
+        const attempt = Object.create(strategy);
+        attempt.success = user => resolve({ ok: true, user });
+        attempt.fail = (info, status) => resolve({ ok: false, status, message: info.message });
+        attempt.error = reject;
+        attempt.authenticate(req);
+    });
+    return { clock, run };
+}
+
+function request({ timestamp, nonce = 'n1', method = 'POST', path = '/api/v1/orders', body = '{"pair":"BTC-USD"}', signedBody = body, type = 'application/json' }) {
+    const headers = {
+        'x-api-key': KEY.keyId,
+        'x-api-timestamp': String(timestamp),
+        'x-api-nonce': nonce,
+        'x-api-signature': sign(KEY.secret, { timestamp: String(timestamp), nonce, method, path, body: signedBody }),
+        'content-type': body ? type : undefined
+    };
+    return {
+        method,
+        originalUrl: path,
+        ip: '127.0.0.1',
+        rawBody: body && type === 'application/json' ? Buffer.from(body) : undefined,
+        get: name => headers[name.toLowerCase()],
+        is: wanted => (body ? headers['content-type'] === wanted : null)
+    };
+}
+
+test('a request dated ahead of the clock cannot be replayed once its nonce would have expired', async () => {
+    const { clock, run } = setup();
+    const req = request({ timestamp: clock.now + WINDOW });
+    assert.equal((await run(req)).ok, true);
+
+    // The first window after receipt has passed, but the timestamp is still inside the window.
+    clock.now += WINDOW + 1000;
+    assert.deepEqual(await run(req), { ok: false, status: 401, message: 'nonce already used' });
+
+    clock.now += WINDOW;
+    assert.deepEqual(await run(req), { ok: false, status: 401, message: 'timestamp outside the allowed window' });
+});
+
+test('a correctly signed request passes', async () => {
+    const { clock, run } = setup();
+    assert.deepEqual(await run(request({ timestamp: clock.now })), { ok: true, user: USER });
+    assert.equal((await run(request({ timestamp: clock.now, nonce: 'n2', method: 'GET', path: '/api/v1/balances', body: '' }))).ok, true);
+});
+
+test('a body changed after signing is refused', async () => {
+    const { clock, run } = setup();
+    const tampered = request({ timestamp: clock.now, body: '{"pair":"ETH-USD"}', signedBody: '{"pair":"BTC-USD"}' });
+    assert.deepEqual(await run(tampered), { ok: false, status: 401, message: 'invalid signature' });
+});
+
+test('a body that is not JSON is refused, so no unsigned content gets through', async () => {
+    const { clock, run } = setup();
+    const form = request({ timestamp: clock.now, body: 'pair=ETH-USD', signedBody: '', type: 'application/x-www-form-urlencoded' });
+    assert.deepEqual(await run(form), { ok: false, status: 415, message: 'signed requests must send a JSON body' });
+});
+
+test('a stale timestamp is refused', async () => {
+    const { clock, run } = setup();
+    assert.deepEqual(await run(request({ timestamp: clock.now - WINDOW - 1 })), { ok: false, status: 401, message: 'timestamp outside the allowed window' });
+});
+
+test('a nonce cannot be used twice', async () => {
+    const { clock, run } = setup();
+    const req = request({ timestamp: clock.now });
+    assert.equal((await run(req)).ok, true);
+    clock.now += 1000;
+    assert.deepEqual(await run(req), { ok: false, status: 401, message: 'nonce already used' });
+});
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MatchingEngine from '../../controller/engine/MatchingEngine.js';
+import Money from '../../controller/model/Money.js';
+
+const PAIR = 'BTC-USD';
+
+// Fixed clock and sequential ids, so every run produces the same trades.
+function engine(options = {}) {
+    let id = 0;
+    return new MatchingEngine({ now: () => 1700000000000, nextId: () => `t${++id}`, ...options });
+}
+
+function order(id, userId, side, price, quantity, extra = {}) {
+    return {
+        id,
+        userId,
+        pair: PAIR,
+        side,
+        type: price === null ? 'market' : 'limit',
+        price: price === null ? null : Money.parse(price),
+        quantity: Money.parse(quantity),
+        ...extra
+    };
+}
+
+const levels = rows => rows.map(([price, size]) => [price.toString(), size.toString()]);
+
+test('a crossing order trades at the resting price, best level first', () => {
+    const e = engine();
+    e.place(order('s1', 'alice', 'sell', '101', '1'));
+    e.place(order('s2', 'alice', 'sell', '100', '1'));
+    const { order: taker, trades } = e.place(order('b1', 'bob', 'buy', '102', '2'));
+
+    assert.equal(taker.status, 'filled');
+    assert.deepEqual(trades.map(t => [t.price.toString(), t.quantity.toString(), t.makerOrderId]), [['100', '1', 's2'], ['101', '1', 's1']]);
+    assert.deepEqual(trades.map(t => t.seq), [1, 2]);
+    assert.equal(trades[0].buyerId, 'bob');
+    assert.equal(trades[0].sellerId, 'alice');
+    assert.deepEqual(e.depth(PAIR), { bids: [], asks: [] });
+});
+
+test('orders that do not cross rest, and a level fills in time priority', () => {
+    const e = engine();
+    e.place(order('b1', 'alice', 'buy', '99', '1'));
+    e.place(order('b2', 'carol', 'buy', '99', '1'));
+    const { order: rested, trades } = e.place(order('s1', 'bob', 'sell', '100', '1'));
+    assert.equal(trades.length, 0);
+    assert.equal(rested.status, 'open');
+
+    const { trades: hit } = e.place(order('s2', 'bob', 'sell', '99', '1'));
+    assert.equal(hit[0].makerOrderId, 'b1');
+    assert.deepEqual(levels(e.depth(PAIR).bids), [['99', '1']]);
+    assert.deepEqual(levels(e.depth(PAIR).asks), [['100', '1']]);
+});
+
+test('a partial fill leaves both remainders where they belong', () => {
+    const e = engine();
+    const { order: maker } = e.place(order('s1', 'alice', 'sell', '100', '3'));
+    const { order: taker, trades } = e.place(order('b1', 'bob', 'buy', '100', '1'));
+    assert.equal(taker.status, 'filled');
+    assert.equal(trades[0].quantity.toString(), '1');
+    assert.equal(maker.status, 'partially_filled');
+    assert.equal(maker.remaining.toString(), '2');
+
+    const { order: big } = e.place(order('b2', 'bob', 'buy', '100', '5'));
+    assert.equal(big.status, 'partially_filled');
+    assert.equal(big.remaining.toString(), '3');
+    assert.equal(maker.status, 'filled');
+    assert.deepEqual(levels(e.depth(PAIR).bids), [['100', '3']]);
+    assert.deepEqual(e.depth(PAIR).asks, []);
+});
+
+test('self-trade prevention: cancelTaker stops the incoming order', () => {
+    const e = engine();
+    e.place(order('s1', 'alice', 'sell', '100', '1'));
+    const { order: taker, trades } = e.place(order('b1', 'alice', 'buy', '100', '1'));
+    assert.equal(trades.length, 0);
+    assert.equal(taker.status, 'cancelled');
+    assert.equal(taker.reason, 'self_trade');
+    assert.deepEqual(levels(e.depth(PAIR).asks), [['100', '1']]);
+});
+
+test('self-trade prevention: cancelMaker removes the resting order and keeps matching', () => {
+    const e = engine({ selfTrade: 'cancelMaker' });
+    const { order: own } = e.place(order('s1', 'alice', 'sell', '100', '1'));
+    e.place(order('s2', 'bob', 'sell', '100', '1'));
+    const { order: taker, trades } = e.place(order('b1', 'alice', 'buy', '100', '1'));
+    assert.equal(own.status, 'cancelled');
+    assert.equal(own.reason, 'self_trade');
+    assert.equal(taker.status, 'filled');
+    assert.deepEqual(trades.map(t => t.makerOrderId), ['s2']);
+    assert.deepEqual(e.depth(PAIR).asks, []);
+});
+
+test('IOC fills what it can and cancels the rest', () => {
+    const e = engine();
+    e.place(order('s1', 'alice', 'sell', '100', '1'));
+    const { order: taker, trades } = e.place(order('b1', 'bob', 'buy', '100', '2', { timeInForce: 'IOC' }));
+    assert.equal(trades.length, 1);
+    assert.equal(taker.status, 'cancelled');
+    assert.equal(taker.reason, 'ioc_remainder');
+    assert.equal(taker.remaining.toString(), '1');
+    assert.deepEqual(e.depth(PAIR), { bids: [], asks: [] });
+});
+
+test('FOK trades in full or not at all', () => {
+    const e = engine();
+    e.place(order('s1', 'alice', 'sell', '100', '1'));
+    const { order: refused, trades: none } = e.place(order('b1', 'bob', 'buy', '100', '2', { timeInForce: 'FOK' }));
+    assert.equal(none.length, 0);
+    assert.equal(refused.status, 'cancelled');
+    assert.equal(refused.reason, 'fok_unfilled');
+    assert.deepEqual(levels(e.depth(PAIR).asks), [['100', '1']]);
+
+    const { order: filled, trades } = e.place(order('b2', 'bob', 'buy', '100', '1', { timeInForce: 'FOK' }));
+    assert.equal(filled.status, 'filled');
+    assert.equal(trades.length, 1);
+});
+
+test('a market order walks the book and cancels what finds no liquidity', () => {
+    const e = engine();
+    e.place(order('s1', 'alice', 'sell', '100', '1'));
+    e.place(order('s2', 'alice', 'sell', '105', '1'));
+    assert.equal(e.quote({ pair: PAIR, side: 'buy', quantity: Money.parse('2'), userId: 'bob' }).notional.toString(), '205');
+    const { order: taker, trades } = e.place(order('m1', 'bob', 'buy', null, '3'));
+    assert.equal(trades.length, 2);
+    assert.equal(taker.status, 'cancelled');
+    assert.equal(taker.reason, 'no_liquidity');
+    assert.equal(taker.remaining.toString(), '1');
+});
+
+test('revert puts the book back as it was before a placement', () => {
+    const e = engine();
+    const { order: first } = e.place(order('s1', 'alice', 'sell', '100', '1'));
+    const { order: second } = e.place(order('s2', 'carol', 'sell', '100', '2'));
+    e.place(order('s3', 'alice', 'sell', '101', '1'));
+    const before = levels(e.depth(PAIR).asks);
+
+    const result = e.place(order('b1', 'bob', 'buy', '102', '2'));
+    assert.equal(result.trades.length, 2);
+    e.revert(result);
+
+    assert.deepEqual(levels(e.depth(PAIR).asks), before);
+    assert.equal(first.status, 'open');
+    assert.equal(second.remaining.toString(), '2');
+    assert.equal(e.tradeSeq, 0);
+    // Time priority survives: the next buyer still meets s1 first.
+    assert.equal(e.place(order('b2', 'bob', 'buy', '100', '1')).trades[0].makerOrderId, 's1');
+});
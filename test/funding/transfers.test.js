@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../../controller/model/db.js';
+import Ledger from '../../controller/model/Ledger.js';
+import transfers from '../../controller/funding/transfers.js';
+
+async function btc(userId) {
+    const { available, held } = (await Ledger.balances(userId)).find(b => b.asset === 'BTC');
+    return [available.toString(), held.toString()];
+}
+
+async function withdrawal(userId) {
+    await Ledger.deposit(userId, 'BTC', '1');
+    return transfers.requestWithdrawal(userId, { asset: 'BTC', address: await transfers.chain.newAddress('BTC'), amount: '0.5' });
+}
+
+const outcome = results => results.map(r => r.status === 'fulfilled' ? r.value.status : r.reason.code);
+
+test('a cancel racing an approval: only the one that runs first takes effect', async () => {
+    const cancelFirst = await withdrawal('alice');
+    assert.deepEqual(outcome(await Promise.allSettled([
+        transfers.cancelWithdrawal('alice', cancelFirst.id),
+        transfers.approveWithdrawal(cancelFirst.id)
+    ])), ['cancelled', 'E_STATE']);
+
+    const approveFirst = await withdrawal('bob');
+    assert.deepEqual(outcome(await Promise.allSettled([
+        transfers.approveWithdrawal(approveFirst.id),
+        transfers.cancelWithdrawal('bob', approveFirst.id)
+    ])), ['approved', 'E_STATE']);
+
+    await transfers.advanceWithdrawals();
+    assert.equal((await db.findOne('withdrawals', { id: cancelFirst.id })).status, 'cancelled');
+    assert.equal((await db.findOne('withdrawals', { id: approveFirst.id })).status, 'broadcast');
+    assert.deepEqual(await btc('alice'), ['1.00000000', '0.00000000']);
+    assert.deepEqual(await btc('bob'), ['0.49980000', '0.50020000']);
+    assert.deepEqual(await Ledger.verify(), []);
+});
+
+test('a withdrawal being broadcast can no longer be rejected', async () => {
+    const request = await withdrawal('carol');
+    await transfers.approveWithdrawal(request.id);
+    const { broadcast } = transfers.chain;
+    let rejected;
+    transfers.chain.broadcast = async (args) => {
+        rejected = await transfers.rejectWithdrawal(request.id, 'too late').catch(err => err.code);
+        return broadcast.call(transfers.chain, args);
+    };
+    try {
+        await transfers.advanceWithdrawals();
+    } finally {
+        transfers.chain.broadcast = broadcast;
+    }
+    assert.equal(rejected, 'E_STATE');
+    assert.equal((await db.findOne('withdrawals', { id: request.id })).status, 'broadcast');
+    assert.deepEqual(await btc('carol'), ['0.49980000', '0.50020000']);
+});
+
+test('a broadcast that throws puts the withdrawal back in the queue', async () => {
+    const request = await withdrawal('dave');
+    await transfers.approveWithdrawal(request.id);
+    const { broadcast } = transfers.chain;
+    transfers.chain.broadcast = async () => { throw new Error('node unreachable'); };
+    try {
+        await assert.rejects(transfers.advanceWithdrawals(), /node unreachable/);
+    } finally {
+        transfers.chain.broadcast = broadcast;
+    }
+    assert.equal((await db.findOne('withdrawals', { id: request.id })).status, 'approved');
+    await transfers.advanceWithdrawals();
+    assert.equal((await db.findOne('withdrawals', { id: request.id })).status, 'broadcast');
+});
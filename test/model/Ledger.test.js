@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../../controller/model/db.js';
+import Ledger from '../../controller/model/Ledger.js';
+
+const seqs = async () => (await db.find('journal')).map(entry => entry.seq).sort((a, b) => a - b);
+
+test('journal entries are numbered without gaps when a transaction rolls back', async () => {
+    await Ledger.deposit('alice', 'USD', '100');
+    await assert.rejects(db.transaction(tx => {
+        Ledger.postWithin(tx, 'hold', [
+            { owner: 'alice', asset: 'USD', kind: 'available', amount: '-10' },
+            { owner: 'alice', asset: 'USD', kind: 'held', amount: '10' }
+        ]);
+        throw new Error('settlement failed');
+    }), /settlement failed/);
+    await assert.rejects(Ledger.post('hold', [
+        { owner: 'alice', asset: 'USD', kind: 'available', amount: '-1000' },
+        { owner: 'alice', asset: 'USD', kind: 'held', amount: '1000' }
+    ]), { code: 'E_INSUFFICIENT' });
+    await Ledger.deposit('alice', 'USD', '5');
+
+    assert.deepEqual(await seqs(), [1, 2]);
+    const [usd] = await Ledger.balances('alice');
+    assert.equal(usd.available.toString(), '105.00');
+    assert.equal(usd.held.toString(), '0.00');
+    assert.deepEqual(await Ledger.verify(), []);
+});
+
+test('an entry that does not balance is refused', async () => {
+    await assert.rejects(Ledger.post('adjustment', [
+        { owner: 'alice', asset: 'USD', kind: 'available', amount: '1' },
+        { owner: Ledger.SYSTEM, asset: 'USD', kind: 'adjustments', amount: '-2' }
+    ]), { code: 'E_UNBALANCED' });
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Money, { MoneyError, ROUNDING_MODES } from '../../controller/model/Money.js';
+
+const code = expected => error => error instanceof MoneyError && error.code === expected;
+
+test('parses decimal strings, numbers and BigInts and prints them back at their scale', () => {
+    assert.equal(String(Money.parse('12.5')), '12.5');
+    assert.equal(Money.parse('12.5').scale, 1);
+    assert.equal(String(Money.parse('12.5', 2)), '12.50');
+    assert.equal(String(Money.parse(' 0012.30 ')), '12.30');
+    assert.equal(String(Money.parse('.5')), '0.5');
+    assert.equal(String(Money.parse('+3')), '3');
+    assert.equal(String(Money.parse('1e3')), '1000');
+    assert.equal(String(Money.parse('1.5e-2')), '0.015');
+    assert.equal(String(Money.parse(12.25)), '12.25');
+    assert.equal(String(Money.parse(7n, 2)), '7.00');
+    assert.equal(JSON.stringify({ amount: Money.parse('0.1').plus('0.2') }), '{"amount":"0.3"}');
+
+    const same = Money.parse('4.2');
+    assert.equal(Money.parse(same), same);
+});
+
+test('negative amounts keep their sign through parsing, formatting and arithmetic', () => {
+    assert.equal(String(Money.parse('-0.05')), '-0.05');
+    assert.equal(String(Money.parse('-1.5').plus('0.25')), '-1.25');
+    assert.equal(String(Money.parse('2').minus('2.75')), '-0.75');
+    assert.equal(String(Money.parse('-1.5').times('-2')), '3.0');
+    assert.equal(String(Money.parse('-1.5').neg()), '1.5');
+    assert.equal(String(Money.parse('-1.5').abs()), '1.5');
+    assert.ok(Money.parse('-0.5').isNegative());
+    assert.ok(Money.parse('-0.5').lt('0'));
+    assert.ok(Money.parse('-0.5').eq('-0.50'));
+    assert.equal(String(Money.min('-1', '0.5')), '-1');
+    assert.equal(String(Money.max('-1', '0.5')), '0.5');
+});
+
+test('scale changes are exact going up and need a rounding mode to drop digits', () => {
+    assert.equal(String(Money.parse('1.5').rescale(4)), '1.5000');
+    assert.equal(String(Money.parse('1.50').rescale(1)), '1.5');
+    assert.throws(() => Money.parse('1.55').rescale(1), code('E_PRECISION'));
+    assert.equal(String(Money.parse('1.55').rescale(1, 'half-even')), '1.6');
+    assert.throws(() => Money.parse('1.005', 2), code('E_PRECISION'));
+    assert.equal(String(Money.parse('1.005', 2, { rounding: 'half-up' })), '1.01');
+
+    assert.equal(String(Money.parse('1.5').plus('0.25')), '1.75');
+    assert.equal(String(Money.parse('1.25').times('0.5')), '0.625');
+    assert.equal(String(Money.parse('1.25').times('0.5', { scale: 2, rounding: 'half-even' })), '0.62');
+    assert.throws(() => Money.parse('1.25').times('0.5', { scale: 2 }), code('E_PRECISION'));
+
+    assert.equal(String(Money.parse('7.5').div('2.5')), '3.0');
+    assert.equal(String(Money.parse('10').div('3', { scale: 4, rounding: 'down' })), '3.3333');
+    assert.equal(String(Money.parse('-10').div('3', { scale: 2, rounding: 'floor' })), '-3.34');
+    assert.equal(String(Money.parse('1').div('-3', { scale: 2, rounding: 'ceil' })), '-0.33');
+    assert.throws(() => Money.parse('10').div('3'), code('E_PRECISION'));
+});
+
+test('each rounding mode rounds ties and non-ties on both sides of zero', () => {
+    const inputs = ['2.5', '2.4', '2.6', '3.5', '-2.5', '-2.4', '-2.6', '-3.5'];
+    const expected = {
+        'down': ['2', '2', '2', '3', '-2', '-2', '-2', '-3'],
+        'up': ['3', '3', '3', '4', '-3', '-3', '-3', '-4'],
+        'floor': ['2', '2', '2', '3', '-3', '-3', '-3', '-4'],
+        'ceil': ['3', '3', '3', '4', '-2', '-2', '-2', '-3'],
+        'half-up': ['3', '2', '3', '4', '-3', '-2', '-3', '-4'],
+        'half-even': ['2', '2', '3', '4', '-2', '-2', '-3', '-4'],
+    };
+    assert.deepEqual(Object.keys(expected), ROUNDING_MODES);
+    for (const mode of ROUNDING_MODES) {
+        assert.deepEqual(inputs.map(value => String(Money.parse(value).rescale(0, mode))), expected[mode], mode);
+    }
+    assert.equal(String(Money.parse('2.0').rescale(0)), '2');
+});
+
+test('invalid input throws a MoneyError with a code saying what was wrong', () => {
+    for (const value of ['abc', '', '.', '1.2.3', '--1', '1e']) {
+        assert.throws(() => Money.parse(value), code('E_FORMAT'), JSON.stringify(value));
+    }
+    for (const value of [NaN, Infinity, null, undefined, {}]) {
+        assert.throws(() => Money.parse(value), code('E_FORMAT'), String(value));
+    }
+    assert.throws(() => new Money(1, 0), code('E_FORMAT'));
+    assert.throws(() => Money.parse('1', 19), code('E_SCALE'));
+    assert.throws(() => Money.parse('1').rescale(-1), code('E_SCALE'));
+    assert.throws(() => Money.parse('1').rescale(1.5), code('E_SCALE'));
+    assert.throws(() => Money.parse('9'.repeat(39)), code('E_OVERFLOW'));
+    assert.throws(() => Money.parse('1e100'), code('E_OVERFLOW'));
+    assert.throws(() => Money.parse('1').div('0'), code('E_DIVISION'));
+    assert.throws(() => Money.parse('2.5').rescale(0, 'nearest'), code('E_ROUNDING'));
+    assert.throws(() => Money.parse('1').isMultipleOf('0'), code('E_STEP'));
+    assert.throws(() => Money.parse('1') + 1, code('E_COERCE'));
+    assert.throws(() => Money.parse('1') < Money.parse('2'), code('E_COERCE'));
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStore, UniqueConstraintError } from '../../controller/model/storage/base.js';
+
+async function store() {
+    const s = createStore({});
+    await s.migrate([{ version: 1, up: schema => { schema.createTable('accounts', { unique: ['name'] }); schema.createTable('log'); } }]);
+    return s;
+}
+
+test('a transaction that throws leaves every table it wrote to as it was', async () => {
+    const s = await store();
+    const kept = await s.insert('accounts', { name: 'a', balance: 10 });
+    const other = await s.insert('accounts', { name: 'b', balance: 0 });
+    await s.insert('log', { line: 'opened' });
+
+    await assert.rejects(s.transaction(tx => {
+        tx.update('accounts', kept.id, { balance: 5 });
+        tx.remove('accounts', other.id);
+        tx.insert('log', { line: 'moved' });
+        tx.insert('accounts', { name: 'a' });
+    }), UniqueConstraintError);
+
+    assert.deepEqual((await s.find('accounts')).map(r => [r.name, r.balance]), [['a', 10], ['b', 0]]);
+    assert.deepEqual((await s.find('log')).map(r => r.line), ['opened']);
+});
+
+test('rollback callbacks run newest first when a transaction throws, and not when it commits', async () => {
+    const s = await store();
+    const undone = [];
+    await assert.rejects(s.transaction(tx => {
+        tx.onRollback(() => undone.push('first'));
+        tx.onRollback(() => undone.push('second'));
+        throw new Error('nope');
+    }), /nope/);
+    await s.transaction(tx => tx.onRollback(() => undone.push('committed')));
+    assert.deepEqual(undone, ['second', 'first']);
+});
+
+test('a committed transaction keeps all of its writes', async () => {
+    const s = await store();
+    const row = await s.transaction(tx => {
+        const created = tx.insert('accounts', { name: 'a', balance: 1 });
+        tx.insert('log', { line: 'created' });
+        return tx.update('accounts', created.id, { balance: 2 });
+    });
+    assert.equal((await s.findOne('accounts', { id: row.id })).balance, 2);
+    assert.equal((await s.find('log')).length, 1);
+});
+
+test('rows handed out are copies', async () => {
+    const s = await store();
+    const row = await s.insert('accounts', { name: 'a', tags: ['x'] });
+    row.tags.push('y');
+    (await s.findOne('accounts', { id: row.id })).tags.push('z');
+    assert.deepEqual((await s.findOne('accounts', { id: row.id })).tags, ['x']);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import notifier from '../../controller/notifications/notifier.js';
+import deliveries from '../../controller/notifications/deliveries.js';
+import webhooks from '../../controller/notifications/webhooks.js';
+
+const note = (key, channels = []) => ({ type: 'price', title: key, message: key, dedupeKey: key, channels });
+
+test('a notification whose transaction rolls back leaves no gap in seq', async () => {
+    await notifier.notify('alice', note('one'));
+
+    const { subscribed } = webhooks;
+    const { enqueueWithin } = deliveries;
+    webhooks.subscribed = async () => [{ id: 'endpoint' }];
+    deliveries.enqueueWithin = () => { throw new Error('queue down'); };
+    try {
+        await assert.rejects(notifier.notify('alice', note('lost', ['webhook'])), /queue down/);
+    } finally {
+        webhooks.subscribed = subscribed;
+        deliveries.enqueueWithin = enqueueWithin;
+    }
+
+    await notifier.notify('alice', note('two'));
+    await notifier.notify('bob', note('three'));
+    assert.equal(await notifier.notify('alice', note('two')), null);
+
+    assert.deepEqual((await notifier.list('alice')).map(n => [n.title, n.seq]), [['two', 2], ['one', 1]]);
+    assert.deepEqual((await notifier.list('bob')).map(n => n.seq), [1]);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../../controller/model/db.js';
+import webhooks, { WebhookError } from '../../controller/notifications/webhooks.js';
+
+const privateAddress = error => error instanceof WebhookError && error.code === 'E_PRIVATE' && error.field === 'url';
+
+test('endpoints on loopback, private or link-local addresses are refused at registration', async () => {
+    const urls = [
+        'http://10.1.2.3/hooks',
+        'http://172.16.0.1/hooks',
+        'http://172.31.255.254/hooks',
+        'http://192.168.1.10/hooks',
+        'http://169.254.169.254/latest/meta-data',
+        'http://127.0.0.1:4000/',
+        'http://[::1]/hooks',
+        'http://[::ffff:127.0.0.1]/hooks',
+        'http://localhost:4000/'
+    ];
+    for (const url of urls) {
+        await assert.rejects(webhooks.create(1, { url, events: ['fill'] }), privateAddress, url);
+    }
+    assert.deepEqual(await webhooks.endpoints(1), []);
+});
+
+test('endpoints on public addresses are registered', async () => {
+    for (const url of ['https://93.184.216.34/hooks', 'http://172.32.0.1/hooks']) {
+        const endpoint = await webhooks.create(2, { url, events: ['fill'] });
+        assert.equal(endpoint.url, url);
+    }
+});
+
+test('a delivery to an endpoint that now points at a private address is refused before any request', async (t) => {
+    const endpoint = await webhooks.create(3, { url: 'https://93.184.216.34/hooks', events: ['fill'] });
+    await db.update('webhookEndpoints', endpoint.id, { url: 'http://169.254.169.254/latest/meta-data' });
+    const fetch = t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 204 }));
+
+    await assert.rejects(webhooks.send(endpoint.id, { id: 'd1', event: 'fill', payload: {} }), privateAddress);
+    assert.equal(fetch.mock.callCount(), 0);
+});